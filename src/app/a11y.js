@@ -0,0 +1,101 @@
+/**
+ * FLAT EARTH EXPLORER — app/a11y.js
+ *
+ * Screen-reader descriptions of the map and the reduced-motion
+ * preference.
+ */
+
+import * as Projection from "../projection.js";
+import * as Geodesy from "../geodesy.js";
+import * as Gazetteer from "../gazetteer.js";
+import * as Format from "../format.js";
+import { DISC_R } from "./state.js";
+import { canvas, camera, controls } from "./scene.js";
+import { terrain, elevationAt } from "./terrain.js";
+import { gid } from "./ui.js";
+import { worldToLatLon, discKmPerUnit } from "./coords.js";
+import { viewHeading, KEY_ACTIONS, keysHeld } from "./camera.js";
+
+/* ─────────────────────────────────────────────────
+   MAP DESCRIPTIONS + REDUCED MOTION
+   The canvas says nothing to a screen reader, so a
+   polite live region (#mapStatus) puts the map into
+   words: the point under a resting cursor, the
+   placemark that has focus, and where the view has
+   ended up after keyboard orbiting. Places come from
+   the offline gazetteer.
+
+   prefers-reduced-motion freezes the waterfall,
+   drops orbit damping and makes flights cut straight
+   to their destination.
+───────────────────────────────────────────────── */
+var DESCRIBE_DELAY = 700;     // ms the cursor or view must rest before it is described
+var mapStatus;
+var describeTimer  = null;
+var reducedMotion;
+
+/* Say something through the live region; a trailing no-break space
+   makes a repeat count as a change, so it is read out again */
+function announce(text) {
+  if (!text) return;
+  mapStatus.textContent = mapStatus.textContent === text ? text + "\u00a0" : text;
+}
+
+var COMPASS_WORDS = ["north", "north-east", "east", "south-east", "south", "south-west", "west", "north-west"];
+
+/* "33.87°S, 151.21°E. 12 km north-west of Sydney, Australia. Elevation 40 m." */
+function describeLatLon(lat, lon, name) {
+  var out = [(name ? name + ", " : "") + Projection.fmtLatLon(lat, lon, 2)];
+  var near = Gazetteer.isReady() && Gazetteer.nearest(lat, lon);
+  if (near && near.km < 5) out.push("At " + near.label);
+  else if (near) {
+    var dir = COMPASS_WORDS[Math.round(Geodesy.sphericalBearing(near.lat, near.lon, lat, lon) / 45) % 8];
+    out.push(Math.round(near.km).toLocaleString("en-US") + " km " + dir + " of " + near.label);
+  }
+  var e = terrain.on && elevationAt(lat, lon);
+  if (e) out.push(e.sea ? Format.fmtElevation(e) : "Elevation " + Format.fmtElevation(e));
+  return out.join(". ") + ".";
+}
+
+/* The orbit target, heading and height, for keyboard orbiting */
+function describeView() {
+  var t = controls.target;
+  var ll = worldToLatLon(t);
+  var where = Math.hypot(t.x, t.z) > DISC_R ? "Beyond the ice wall." : "Looking at " + describeLatLon(ll[0], ll[1]);
+  var altKm = Math.max(0, (camera.position.length() - DISC_R) * discKmPerUnit());
+  return where + " Facing " + COMPASS_WORDS[Math.round(((viewHeading() % 360) + 360) % 360 / 45) % 8]
+       + ", " + Math.round(altKm).toLocaleString("en-US") + " km up.";
+}
+
+/* Debounced: describe the latest cursor point once the mouse rests */
+function describePointSoon(ll) {
+  clearTimeout(describeTimer);
+  if (ll) describeTimer = setTimeout(function(){ announce(describeLatLon(ll[0], ll[1])); }, DESCRIBE_DELAY);
+}
+
+function applyMotionPreference() {
+  controls.enableDamping = !reducedMotion.matches;
+}
+
+function initA11y() {
+  mapStatus = gid("mapStatus");
+  reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+  canvas.addEventListener("mouseleave", function(){ clearTimeout(describeTimer); });
+  canvas.addEventListener("focus", function(){ announce(describeView()); });
+  document.addEventListener("keyup", function(e) {    // after the camera's own keyup has let go
+    if (e.target !== canvas || !KEY_ACTIONS[e.key.length === 1 ? e.key.toLowerCase() : e.key]) return;
+    if (Object.keys(keysHeld).length) return;
+    clearTimeout(describeTimer);
+    describeTimer = setTimeout(function(){ announce(describeView()); }, DESCRIBE_DELAY);
+  });
+  reducedMotion.addEventListener("change", applyMotionPreference);
+  applyMotionPreference();
+}
+
+export {
+  reducedMotion,
+  announce,
+  describeLatLon,
+  describePointSoon,
+  initA11y,
+};
@@ -0,0 +1,321 @@
+/**
+ * FLAT EARTH EXPLORER — app/assets.js
+ *
+ * The loading screen and everything it waits for, and the disc
+ * imagery: the day and night textures and the procedural stand-in.
+ */
+
+import * as Format from "../format.js";
+import { CONFIG, state } from "./state.js";
+import { topMat } from "./scene.js";
+import { gid, showNotice } from "./ui.js";
+
+/* ─────────────────────────────────────────────────
+   ASSETS — startup downloads with real progress
+   Everything the loading screen waits for is an item on
+   one THREE.LoadingManager, which says when the last has
+   settled. Files are read as streams so progress is in
+   bytes (TextureLoader reports none). Each asset has an
+   ordered list of sources: a source is retried with
+   backoff, abandoned after a stall with no data, and
+   then the next one is tried. #loaderStatus shows a row
+   per asset. The loading screen lifts once everything
+   has settled or after loading.maxWaitMs, whichever is first;
+   late downloads carry on and land in the scene.
+───────────────────────────────────────────────── */
+// config.json's loading.timeoutMs drops a source after that long without a
+// byte; loading.retries is the extra attempts per source before moving on
+var ASSET_RETRY_MS   = 1200;                       // backoff, times the attempt number
+
+var assets = {
+  manager:  new THREE.LoadingManager(),
+  list:     [],                 // { id, label, loaded, total, state, detail }
+  queued:   false,              // a #loaderStatus repaint is pending
+  revealed: false,              // the loading screen has gone
+  after:    [],                 // callbacks waiting for it to go
+};
+
+function wait(ms) { return new Promise(function(resolve) { setTimeout(resolve, ms); }); }
+
+/* GET a URL as a Blob, reporting onBytes(loaded, total) per chunk
+   (total is 0 without a Content-Length). Aborts after timeoutMs
+   with nothing received. */
+function fetchBlob(url, timeoutMs, onBytes) {
+  var ctrl = new AbortController(), timer = null;
+  function arm() {
+    clearTimeout(timer);
+    timer = setTimeout(function() { ctrl.abort(); }, timeoutMs);
+  }
+  arm();
+  return fetch(url, { signal: ctrl.signal }).then(function(r) {
+    if (!r.ok) throw new Error("HTTP " + r.status);
+    if (!r.body) return r.blob();
+    var total = +r.headers.get("Content-Length") || 0, loaded = 0, chunks = [];
+    var reader = r.body.getReader();
+    return reader.read().then(function pump(res) {
+      if (res.done) return new Blob(chunks, { type: r.headers.get("Content-Type") || "" });
+      chunks.push(res.value);
+      loaded += res.value.length;
+      arm();
+      onBytes(loaded, total);
+      return reader.read().then(pump);
+    });
+  }).catch(function(e) {
+    throw ctrl.signal.aborted ? new Error("timed out") : e;
+  }).finally(function() { clearTimeout(timer); });
+}
+
+function blobToTexture(blob) {
+  var url = URL.createObjectURL(blob);
+  return new Promise(function(resolve, reject) {
+    new THREE.ImageLoader().load(url, function(img) {
+      URL.revokeObjectURL(url);
+      var tex = new THREE.Texture(img);
+      tex.needsUpdate = true;
+      resolve(tex);
+    }, undefined, function() {
+      URL.revokeObjectURL(url);
+      reject(new Error("not a readable image"));
+    });
+  });
+}
+
+function blobToJson(blob) { return blob.text().then(function(t) { return JSON.parse(t); }); }
+
+/**
+ * Fetch an asset from the first of `sources` that works and decode it.
+ * A source is { name, url, timeout?, retries? }.
+ * @returns {Promise<{ value, source }>} rejects once every source has failed
+ */
+function loadAsset(id, label, sources, decode) {
+  var a = { id: id, label: label, loaded: 0, total: 0, state: "loading", detail: "" };
+  assets.list.push(a);
+  assets.manager.itemStart(id);
+
+  function attempt(i, n) {
+    var src = sources[i];
+    if (!src) return Promise.reject(new Error("no source could be loaded"));
+    a.loaded = a.total = 0;
+    a.detail = src.name + (n ? ", retry " + n : "");
+    queueLoaderStatus();
+    return fetchBlob(src.url, src.timeout || CONFIG.loading.timeoutMs, function(loaded, total) {
+      a.loaded = loaded; a.total = total;
+      queueLoaderStatus();
+    }).then(decode).then(function(value) {
+      return { value: value, source: src };
+    }, function(e) {
+      console.warn(label + ": " + src.name + " failed (" + e.message + ")");
+      var retries = src.retries == null ? CONFIG.loading.retries : src.retries;
+      if (n < retries) return wait(ASSET_RETRY_MS * (n + 1)).then(function() { return attempt(i, n + 1); });
+      return attempt(i + 1, 0);
+    });
+  }
+
+  return attempt(0, 0).then(function(r) {
+    a.state = "done"; a.detail = r.source.name;
+    assets.manager.itemEnd(id);
+    queueLoaderStatus();
+    return r;
+  }, function(e) {
+    a.state = "failed"; a.detail = e.message;
+    assets.manager.itemError(id);
+    assets.manager.itemEnd(id);
+    queueLoaderStatus();
+    throw e;
+  });
+}
+
+/* 0–1: bytes over bytes once every pending size is known, else the mean per asset */
+function assetProgress() {
+  var got = 0, want = 0, sized = true, mean = 0;
+  assets.list.forEach(function(a) {
+    var settled = a.state !== "loading";
+    if (!settled && !a.total) sized = false;
+    var all = settled ? Math.max(a.loaded, a.total) : a.total;
+    got  += settled ? all : a.loaded;
+    want += all;
+    mean += settled ? 1 : a.total ? a.loaded / a.total : 0;
+  });
+  if (!assets.list.length) return 0;
+  return sized && want > 0 ? got / want : mean / assets.list.length;
+}
+
+function queueLoaderStatus() {
+  if (assets.queued || assets.revealed) return;
+  assets.queued = true;
+  requestAnimationFrame(function() { assets.queued = false; renderLoaderStatus(); });
+}
+
+function renderLoaderStatus() {
+  var box = gid("loaderStatus");
+  box.innerHTML = "";
+  assets.list.forEach(function(a) {
+    var row = document.createElement("div");
+    row.className = "loader-asset " + a.state;
+    var name = document.createElement("span"), info = document.createElement("span");
+    name.className = "loader-asset-name";
+    info.className = "loader-asset-info";
+    name.textContent = a.label;
+    info.textContent = a.state === "failed" ? "Failed — " + a.detail
+      : a.state === "done" ? a.detail + " ✓"
+      : a.detail + " · " + (a.total ? Format.fmtMB(a.loaded) + " / " + Format.fmtMB(a.total) : a.loaded ? Format.fmtMB(a.loaded) : "connecting…");
+    row.appendChild(name);
+    row.appendChild(info);
+    box.appendChild(row);
+  });
+  gid("loaderFill").style.width = (assetProgress() * 100).toFixed(1) + "%";
+}
+
+function hideLoader() {
+  if (assets.revealed) return;
+  renderLoaderStatus();
+  assets.revealed = true;
+  setTimeout(function() {
+    gid("loader").classList.add("out");
+    setTimeout(function() { gid("loader").style.display = "none"; }, 750);
+    assets.after.splice(0).forEach(function(fn) { fn(); });
+  }, 350);
+}
+
+/* Run fn once the loading screen is out of the way (now, if it already is) */
+function afterLoader(fn) {
+  if (assets.revealed && !assets.after.length) fn();
+  else assets.after.push(fn);
+}
+
+/* ─────────────────────────────────────────────────
+   TEXTURE — NASA Blue Marble (free, seamless world texture)
+   This is what all reference images use. The image is a plain
+   equirectangular (2:1 lat/lon) raster; topMat's fragment shader
+   reprojects it to azimuthal equidistant per pixel.
+
+   Sources are tried in the order of imagery.day in config.json:
+   by default NASA's 5400×2700 Blue Marble, an unpkg mirror, then
+   a 2K copy bundled in data/ for offline use. imagery.customDay
+   or ?texture= puts another equirect image in front. If none
+   loads, the procedural placeholder drawn at startup stays and a
+   toast says so. City lights (NASA Black Marble) come from
+   imagery.night.
+───────────────────────────────────────────────── */
+var loader = new THREE.TextureLoader();
+
+var dayTextureSource = null;    // the source that supplied the disc imagery, for attribution
+
+function applyTexture(tex) {
+  tex.wrapS     = THREE.ClampToEdgeWrapping;
+  tex.wrapT     = THREE.ClampToEdgeWrapping;
+  tex.minFilter = THREE.LinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  topMat.uniforms.tMap.value   = tex;
+  topMat.uniforms.hasTex.value = state.satellite ? 1.0 : 0.0;
+}
+
+function loadNightTexture(url) {
+  return loadAsset("night", "City lights", [{ name: "online", url: url }], blobToTexture).then(function(r) {
+    var tex = r.value;
+    tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+    tex.minFilter = tex.magFilter = THREE.LinearFilter;
+    topMat.uniforms.tNight.value   = tex;
+    topMat.uniforms.hasNight.value = 1.0;
+  }, function() { /* no lights — the night side just stays dark */ });
+}
+
+/* extraUrl (optional) is tried before the built-in sources */
+function loadDayTexture(extraUrl) {
+  var sources = (extraUrl ? [{ name: "custom", url: extraUrl, credit: "" }] : []).concat(CONFIG.imagery.day);
+  return loadAsset("day", "Blue Marble imagery", sources, blobToTexture).then(function(r) {
+    applyTexture(r.value);
+    dayTextureSource = r.source;
+  }, function() {
+    afterLoader(function() {          // buildPlaceholderDisc() already drew the stand-in
+      showNotice("Satellite imagery unavailable", "Showing a sketched map instead — check your connection and reload");
+    });
+  });
+}
+
+function buildPlaceholderDisc() {
+  // Drawn as an equirectangular world (2:1) so it goes through the same
+  // AE reprojection in topMat as the real Blue Marble texture.
+  var W = 2048, H = 1024;
+  var c = document.createElement("canvas");
+  c.width = W; c.height = H;
+  var ctx = c.getContext("2d");
+  function px(lon) { return (lon + 180) / 360 * W; }
+  function py(lat) { return (90 - lat) / 180 * H; }
+  var DEG = W / 360;
+
+  // Ocean gradient — lighter towards the pole, darker towards the rim
+  var ocean = ctx.createLinearGradient(0,0, 0,H);
+  ocean.addColorStop(0,    "#1565a0");
+  ocean.addColorStop(0.40, "#0d4a7a");
+  ocean.addColorStop(0.75, "#083358");
+  ocean.addColorStop(1,    "#041c38");
+  ctx.fillStyle = ocean; ctx.fillRect(0,0,W,H);
+
+  // Landmasses (approximate lat/lon centres and extents in degrees)
+  var lands = [
+    {lon:  80, lat: 50, rx:70, ry:20, rot: 0.0, col:"#5a7a3a"},  // Eurasia
+    {lon:  20, lat:  5, rx:20, ry:35, rot: 0.1, col:"#7a6a3a"},  // Africa
+    {lon:-100, lat: 50, rx:30, ry:20, rot: 0.2, col:"#5a7040"},  // North America
+    {lon: -60, lat:-15, rx:15, ry:28, rot: 0.2, col:"#4a7030"},  // South America
+    {lon: 134, lat:-25, rx:17, ry:10, rot: 0.0, col:"#8a7040"},  // Australia
+    {lon: -42, lat: 72, rx:12, ry: 8, rot: 0.0, col:"#c8dce0"},  // Greenland
+  ];
+
+  lands.forEach(function(l) {
+    var rx = l.rx*DEG, ry = l.ry*DEG;
+    ctx.save(); ctx.translate(px(l.lon),py(l.lat)); ctx.rotate(l.rot);
+    var g = ctx.createRadialGradient(0,0,0,0,0,Math.max(rx,ry));
+    g.addColorStop(0.0, l.col);
+    g.addColorStop(0.6, l.col);
+    g.addColorStop(1.0, l.col+"44");
+    ctx.beginPath(); ctx.ellipse(0,0,rx,ry,0,0,Math.PI*2);
+    ctx.fillStyle=g; ctx.fill(); ctx.restore();
+  });
+
+  // Antarctica — the band that becomes the ice rim of the disc
+  ctx.fillStyle = "#c8dce0";
+  ctx.fillRect(0, py(-70), W, H - py(-70));
+
+  // Cloud wisps
+  ctx.globalAlpha = 0.18;
+  ctx.fillStyle = "#ffffff";
+  [ [30,45,25,6,-0.2], [110,30,22,5,0.3],
+    [-80,20,20,5,0.1], [60,-30,18,5,-0.2] ].forEach(function(c2) {
+    ctx.save(); ctx.translate(px(c2[0]),py(c2[1])); ctx.rotate(c2[4]);
+    ctx.beginPath(); ctx.ellipse(0,0,c2[2]*DEG,c2[3]*DEG,0,0,Math.PI*2);
+    ctx.fill(); ctx.restore();
+  });
+  ctx.globalAlpha = 1.0;
+
+  // North pole ice cap — fades out by ~78°N
+  var ice = ctx.createLinearGradient(0,0, 0,py(78));
+  ice.addColorStop(0,"rgba(230,245,255,0.98)");
+  ice.addColorStop(1,"rgba(200,230,255,0)");
+  ctx.fillStyle=ice; ctx.fillRect(0,0,W,py(78));
+
+  var tex = new THREE.CanvasTexture(c);
+  tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.minFilter = tex.magFilter = THREE.LinearFilter;
+  topMat.uniforms.tMap.value   = tex;
+  topMat.uniforms.hasTex.value = state.satellite ? 1.0 : 0.0;
+}
+
+function initAssets() {
+  assets.manager.onLoad = hideLoader;
+  loader.crossOrigin = "anonymous";
+}
+
+export {
+  blobToJson,
+  loadAsset,
+  renderLoaderStatus,
+  hideLoader,
+  afterLoader,
+  loader,
+  dayTextureSource,
+  loadNightTexture,
+  loadDayTexture,
+  buildPlaceholderDisc,
+  initAssets,
+};
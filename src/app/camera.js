@@ -0,0 +1,221 @@
+/**
+ * FLAT EARTH EXPLORER — app/camera.js
+ *
+ * Camera movement on top of OrbitControls: eased flights, the
+ * compass, zoom buttons, view presets and held-key orbiting.
+ */
+
+import * as Geodesy from "../geodesy.js";
+import { VIEW_SCALE, state } from "./state.js";
+import { camera, controls } from "./scene.js";
+import { gid } from "./ui.js";
+import { latLonToWorld, worldToLatLon } from "./coords.js";
+import { reducedMotion } from "./a11y.js";
+
+/* ─────────────────────────────────────────────────
+   CAMERA FLIGHT — eased, interruptible
+   Interpolates the orbit target linearly and the camera
+   offset in spherical coords (shortest way round), with a
+   gentle altitude hop mid-flight. Any user input on the
+   canvas (OrbitControls "start") cancels it.
+───────────────────────────────────────────────── */
+var FLY_DISTANCE = 12.5;                 // × VIEW_SCALE
+var FLY_POLAR    = 0.62;
+var flight = null;
+
+function easeInOutCubic(t) { return t < 0.5 ? 4*t*t*t : 1 - Math.pow(-2*t + 2, 3) / 2; }
+
+/* hop: altitude gained mid-flight; defaults to scaling with the distance travelled */
+function startFlight(target, spherical, hop) {
+  var from = new THREE.Spherical().setFromVector3(camera.position.clone().sub(controls.target));
+  var dTheta = spherical.theta - from.theta;
+  dTheta = Math.atan2(Math.sin(dTheta), Math.cos(dTheta));   // shortest way round
+  var travel = controls.target.distanceTo(target) + Math.abs(dTheta) * 3;
+  flight = {
+    t0:       performance.now(),
+    dur:      reducedMotion.matches ? 1 : Math.min(2600, 1100 + travel * 90),
+    fromT:    controls.target.clone(),
+    toT:      target.clone(),
+    from:     from,
+    to:       new THREE.Spherical(spherical.radius, spherical.phi, from.theta + dTheta),
+    hop:      hop != null ? hop : Math.min(6, travel * 0.3),
+  };
+}
+
+function cancelFlight() { flight = null; }
+
+/* Frame a point: orbit target moves onto it, camera sits outboard of it
+   (looking back towards the centre) at a comfortable tilt and distance.
+   dist / polar (radians) override the defaults. */
+function frameLatLon(lat, lon, dist, polar) {
+  var p   = latLonToWorld(lat, lon);
+  var off = new THREE.Spherical().setFromVector3(camera.position.clone().sub(controls.target));
+  var theta = Math.hypot(p.x, p.z) > 0.05 ? Math.atan2(p.x, p.z) : off.theta;
+  startFlight(p, new THREE.Spherical(dist || FLY_DISTANCE * VIEW_SCALE, polar == null ? FLY_POLAR : polar, theta));
+}
+
+function tickFlight() {
+  if (!flight) return;
+  var k = Math.min(1, (performance.now() - flight.t0) / flight.dur);
+  var e = easeInOutCubic(k);
+  controls.target.lerpVectors(flight.fromT, flight.toT, e);
+  var s = new THREE.Spherical(
+    flight.from.radius + (flight.to.radius - flight.from.radius) * e + Math.sin(Math.PI * k) * flight.hop,
+    flight.from.phi    + (flight.to.phi    - flight.from.phi)    * e,
+    flight.from.theta  + (flight.to.theta  - flight.from.theta)  * e
+  );
+  camera.position.setFromSpherical(s).add(controls.target);
+  if (k >= 1) flight = null;
+}
+
+/* ─────────────────────────────────────────────────
+   CAMERA CONTROLLER — compass, keyboard, view presets
+   Sits on top of OrbitControls: button and preset moves
+   go through startFlight so they ease like everything
+   else, held keys nudge the orbit every frame, and both
+   respect the controls' distance and tilt limits.
+
+   Heading is the compass bearing the viewer faces at the
+   orbit target (screen-up laid flat on the disc). On a
+   north-centred disc north is towards the centre; right
+   at the centre, bearings follow the target's meridian.
+───────────────────────────────────────────────── */
+var HOME_OFFSET  = [14, 9, 14];          // camera offset from the centre, × VIEW_SCALE
+var ZOOM_STEP    = 1.35;                  // distance factor per zoom click
+var KEY_RATES    = { turn: Math.PI / 2, tilt: Math.PI / 4, zoom: 1.2 };   // per second
+var VIEW_PRESETS = {
+  top:     { phi: 0.01 },
+  oblique: { phi: 0.95 },
+  edge:    { phi: Math.PI / 2 - 0.06, radius: 24, centre: true },   // side on, the ice wall; radius × VIEW_SCALE
+};
+
+var _hdT = new THREE.Vector3(), _camUp = new THREE.Vector3(), _camFwd = new THREE.Vector3();
+
+/* Compass bearing (degrees) of the flat disc direction (dx, dz) at the orbit target */
+function headingAt(dx, dz) {
+  var t = controls.target, l = Math.hypot(dx, dz) || 1;
+  var here  = worldToLatLon(t);
+  var ahead = worldToLatLon(_hdT.set(t.x + dx / l * 0.05, t.y, t.z + dz / l * 0.05));
+  return Geodesy.sphericalBearing(here[0], here[1], ahead[0], ahead[1]);
+}
+
+function viewHeading() {
+  _camUp.set(0, 1, 0).applyQuaternion(camera.quaternion);
+  _camFwd.set(0, 0, -1).applyQuaternion(camera.quaternion);
+  return headingAt(_camUp.x + _camFwd.x, _camUp.z + _camFwd.z);
+}
+
+/* Orbit azimuth that faces north. Heading falls by one degree per degree
+   of azimuth, so a few Newton steps settle it for any projection. */
+function northTheta(theta) {
+  for (var i = 0; i < 6; i++) {
+    var h = headingAt(-Math.sin(theta), -Math.cos(theta));
+    h = ((h + 540) % 360) - 180;
+    if (Math.abs(h) < 0.05) break;
+    theta += h * Math.PI / 180;
+  }
+  return theta;
+}
+
+function orbitNow() {
+  return new THREE.Spherical().setFromVector3(_hdT.copy(camera.position).sub(controls.target));
+}
+function clampRadius(r) { return Math.max(controls.minDistance, Math.min(controls.maxDistance, r)); }
+function clampPhi(phi)  { return Math.max(Math.max(0.01, controls.minPolarAngle), Math.min(controls.maxPolarAngle, phi)); }
+
+function zoomBy(factor) {
+  var s = orbitNow();
+  startFlight(controls.target, new THREE.Spherical(clampRadius(s.radius * factor), s.phi, s.theta), 0);
+}
+
+function resetNorth() {
+  var s = orbitNow();
+  startFlight(controls.target, new THREE.Spherical(s.radius, s.phi, northTheta(s.theta)), 0);
+}
+
+function applyViewPreset(id) {
+  var p = VIEW_PRESETS[id], s = orbitNow();
+  var target = p.centre ? new THREE.Vector3(0, 0, 0) : controls.target;
+  startFlight(target, new THREE.Spherical(clampRadius(p.radius ? p.radius * VIEW_SCALE : s.radius), clampPhi(p.phi), s.theta), 0);
+}
+
+/* Held keys: arrows / WASD turn and tilt, +/- zoom */
+var KEY_ACTIONS = {
+  ArrowLeft: "left", a: "left", ArrowRight: "right", d: "right",
+  ArrowUp: "up", w: "up", ArrowDown: "down", s: "down",
+  "+": "in", "=": "in", "-": "out", "_": "out",
+};
+var keysHeld = {};
+
+function keyTargetIsField(e) {
+  var t = e.target;
+  return t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName) ||
+               !!(t.closest && t.closest('[role="separator"], [role="listbox"], [role="dialog"]')));
+}
+
+function tickCameraKeys(dt) {
+  var k = keysHeld;
+  if (state.observerMode) return;        // the keys walk the observer instead
+  if (!(k.left || k.right || k.up || k.down || k.in || k.out)) return;
+  cancelFlight();
+  var s = orbitNow();
+  s.theta += ((k.left ? 1 : 0) - (k.right ? 1 : 0)) * KEY_RATES.turn * dt;
+  s.phi    = clampPhi(s.phi + ((k.down ? 1 : 0) - (k.up ? 1 : 0)) * KEY_RATES.tilt * dt);
+  s.radius = clampRadius(s.radius * Math.exp(((k.out ? 1 : 0) - (k.in ? 1 : 0)) * KEY_RATES.zoom * dt));
+  camera.position.setFromSpherical(s).add(controls.target);
+}
+
+/* Compass needle: points at north on screen */
+var compassNeedle, _needleDeg = null;
+function updateCompass() {
+  var deg = -viewHeading();
+  if (_needleDeg !== null && Math.abs(deg - _needleDeg) < 0.2) return;
+  _needleDeg = deg;
+  compassNeedle.setAttribute("transform", "rotate(" + deg.toFixed(1) + " 12 12)");
+}
+
+/* The start-up view, which the reset button flies back to */
+function homeView() {
+  return new THREE.Spherical().setFromVector3(new THREE.Vector3().fromArray(HOME_OFFSET).multiplyScalar(VIEW_SCALE));
+}
+
+function initCamera() {
+  controls.addEventListener("start", cancelFlight);
+  gid("zoomIn").addEventListener("click",  function(){ zoomBy(1 / ZOOM_STEP); });
+  gid("zoomOut").addEventListener("click", function(){ zoomBy(ZOOM_STEP); });
+  gid("btnCompass").addEventListener("click", resetNorth);
+  gid("btnReset").addEventListener("click", function() {
+    startFlight(new THREE.Vector3(0, 0, 0), homeView());
+  });
+  Object.keys(VIEW_PRESETS).forEach(function(id) {
+    gid("view-" + id).addEventListener("click", function(){ applyViewPreset(id); });
+  });
+  document.addEventListener("keydown", function(e) {
+    var act = KEY_ACTIONS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (!act || e.ctrlKey || e.metaKey || e.altKey || keyTargetIsField(e) || state.streetMode) return;
+    keysHeld[act] = true;
+    e.preventDefault();
+  });
+  document.addEventListener("keyup", function(e) {
+    var act = KEY_ACTIONS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (act) delete keysHeld[act];
+  });
+  window.addEventListener("blur", function(){ keysHeld = {}; });
+  compassNeedle = gid("compassNeedle");
+}
+
+export {
+  startFlight,
+  cancelFlight,
+  frameLatLon,
+  tickFlight,
+  viewHeading,
+  clampRadius,
+  clampPhi,
+  KEY_ACTIONS,
+  keysHeld,
+  keyTargetIsField,
+  tickCameraKeys,
+  updateCompass,
+  initCamera,
+};
@@ -0,0 +1,99 @@
+/**
+ * FLAT EARTH EXPLORER — app/coords.js
+ *
+ * Where things are on the disc: lat/lon ↔ disc UV ↔ world position,
+ * screen picking against the top face, and the km-per-unit scale the
+ * HUD, ruler and routes measure with. Thin wrappers over projection.js
+ * so the shader, readouts and positioning all agree.
+ */
+
+import * as Projection from "../projection.js";
+import { DISC_R, state } from "./state.js";
+import { camera, topMesh } from "./scene.js";
+import { terrainHeight } from "./terrain.js";
+import { discViewport } from "./globe.js";
+
+/* ─────────────────────────────────────────────────
+   PROJECTION HELPERS (PlaneGeometry UV ↔ lat/lon)
+───────────────────────────────────────────────── */
+function uvToLatLon(u, v) { return Projection.inverse(u, v); }
+function latLonToUV(lat, lon) { return Projection.forward(lat, lon); }
+
+/* Disc UV → world position on the top face (plane is rotated -90° about X,
+   so UV +v runs towards world -Z) */
+function uvToWorld(u, v, lift) {
+  return new THREE.Vector3(
+    (u - 0.5) * DISC_R * 2,
+    topMesh.position.y + (lift || 0),
+    -(v - 0.5) * DISC_R * 2
+  );
+}
+
+function latLonToWorld(lat, lon, lift) {
+  var uv = latLonToUV(lat, lon);
+  return uvToWorld(uv[0], uv[1], (lift || 0) + terrainHeight(lat, lon));
+}
+
+/* Disc world point → [lat, lon] */
+function worldToLatLon(v) {
+  return uvToLatLon(v.x / (2 * DISC_R) + 0.5, -v.z / (2 * DISC_R) + 0.5);
+}
+
+/* Real-Earth km per world unit on the disc, at the projection's
+   true-scale centre (AE: ~1,980 km/unit). Shared by the HUD and ruler. */
+function discKmPerUnit() {
+  return Projection.EARTH_R_KM / (Projection.uvPerRadAtCentre() * DISC_R * 2);
+}
+
+/* Straight-line distance across the flat disc, in real-Earth km (relief ignored) */
+function discChordKm(lat1, lon1, lat2, lon2) {
+  var a = latLonToUV(lat1, lon1), b = latLonToUV(lat2, lon2);
+  return Math.hypot(b[0] - a[0], b[1] - a[1]) * DISC_R * 2 * discKmPerUnit();
+}
+
+/* ─────────────────────────────────────────────────
+   RAYCAST the disc under a screen point
+───────────────────────────────────────────────── */
+var raycaster = new THREE.Raycaster();
+var mouse2d   = new THREE.Vector2();
+
+/* Aim the raycaster through a screen point in the disc view; false off it */
+function aimRay(clientX, clientY) {
+  var vp = discViewport();
+  if (!vp || state.observerMode || clientX < vp.x || clientX > vp.x + vp.clipW) return false;
+  mouse2d.set(
+    ((clientX - vp.x) / vp.w) * 2 - 1,
+    -((clientY - vp.y) / vp.h) * 2 + 1
+  );
+  raycaster.setFromCamera(mouse2d, camera);
+  return true;
+}
+
+/* Screen point → { uv, point, ll } on the visible disc, or null */
+function pickDisc(clientX, clientY) {
+  if (!aimRay(clientX, clientY)) return null;
+  var hits = raycaster.intersectObject(topMesh);
+  if (!hits.length) return null;
+  var uv = hits[0].uv;
+  if (Math.hypot(uv.x - 0.5, uv.y - 0.5) > 0.5) return null;  // clipped plane corner
+  return { uv: uv, point: hits[0].point, ll: uvToLatLon(uv.x, uv.y) };
+}
+
+/* Screen point → nearest intersection with obj in the disc view
+   (instanceId set for an InstancedMesh), or null */
+function pickObject(clientX, clientY, obj) {
+  if (!aimRay(clientX, clientY)) return null;
+  var hits = raycaster.intersectObject(obj, true);
+  return hits.length ? hits[0] : null;
+}
+
+export {
+  latLonToUV,
+  uvToWorld,
+  latLonToWorld,
+  worldToLatLon,
+  discKmPerUnit,
+  discChordKm,
+  pickDisc,
+  pickObject,
+};
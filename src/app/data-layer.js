@@ -0,0 +1,305 @@
+/**
+ * FLAT EARTH EXPLORER — app/data-layer.js
+ *
+ * The data overlay: points from a local GeoJSON, CSV or earthquake
+ * feed file, sized and coloured by a field, played through time,
+ * with a popup of each point's properties. datalayer.js parses.
+ */
+
+import * as Projection from "../projection.js";
+import * as Format from "../format.js";
+import * as DataLayer from "../datalayer.js";
+import { DISC_R } from "./state.js";
+import { canvas, scene } from "./scene.js";
+import { gid } from "./ui.js";
+import { latLonToWorld, pickObject } from "./coords.js";
+import { ruler } from "./ruler.js";
+import { route } from "./routes.js";
+import { addScreenLabel, removeScreenLabel } from "./labels.js";
+import { announce } from "./a11y.js";
+
+/* ─────────────────────────────────────────────────
+   DATA OVERLAY
+   Drop a file on the page or open one from the
+   panel; nothing is uploaded. Every point is one
+   instance of a flat marker lying on the disc, its
+   radius and colour set by the chosen field. Points
+   with timestamps appear as the time slider passes
+   them and drop out once older than the trailing
+   window. Only the points on show are instances
+   (data.shown maps them back), so picking and
+   drawing skip the rest.
+───────────────────────────────────────────────── */
+var DATA_R_MIN  = 0.005;      // marker radius at the field's minimum, fraction of DISC_R
+var DATA_R_MAX  = 0.022;      // … and at its maximum
+var DATA_LIFT   = 0.012;
+var DATA_PLAY_S = 20;         // seconds to play through the whole time range
+var DATA_STEPS  = 1000;       // time slider resolution
+
+var dataMarkers = null;       // THREE.InstancedMesh, rebuilt per file
+var data = {
+  set:     null,              // DataLayer.parse result
+  field:   null,              // field the markers are styled by
+  dom:     null,              // [min, max] of that field
+  range:   null,              // [first, last] timestamp, or null
+  t:       Infinity,          // time shown (ms)
+  windowMs: Infinity,
+  playing: false,
+  order:   [],                // point indices, largest marker first
+  shown:   [],                // instance index → point index
+  popup:   null,              // { label, i } while a popup is open
+};
+
+var _dataM = new THREE.Matrix4(), _dataQ = new THREE.Quaternion(), _dataS = new THREE.Vector3(), _dataC = new THREE.Color();
+
+function markerRadius(p) {
+  var t = data.field ? DataLayer.norm(p.props[data.field], data.dom) : null;
+  return DISC_R * (t === null ? DATA_R_MIN : DATA_R_MIN + (DATA_R_MAX - DATA_R_MIN) * t);
+}
+
+function markerColour(p) {
+  var t = data.field ? DataLayer.norm(p.props[data.field], data.dom) : null;
+  var rgb = t === null ? [150, 160, 175] : DataLayer.ramp(t);
+  return _dataC.setRGB(rgb[0] / 255, rgb[1] / 255, rgb[2] / 255);
+}
+
+function disposeMarkers() {
+  if (!dataMarkers) return;
+  scene.remove(dataMarkers);
+  dataMarkers.geometry.dispose();
+  dataMarkers.material.dispose();
+  dataMarkers = null;
+}
+
+function buildMarkers() {
+  disposeMarkers();
+  var g = new THREE.CircleGeometry(1, 24).rotateX(-Math.PI / 2);
+  var mat = new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.85, depthWrite: false });
+  dataMarkers = new THREE.InstancedMesh(g, mat, data.set.points.length);
+  dataMarkers.setColorAt(0, _dataC.set(0xffffff));   // allocate instanceColor before the first draw
+  dataMarkers.renderOrder = 3;
+  dataMarkers.frustumCulled = false;
+  scene.add(dataMarkers);
+  placeDataLayer();
+}
+
+/* Lay the points on show onto the disc; again whenever the projection,
+   the styling field or the time changes */
+function placeDataLayer() {
+  if (!dataMarkers) return;
+  var pts = data.set.points, k = 0;
+  data.shown = [];
+  data.order.forEach(function(i) {
+    var p = pts[i];
+    if (!DataLayer.inWindow(p, data.t, data.windowMs)) return;
+    var r = markerRadius(p);
+    _dataM.compose(latLonToWorld(p.lat, p.lon, DATA_LIFT), _dataQ, _dataS.set(r, 1, r));
+    dataMarkers.setMatrixAt(k, _dataM);
+    dataMarkers.setColorAt(k, markerColour(p));
+    data.shown.push(i);
+    k++;
+  });
+  dataMarkers.count = k;
+  dataMarkers.instanceMatrix.needsUpdate = true;
+  if (dataMarkers.instanceColor) dataMarkers.instanceColor.needsUpdate = true;
+  if (data.popup) data.popup.label.anchor.copy(latLonToWorld(pts[data.popup.i].lat, pts[data.popup.i].lon, DATA_LIFT));
+}
+
+function fmtValue(v) {
+  return typeof v === "number" ? v.toLocaleString("en-US", { maximumFractionDigits: 2 }) : String(v);
+}
+
+function renderDataLegend() {
+  var box = gid("dataLegend");
+  box.innerHTML = "";
+  box.classList.toggle("hidden", !data.dom);
+  if (!data.dom) return;
+  var stops = DataLayer.legendStops(data.dom, 5);
+  var bar = document.createElement("div");
+  bar.className = "map-legend-bar";
+  bar.style.background = "linear-gradient(to right, " + stops.map(function(s) { return s.colour; }).join(", ") + ")";
+  var ends = document.createElement("div");
+  ends.className = "map-legend-ends";
+  [stops[0], stops[2], stops[4]].forEach(function(s) {
+    var span = document.createElement("span");
+    span.textContent = fmtValue(s.value);
+    ends.appendChild(span);
+  });
+  box.appendChild(bar);
+  box.appendChild(ends);
+}
+
+/* Style by field; larger markers go first so smaller ones draw on top */
+function setDataField(field) {
+  var pts = data.set.points;
+  data.field = field || null;
+  data.dom = data.field ? DataLayer.domain(pts, data.field) : null;
+  data.order = pts.map(function(p, i) { return i; });
+  data.order.sort(function(a, b) { return markerRadius(pts[b]) - markerRadius(pts[a]); });
+  renderDataLegend();
+  placeDataLayer();
+}
+
+/* Time slider position → data.t, and the readout */
+function setDataTime(step) {
+  if (!data.range) { data.t = Infinity; return; }
+  data.t = data.range[0] + (data.range[1] - data.range[0]) * step / DATA_STEPS;
+  gid("dataTime").value = step;
+  gid("dataTimeVal").textContent = Format.fmtStamp(data.t);
+  placeDataLayer();
+}
+
+function setDataPlay(on) {
+  data.playing = on;
+  gid("dataPlay").classList.toggle("playing", on);
+  gid("dataPlay").title = on ? "Pause" : "Play";
+}
+
+function tickDataLayer(dt) {
+  if (!data.playing || !data.range) return;
+  var step = +gid("dataTime").value + dt * DATA_STEPS / DATA_PLAY_S;
+  if (step >= DATA_STEPS) { step = DATA_STEPS; setDataPlay(false); }
+  setDataTime(step);
+}
+
+/* ───── POPUP ───── */
+
+function pointTitle(p) {
+  var pr = p.props;
+  return pr.title || pr.place || pr.name || pr.station || pr.callsign || Projection.fmtLatLon(p.lat, p.lon, 2);
+}
+
+function closeDataPopup() {
+  if (!data.popup) return;
+  removeScreenLabel(data.popup.label);
+  data.popup = null;
+}
+
+function openDataPopup(i) {
+  closeDataPopup();
+  var p = data.set.points[i];
+  var el = document.createElement("div");
+  el.className = "map-label data-popup";
+  el.innerHTML = '<div class="data-popup-head"><span class="map-label-text"></span>'
+               + '<button type="button" class="map-label-close" aria-label="Close">×</button></div>'
+               + '<table class="data-popup-table"><tbody></tbody></table>';
+  el.querySelector(".map-label-text").textContent = pointTitle(p);
+  var body = el.querySelector("tbody");
+  var rows = [["Position", Projection.fmtLatLon(p.lat, p.lon, 3)]];
+  if (p.time !== null) rows.push(["Time", Format.fmtStamp(p.time)]);
+  Object.keys(p.props).forEach(function(k) {
+    var v = p.props[k];
+    if (k === data.set.timeField || v === null || v === "" || typeof v === "object") return;
+    rows.push([k, fmtValue(v)]);
+  });
+  rows.forEach(function(r) {
+    var tr = document.createElement("tr");
+    r.forEach(function(t) { var td = document.createElement("td"); td.textContent = t; tr.appendChild(td); });
+    body.appendChild(tr);
+  });
+  el.querySelector(".map-label-close").addEventListener("click", closeDataPopup);
+  data.popup = { i: i, label: addScreenLabel(el, latLonToWorld(p.lat, p.lon, DATA_LIFT)) };
+  announce(pointTitle(p) + (data.field && typeof p.props[data.field] === "number" ? ", " + data.field + " " + fmtValue(p.props[data.field]) : ""));
+}
+
+/* ───── LOADING ───── */
+
+function clearDataLayer() {
+  closeDataPopup();
+  disposeMarkers();
+  setDataPlay(false);
+  data.set = data.field = data.dom = data.range = null;
+  data.order = data.shown = [];
+  gid("dataOpts").classList.add("hidden");
+  gid("dataClear").disabled = true;
+  gid("dataStatus").textContent = "";
+}
+
+function showDataSet(set, filename) {
+  clearDataLayer();
+  data.set = set;
+  data.range = DataLayer.timeRange(set.points);
+  data.t = Infinity;
+
+  var sel = gid("dataField");
+  sel.innerHTML = "";
+  sel.add(new Option("None", ""));
+  set.numeric.forEach(function(f) { sel.add(new Option(f, f)); });
+  sel.value = set.valueField || "";
+  setDataField(set.valueField);
+
+  gid("dataTimeRow").classList.toggle("hidden", !data.range);
+  buildMarkers();
+  if (data.range) setDataTime(DATA_STEPS);
+
+  gid("dataOpts").classList.remove("hidden");
+  gid("dataClear").disabled = false;
+  var n = set.points.length;
+  gid("dataStatus").textContent = set.title + ": " + n.toLocaleString("en-US") + " point" + (n === 1 ? "" : "s")
+    + (set.skipped ? " (" + set.skipped + " without a usable position skipped)" : "") + " from " + filename + ".";
+}
+
+function loadDataFile(file) {
+  var status = gid("dataStatus");
+  status.textContent = "Reading " + file.name + "…";
+  file.text().then(function(text) {
+    showDataSet(DataLayer.parse(text, file.name), file.name);
+  }).catch(function(e) {
+    console.warn("Data file failed:", e);
+    status.textContent = "Couldn't read " + file.name + " — " + e.message + ". Expected GeoJSON points or a CSV with latitude and longitude columns.";
+  });
+}
+
+function isFileDrag(e) {
+  return e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types, "Files") >= 0;
+}
+
+function initDataLayer() {
+  var file = gid("dataFile");
+  gid("dataOpen").addEventListener("click", function() { file.click(); });
+  file.addEventListener("change", function() {
+    if (file.files[0]) loadDataFile(file.files[0]);
+    file.value = "";
+  });
+  gid("dataClear").addEventListener("click", clearDataLayer);
+  gid("dataField").addEventListener("change", function() { setDataField(this.value); });
+  gid("dataTime").max = DATA_STEPS;
+  gid("dataTime").addEventListener("input", function() { setDataPlay(false); setDataTime(+this.value); });
+  gid("dataWindow").addEventListener("change", function() {
+    data.windowMs = this.value === "all" ? Infinity : +this.value * 3600e3;
+    placeDataLayer();
+  });
+  gid("dataPlay").addEventListener("click", function() {
+    if (!data.playing && +gid("dataTime").value >= DATA_STEPS) setDataTime(0);
+    setDataPlay(!data.playing);
+  });
+
+  window.addEventListener("dragover", function(e) {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  });
+  window.addEventListener("drop", function(e) {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    if (e.dataTransfer.files[0]) loadDataFile(e.dataTransfer.files[0]);
+  });
+
+  var down = null;
+  canvas.addEventListener("pointerdown", function(e) { down = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener("pointerup", function(e) {
+    if (!dataMarkers || !down || e.button !== 0 || ruler.active || route.picking) return;
+    if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > 5) return;   // was a drag
+    var hit = pickObject(e.clientX, e.clientY, dataMarkers);
+    if (hit && hit.instanceId !== undefined) openDataPopup(data.shown[hit.instanceId]);
+  });
+  document.addEventListener("keydown", function(e) {
+    if (e.key === "Escape") closeDataPopup();
+  });
+}
+
+export {
+  placeDataLayer,
+  tickDataLayer,
+  initDataLayer,
+};
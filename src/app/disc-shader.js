@@ -0,0 +1,177 @@
+/**
+ * FLAT EARTH EXPLORER — app/disc-shader.js
+ *
+ * The disc's top-face shader. topMat draws the reprojected
+ * equirectangular imagery with it; tile-layer.js compiles it with
+ * DISC_TILE and terrain.js with DISC_TERRAIN.
+ */
+
+import * as Projection from "../projection.js";
+import * as LocalSun from "../localsun.js";
+
+/* Shared with the imagery tile patches (app/tile-layer.js), which compile
+   it with DISC_TILE defined: base colour from a disc-space tile instead of
+   the reprojected equirectangular map, everything else identical. The
+   terrain mesh (app/terrain.js) compiles it with DISC_TERRAIN: displaced,
+   hillshaded and with the sea tinted by depth. */
+var DISC_GLSL = `
+    // Inverse disc projection — discLatLon(uv) → (lat, lon) radians,
+    // the same maths as Projection.inverse() in JS.
+    ${Projection.GLSL}
+
+    // Flat-earth spotlights — spotLight(ll, body), the same maths as
+    // LocalSun.groundKm() in JS
+    ${LocalSun.GLSL}
+
+    // Equirectangular texture coordinate for a lat/lon (radians)
+    vec2 equirectUV(vec2 ll){
+      return vec2(ll.y / 6.2831853 + 0.5, clamp(ll.x / 3.1415927 + 0.5, 0.002, 0.998));
+    }
+
+    #ifdef DISC_TERRAIN
+    // data/elevation.png (see heightmap.js): red ≥ 128 is land, 70 m per
+    // step, below is sea; green is sea depth, 50 m per step
+    uniform sampler2D tHeight;
+    uniform float     terrainScale;   // world units per metre, exaggeration included
+    float elevationAt(vec2 eq){
+      float v = texture2D(tHeight, eq).r * 255.0;
+      return max(v - 128.0, 0.0) * 70.0;
+    }
+    float seaDepthAt(vec2 eq){
+      return texture2D(tHeight, eq).g * 255.0 * 50.0;
+    }
+    #endif
+  `;
+
+var DISC_VERT = `
+    varying vec2 vUv;
+    varying vec3 vNorm;
+    ${DISC_GLSL}
+    void main(){
+      vUv  = uv;
+      vNorm = normalize(normalMatrix * normal);
+      vec3 p = position;
+      #ifdef DISC_TERRAIN
+      p.z += elevationAt(equirectUV(discLatLon(uv))) * terrainScale;
+      #endif
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(p,1.0);
+    }
+  `;
+var DISC_FRAG = `
+    uniform sampler2D tMap;
+    uniform sampler2D tNight;
+    uniform float     hasTex;
+    uniform float     hasNight;
+    uniform float     nightAmt;
+    uniform float     timeAmt;
+    uniform vec2      sunLL;
+    uniform vec3      sunDir;
+    uniform float     spotAmt;      // 0 = terminator / night mode, 1 = local sun spotlight
+    uniform vec2      moonLL;       // sublunar lat/lon, radians
+    uniform float     moonLight;    // illuminated fraction of the moon
+    uniform float     distortMode;  // heatmap: 0 off, 1 area scale, 2 angle error
+    #ifdef DISC_TILE
+    uniform sampler2D tTile;
+    uniform vec3      tileRect;     // u0, v0, size in disc UV
+    uniform float     tileFade;
+    #endif
+    #ifdef DISC_TERRAIN
+    uniform float     terrainMPerUv;  // real metres per unit of disc UV
+    uniform float     hillshade;      // 0..1 strength
+    #endif
+    varying vec2 vUv;
+    varying vec3 vNorm;
+    ${DISC_GLSL}
+
+    void main(){
+      float r  = length(vUv - 0.5);
+      if(r > 0.5) discard;          // circle clip — safe, no UV seam issues
+
+      float nr = r * 2.0;
+      vec3 base = mix(vec3(0.07,0.22,0.48), vec3(0.02,0.08,0.25), smoothstep(0.3,1.0,nr));
+      vec4 col  = vec4(base, 1.0);
+
+      // Textures are equirectangular lat/lon rasters — reproject per pixel.
+      // Latitude is clamped to avoid pole-row bleed; longitude wraps at ±180.
+      vec2 ll = discLatLon(vUv);
+      vec2 eq = equirectUV(ll);
+      #ifdef DISC_TILE
+      col = texture2D(tTile, (vUv - tileRect.xy) / tileRect.z);
+      #else
+      if(hasTex > 0.5){
+        col = texture2D(tMap, eq);
+      }
+      #endif
+
+      #ifdef DISC_TERRAIN
+      float hv = texture2D(tHeight, eq).r;
+      if(hv < 0.5){
+        // Sea, tinted by depth: shelf turquoise, abyss navy, trenches
+        // darker still. The square root spreads the shallow end out.
+        float d    = sqrt(clamp(seaDepthAt(eq) / 11000.0, 0.0, 1.0));
+        vec3  tint = mix(vec3(0.30,0.78,0.80), vec3(0.06,0.30,0.62), smoothstep(0.0, 0.45, d));
+        tint = mix(tint, vec3(0.01,0.05,0.20), smoothstep(0.45, 1.0, d));
+        col.rgb = mix(col.rgb, tint, 0.55);
+      } else {
+        // Hillshade lit from the upper left of the map, relief ×30
+        float e  = 0.0008;
+        float h0 = elevationAt(eq);
+        float hx = elevationAt(equirectUV(discLatLon(vUv + vec2(e, 0.0))));
+        float hy = elevationAt(equirectUV(discLatLon(vUv + vec2(0.0, e))));
+        float k  = 30.0 / (e * terrainMPerUv);
+        vec3  n  = normalize(vec3(-(hx - h0) * k, -(hy - h0) * k, 1.0));
+        float lit = dot(n, normalize(vec3(-1.0, 1.0, 1.4))) / 0.7035;
+        col.rgb *= mix(1.0, clamp(lit, 0.35, 1.5), hillshade);
+      }
+      #endif
+
+      // Subtle atmospheric limb darkening at edge
+      col.rgb *= 1.0 - smoothstep(0.38, 0.5, r) * 0.55;
+
+      // How dark this pixel is: uniform night mode, or the true solar
+      // terminator (civil twilight band ≈ cos(zenith) in ±0.1)
+      float cosZ  = sin(ll.x)*sin(sunLL.x) + cos(ll.x)*cos(sunLL.x)*cos(ll.y - sunLL.y);
+      float shade = mix(nightAmt, 1.0 - smoothstep(-0.1, 0.1, cosZ), timeAmt);
+
+      // Local sun model: day only inside the sun's spotlight, moonlight
+      // inside the moon's
+      float moonlit = 0.0;
+      if(spotAmt > 0.001){
+        shade   = mix(shade, 1.0 - spotLight(ll, sunLL), spotAmt);
+        moonlit = spotLight(ll, moonLL) * moonLight * spotAmt;
+      }
+
+      // Sun-side brightening (cheap directional tint)
+      float sunDot = dot(vNorm, sunDir) * 0.5 + 0.5;
+      col.rgb = mix(col.rgb, col.rgb * 1.18, sunDot * (1.0 - shade) * 0.4);
+
+      // Night overlay, with city lights on the dark side
+      vec3 nightCol = col.rgb * 0.08 + vec3(0.0,0.004,0.016);
+      nightCol += col.rgb * vec3(0.20,0.24,0.34) * moonlit;
+      if(hasNight > 0.5 && hasTex > 0.5){
+        vec3 lights = texture2D(tNight, eq).rgb;
+        nightCol += lights * lights * 1.4;
+      }
+      col.rgb = mix(col.rgb, nightCol, shade);
+
+      // Distortion heatmap, over day and night alike. Area: blue shrunk,
+      // red grown, ×16 either way at full strength; angle: red at 60°.
+      if(distortMode > 0.5){
+        vec2  hk = discScale(vUv);
+        float t  = distortMode < 1.5 ? clamp(log2(hk.x * hk.y) / 4.0, -1.0, 1.0)
+                                     : clamp(2.0 * asin(abs(hk.x - hk.y) / (hk.x + hk.y)) / 1.0471976, 0.0, 1.0);
+        vec3 heat = t < 0.0 ? mix(vec3(0.95), vec3(0.16,0.42,0.95), -t) : mix(vec3(0.95), vec3(0.86,0.12,0.12), t);
+        col.rgb = mix(col.rgb, heat, 0.6);
+      }
+
+      #ifdef DISC_TILE
+      col.a = tileFade;
+      #endif
+      gl_FragColor = col;
+    }
+  `;
+
+export {
+  DISC_VERT,
+  DISC_FRAG,
+};
@@ -0,0 +1,133 @@
+/**
+ * FLAT EARTH EXPLORER — app/distortion.js
+ *
+ * How the disc projection stretches the sphere: Tissot's indicatrix
+ * at a grid of points, a heatmap of area or angle distortion in the
+ * disc shader, and the values under the pointer.
+ */
+
+import * as Projection from "../projection.js";
+import { scene, topMat } from "./scene.js";
+import { terrainHeight } from "./terrain.js";
+import { gid, bindToggle } from "./ui.js";
+import { latLonToUV, uvToWorld } from "./coords.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   TISSOT INDICATRIX
+   Each ellipse is what a small circle on the globe,
+   TISSOT_DEG of arc across, becomes on the disc: its
+   axes are the projection's scale factors along the
+   spoke from the centre (h) and across it (k), drawn
+   at the centre's scale. Equal circles everywhere
+   would mean no distortion. Rebuilt with the
+   projection. The heatmap is the same sums per pixel
+   (discScale in Projection.GLSL).
+───────────────────────────────────────────────── */
+var TISSOT_DEG  = 5;          // radius of the circle on the globe, degrees of arc
+var TISSOT_STEP = 30;         // grid spacing, degrees
+var TISSOT_LIFT = 0.006;
+var TISSOT_SEGS = 40;
+var HEAT_MODES  = { off: 0, area: 1, angle: 2 };
+
+var tissot = {
+  on:    false,
+  heat:  "off",               // key of HEAT_MODES
+  group: new THREE.Group(),
+  fill:  null,
+  rim:   null,
+};
+
+/* Grid points: the poles plus every TISSOT_STEP° of latitude and longitude */
+function tissotCentres() {
+  var out = [[90, 0], [-90, 0]];
+  for (var lat = -90 + TISSOT_STEP; lat < 90; lat += TISSOT_STEP)
+    for (var lon = -180; lon < 180; lon += TISSOT_STEP) out.push([lat, lon]);
+  return out;
+}
+
+function clearTissot() {
+  [tissot.fill, tissot.rim].forEach(function(o) {
+    if (!o) return;
+    tissot.group.remove(o);
+    o.geometry.dispose();
+    o.material.dispose();
+  });
+  tissot.fill = tissot.rim = null;
+}
+
+function placeTissot() {
+  clearTissot();
+  if (!tissot.on) return;
+  var r0 = TISSOT_DEG * Math.PI / 180 * Projection.uvPerRadAtCentre();
+  var rim = Projection.rimDistance() - TISSOT_DEG * Math.PI / 180;
+  var tris = [], lines = [];
+  tissotCentres().forEach(function(ll) {
+    if (Projection.angularDistance(ll[0], ll[1]) > rim) return;   // would spill off the disc
+    var d = Projection.distortion(ll[0], ll[1]), uv = latLonToUV(ll[0], ll[1]);
+    var du = uv[0] - 0.5, dv = uv[1] - 0.5, n = Math.hypot(du, dv);
+    var ru = n > 1e-9 ? du / n : 1, rv = n > 1e-9 ? dv / n : 0;      // along the spoke; any way at the centre
+    var lift = TISSOT_LIFT + terrainHeight(ll[0], ll[1]);
+    var mid = uvToWorld(uv[0], uv[1], lift), prev = null;
+    for (var i = 0; i <= TISSOT_SEGS; i++) {
+      var a = i / TISSOT_SEGS * Math.PI * 2;
+      var x = r0 * d.h * Math.cos(a), y = r0 * d.k * Math.sin(a);
+      var p = uvToWorld(uv[0] + x * ru - y * rv, uv[1] + x * rv + y * ru, lift);
+      if (prev) {
+        tris.push(mid.x, mid.y, mid.z, prev.x, prev.y, prev.z, p.x, p.y, p.z);
+        lines.push(prev.x, prev.y, prev.z, p.x, p.y, p.z);
+      }
+      prev = p;
+    }
+  });
+  var fillGeo = new THREE.BufferGeometry();
+  fillGeo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(tris), 3));
+  tissot.fill = new THREE.Mesh(fillGeo, new THREE.MeshBasicMaterial({
+    color: 0xffb84a, transparent: true, opacity: 0.22, depthWrite: false, side: THREE.DoubleSide,
+  }));
+  var rimGeo = new THREE.BufferGeometry();
+  rimGeo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(lines), 3));
+  tissot.rim = new THREE.LineSegments(rimGeo, new THREE.LineBasicMaterial({
+    color: 0xffb84a, transparent: true, opacity: 0.9, depthWrite: false,
+  }));
+  tissot.fill.renderOrder = tissot.rim.renderOrder = 1;
+  tissot.group.add(tissot.fill, tissot.rim);
+}
+
+function setHeatmap(mode) {
+  tissot.heat = HEAT_MODES[mode] !== undefined ? mode : "off";
+  gid("distortHeat").value = tissot.heat;
+  topMat.uniforms.distortMode.value = tissot.on ? HEAT_MODES[tissot.heat] : 0;
+  gid("distortLegendArea").classList.toggle("hidden", !tissot.on || tissot.heat !== "area");
+  gid("distortLegendAngle").classList.toggle("hidden", !tissot.on || tissot.heat !== "angle");
+}
+
+function setDistortion(on) {
+  tissot.on = on;
+  gid("distortOpts").classList.toggle("hidden", !on);
+  gid("coordDistortWrap").classList.toggle("hidden", !on);
+  setHeatmap(tissot.heat);
+  placeTissot();
+}
+
+/* Pointer readout: "area ×2.41 · angles off by ≤ 17.3°" at ll, when the layer is on */
+function updateDistortionReadout(ll) {
+  if (!tissot.on || !ll) return;
+  var d = Projection.distortion(ll[0], ll[1]);
+  var area = d.areal >= 100 ? Math.round(d.areal).toLocaleString("en-US") : d.areal.toFixed(d.areal >= 10 ? 1 : 2);
+  gid("coordDistort").textContent = "area ×" + area + " · angles off by ≤ " + d.angular.toFixed(1) + "°";
+}
+
+function buildDistortionUI() {
+  scene.add(tissot.group);
+  bindToggle("toggleTissot", setDistortion);
+  gid("distortHeat").addEventListener("change", function() { setHeatmap(this.value); scheduleUrlState(); });
+}
+
+export {
+  tissot,
+  placeTissot,
+  setHeatmap,
+  updateDistortionReadout,
+  buildDistortionUI,
+};
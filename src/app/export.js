@@ -0,0 +1,273 @@
+/**
+ * FLAT EARTH EXPLORER — app/export.js
+ *
+ * High-resolution PNG stills of the current view.
+ */
+
+import * as Projection from "../projection.js";
+import * as Format from "../format.js";
+import { state } from "./state.js";
+import { renderer, scene, camera, controls } from "./scene.js";
+import { dayTextureSource } from "./assets.js";
+import { tiles, tilesActive } from "./tile-layer.js";
+import { terrain } from "./terrain.js";
+import { gid, setPressed, downloadBlob, isToggleOn } from "./ui.js";
+import { discKmPerUnit } from "./coords.js";
+import { vectorLayers } from "./vectors.js";
+import { setRoutePanelOpen } from "./routes.js";
+import { cancelFlight } from "./camera.js";
+import { screenLabels } from "./labels.js";
+import { skyDome } from "./sky.js";
+
+/* ─────────────────────────────────────────────────
+   EXPORT — high-resolution PNG stills
+   The live renderer is window-sized and doesn't keep
+   its drawing buffer, so stills are rendered offscreen:
+   the frame is split into tiles, each drawn through
+   camera.setViewOffset() into a render target, read
+   back and stitched on a 2D canvas. Output size is
+   independent of the window. An optional footer adds
+   the legend, a scale bar and attribution. Only the
+   disc view is drawn this way: the globe, split,
+   swipe and observer views render through their own
+   cameras and viewports, so export is switched off
+   while one of them is showing.
+───────────────────────────────────────────────── */
+var EXPORT_TILE   = 2048;
+var EXPORT_SIZES  = [
+  { id: "hd",     name: "HD — 1920 × 1080",          w: 1920, h: 1080 },
+  { id: "4k",     name: "4K — 3840 × 2160",          w: 3840, h: 2160 },
+  { id: "8k",     name: "8K — 7680 × 4320",          w: 7680, h: 4320 },
+  { id: "square", name: "Square — 4096 × 4096",      w: 4096, h: 4096 },
+  { id: "a3",     name: "A3 poster, 300 dpi — 4961 × 3508", w: 4961, h: 3508 },
+];
+var EXPORT_HINT   = "Renders the disc view offscreen at full size.";
+var exportOpts = { size: "4k", transparent: false, footer: true, busy: false, blocked: null };
+
+/* Render the current view at w × h into a new 2D canvas */
+function renderStill(w, h, transparent) {
+  var tile = Math.min(EXPORT_TILE, renderer.capabilities.maxTextureSize);
+  var rt   = renderer.capabilities.isWebGL2
+    ? new THREE.WebGLMultisampleRenderTarget(tile, tile, { format: THREE.RGBAFormat })
+    : new THREE.WebGLRenderTarget(tile, tile, { format: THREE.RGBAFormat });
+  var out = document.createElement("canvas");
+  out.width = w; out.height = h;
+  var ctx = out.getContext("2d");
+  var buf = new Uint8Array(tile * tile * 4);
+
+  var saved = { aspect: camera.aspect, bg: scene.background, sky: skyDome.visible, clear: renderer.getClearColor(new THREE.Color()), alpha: renderer.getClearAlpha() };
+  if (transparent) {
+    scene.background = null;
+    skyDome.visible = false;
+  }
+  renderer.setClearColor(0x000000, transparent ? 0 : 1);
+  camera.aspect = w / h;
+
+  try {
+    for (var y = 0; y < h; y += tile) {
+      for (var x = 0; x < w; x += tile) {
+        var tw = Math.min(tile, w - x), th = Math.min(tile, h - y);
+        camera.setViewOffset(w, h, x, y, tw, th);
+        rt.viewport.set(0, 0, tw, th);
+        renderer.setRenderTarget(rt);
+        renderer.clear();
+        renderer.render(scene, camera);
+        renderer.readRenderTargetPixels(rt, 0, 0, tw, th, buf);
+
+        var img = ctx.createImageData(tw, th), row = tw * 4;
+        for (var r = 0; r < th; r++) img.data.set(buf.subarray((th - 1 - r) * row, (th - r) * row), r * row);  // GL rows run bottom-up
+        if (transparent) unpremultiply(img.data);
+        ctx.putImageData(img, x, y);
+      }
+    }
+  } finally {
+    renderer.setRenderTarget(null);
+    rt.dispose();
+    camera.clearViewOffset();
+    camera.aspect = saved.aspect;
+    camera.updateProjectionMatrix();
+    scene.background = saved.bg;
+    skyDome.visible = saved.sky;
+    renderer.setClearColor(saved.clear, saved.alpha);
+  }
+  return out;
+}
+
+/* Blending over a clear (0,0,0,0) target leaves colour premultiplied by alpha;
+   ImageData wants it straight. */
+function unpremultiply(d) {
+  for (var i = 0; i < d.length; i += 4) {
+    var a = d[i+3];
+    if (a === 0 || a === 255) continue;
+    d[i]   = Math.min(255, d[i]   * 255 / a);
+    d[i+1] = Math.min(255, d[i+1] * 255 / a);
+    d[i+2] = Math.min(255, d[i+2] * 255 / a);
+  }
+}
+
+/* HTML map labels aren't part of the WebGL scene — paint them onto the still */
+function drawStillLabels(ctx, w, h) {
+  var k = h / 1080, v = new THREE.Vector3(), aspect = camera.aspect;
+  camera.aspect = w / h; camera.updateProjectionMatrix();
+  ctx.font = "500 " + (15 * k) + "px 'DM Sans', system-ui, sans-serif";
+  ctx.textAlign = "center"; ctx.textBaseline = "middle";
+  screenLabels.forEach(function(l) {
+    v.copy(l.anchor).project(camera);
+    if (v.z > 1 || Math.abs(v.x) > 1 || Math.abs(v.y) > 1) return;
+    var t = l.el.querySelector(".map-label-text");
+    var text = t ? t.textContent : l.el.textContent;
+    var x = (v.x + 1) / 2 * w, y = (1 - v.y) / 2 * h - 28 * k;
+    var tw = ctx.measureText(text).width + 22 * k, th = 28 * k;
+    ctx.fillStyle = "rgba(15,17,23,0.9)";
+    roundRect(ctx, x - tw / 2, y - th / 2, tw, th, th / 2); ctx.fill();
+    ctx.fillStyle = "#eef0f4";
+    ctx.fillText(text, x, y);
+  });
+  camera.aspect = aspect; camera.updateProjectionMatrix();
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r); ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);         ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+function stillLegend() {
+  var info = Projection.info(), bits = [info.projection + ", centred on " + info.centre];
+  var layers = [["toggleCoastlines", "coastlines"], ["toggleBorders", "borders"], ["toggleGraticule", "graticule " + vectorLayers.graticule.step + "°"]]
+    .filter(function(l){ return isToggleOn(l[0]); }).map(function(l){ return l[1]; });
+  if (terrain.on) layers.push("relief ×" + terrain.exaggeration);
+  if (layers.length) bits.push(layers.join(", "));
+  if (state.sunTime) bits.push("sun at " + new Date(state.simTime).toISOString().slice(0, 16).replace("T", " ") + " UTC");
+  else if (state.nightMode) bits.push("night");
+  return bits.join("  ·  ");
+}
+
+function stillAttribution() {
+  var src = [];
+  if (tilesActive() && tiles.manifest.attribution) src.push("Imagery: " + tiles.manifest.attribution);
+  else if (state.satellite && dayTextureSource && dayTextureSource.credit) src.push("Imagery: " + dayTextureSource.credit);
+  if (isToggleOn("toggleCoastlines") || isToggleOn("toggleBorders")) src.push("Vectors: Natural Earth");
+  if (terrain.on) src.push("Elevation: NASA Visible Earth, depths: Cesium");
+  return src.join("  ·  ");
+}
+
+/* Legend, scale bar and attribution strip, appended below the image */
+function addStillFooter(img) {
+  var w = img.width, h = img.height, fh = Math.round(Math.max(56, h * 0.06)), k = fh / 64;
+  var out = document.createElement("canvas");
+  out.width = w; out.height = h + fh;
+  var ctx = out.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+
+  ctx.fillStyle = "#0f1117"; ctx.fillRect(0, h, w, fh);
+  ctx.fillStyle = "#4aeadc"; ctx.fillRect(0, h, w, Math.max(1, Math.round(2 * k)));
+  var pad = 24 * k, mid = h + fh / 2, ui = "'DM Sans', system-ui, sans-serif";
+  ctx.textBaseline = "middle";
+
+  ctx.textAlign = "left";
+  ctx.fillStyle = "#eef0f4"; ctx.font = "700 " + (17 * k) + "px 'Syne', " + ui;
+  ctx.fillText("Flat Earth Explorer", pad, mid - 10 * k);
+  ctx.fillStyle = "#8b93a8"; ctx.font = (12 * k) + "px " + ui;
+  ctx.fillText(stillLegend(), pad, mid + 12 * k);
+
+  // Scale bar: disc km per pixel at the orbit target, at the projection's centre scale
+  var dist   = camera.position.distanceTo(controls.target);
+  var kmPerPx = dist * 2 * Math.tan(camera.fov * Math.PI / 360) / h * discKmPerUnit();
+  var km = Format.niceLength(kmPerPx * w * 0.12), len = km / kmPerPx, x0 = (w - len) / 2, yb = mid - 6 * k;
+  ctx.strokeStyle = "#eef0f4"; ctx.lineWidth = Math.max(1, 2 * k);
+  ctx.beginPath();
+  ctx.moveTo(x0, yb - 5 * k); ctx.lineTo(x0, yb); ctx.lineTo(x0 + len, yb); ctx.lineTo(x0 + len, yb - 5 * k);
+  ctx.stroke();
+  ctx.textAlign = "center"; ctx.fillStyle = "#8b93a8";
+  ctx.fillText(km.toLocaleString("en-US") + " km at the disc centre", w / 2, mid + 12 * k);
+
+  ctx.textAlign = "right";
+  ctx.fillText(stillAttribution(), w - pad, mid - 10 * k);
+  ctx.fillText(new Date().toISOString().slice(0, 10), w - pad, mid + 12 * k);
+  return out;
+}
+
+/* The view that rules out an export ("the split view"), or null in the disc view */
+function exportBlocker() {
+  if (state.observerMode) return "the observer view";
+  return state.viewMode === "disc" ? null : "the " + state.viewMode + " view";
+}
+
+/* Switch the Download button off, with the reason, outside the disc view.
+   Called whenever the view mode or the observer changes. */
+function updateExportAvailability() {
+  var blocked = exportBlocker();
+  gid("exportGo").disabled = exportOpts.busy || !!blocked;
+  if (blocked) gid("exportStatus").textContent = "Export draws the disc view only — leave " + blocked + " to export.";
+  else if (exportOpts.blocked) gid("exportStatus").textContent = EXPORT_HINT;
+  exportOpts.blocked = blocked;
+}
+
+function exportStill() {
+  if (exportOpts.busy || exportOpts.blocked) return;
+  var size = EXPORT_SIZES.filter(function(s){ return s.id === exportOpts.size; })[0];
+  exportOpts.busy = true;
+  gid("exportGo").disabled = true;
+  gid("exportStatus").textContent = "Rendering " + size.w + " × " + size.h + "…";
+  cancelFlight();
+
+  // Let the status paint before the (synchronous) tiled render blocks the page
+  setTimeout(function() {
+    var img;
+    try {
+      img = renderStill(size.w, size.h, exportOpts.transparent);
+      drawStillLabels(img.getContext("2d"), size.w, size.h);
+      if (exportOpts.footer) img = addStillFooter(img);
+    } catch (e) {
+      console.error("Export failed:", e);
+      finishExport("Export failed — try a smaller size.");
+      return;
+    }
+    img.toBlob(function(blob) {
+      if (!blob) { finishExport("Export failed — try a smaller size."); return; }
+      var name = "flat-earth-" + Projection.get().kind + "-" + size.w + "x" + size.h + ".png";
+      downloadBlob(blob, name);
+      finishExport("Saved " + name + " (" + (blob.size / 1048576).toFixed(1) + " MB)");
+    }, "image/png");
+  }, 30);
+}
+
+function finishExport(msg) {
+  exportOpts.busy = false;
+  gid("exportGo").disabled = !!exportOpts.blocked;
+  gid("exportStatus").textContent = msg;
+}
+
+function buildExportUI() {
+  var sel = gid("exportSize");
+  EXPORT_SIZES.forEach(function(s){ sel.add(new Option(s.name, s.id)); });
+  sel.value = exportOpts.size;
+  sel.addEventListener("change", function(){ exportOpts.size = sel.value; });
+  gid("exportTransparent").addEventListener("click", function() {
+    exportOpts.transparent = !exportOpts.transparent;
+    setPressed(this, exportOpts.transparent);
+  });
+  gid("exportFooter").addEventListener("click", function() {
+    exportOpts.footer = !exportOpts.footer;
+    setPressed(this, exportOpts.footer);
+  });
+  gid("btnExport").addEventListener("click", function() {
+    var open = gid("exportPanel").classList.toggle("hidden") === false;
+    setPressed(this, open);
+    if (open) setRoutePanelOpen(false);
+  });
+  gid("exportClose").addEventListener("click", function() {
+    gid("exportPanel").classList.add("hidden");
+    setPressed(gid("btnExport"), false);
+  });
+  gid("exportGo").addEventListener("click", exportStill);
+  updateExportAvailability();
+}
+
+export {
+  updateExportAvailability,
+  buildExportUI,
+};
@@ -0,0 +1,268 @@
+/**
+ * FLAT EARTH EXPLORER — app/globe.js
+ *
+ * The globe beside (or under) the disc, with linked markers, and
+ * the view modes that show them together.
+ */
+
+import * as Projection from "../projection.js";
+import * as Geodesy from "../geodesy.js";
+import * as Solar from "../solar.js";
+import { state } from "./state.js";
+import { canvas, renderer, scene, camera, controls, topMat } from "./scene.js";
+import { gid, setNav } from "./ui.js";
+import { latLonToUV, uvToWorld, worldToLatLon, discKmPerUnit, pickDisc } from "./coords.js";
+import { ruler } from "./ruler.js";
+import { viewHeading } from "./camera.js";
+import { simDate } from "./sun.js";
+import { skyGlobe } from "./sky.js";
+import { updateExportAvailability } from "./export.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   GLOBE VIEW — disc vs globe comparison
+   A WGS84-flattened sphere with the same equirectangular
+   imagery, in its own scene and camera. The disc camera
+   stays the master: the globe camera hangs above the
+   lat/lon under the orbit target, turned to the same
+   heading, at a matching altitude. Modes:
+     globe  globe only
+     split  disc left, globe right
+     swipe  both full-frame, cut at a draggable divider
+   Hovering either view marks the same place on both
+   (uvToLatLon one way, latLonToUV the other); a click
+   leaves a linked marker pair.
+───────────────────────────────────────────────── */
+var VIEW_MODES = ["disc", "globe", "split", "swipe"];
+var GLOBE_R    = 5;
+var LINK_COLORS = { hover: 0x4aeadc, placed: 0xff8a3d };
+
+var globeScene  = new THREE.Scene();
+var globeCamera = null;
+var globeMat    = new THREE.MeshPhongMaterial({ color: 0xffffff, shininess: 6, specular: 0x111111 });
+var globeMesh   = new THREE.Mesh(new THREE.SphereGeometry(GLOBE_R, 128, 64), globeMat);
+var globeAmbient = new THREE.AmbientLight(0xffffff, 0.35);
+var globeSun     = new THREE.DirectionalLight(0xfff4e0, 1.0);
+
+/* lat/lon (deg) → unit direction, matching SphereGeometry's UVs
+   (u = 0.5 at lon 0 on +X, lon 90°E towards −Z) */
+function globeDir(lat, lon, out) {
+  var p = lat * Math.PI / 180, l = lon * Math.PI / 180;
+  return (out || new THREE.Vector3()).set(Math.cos(p) * Math.cos(l), Math.sin(p), -Math.cos(p) * Math.sin(l));
+}
+function latLonToGlobe(lat, lon, lift) {
+  return globeDir(lat, lon).multiplyScalar(GLOBE_R + (lift || 0)).multiply(globeMesh.scale);
+}
+
+/* Viewport rectangles in CSS px. clipW is how much of it is actually shown
+   (swipe draws both views full-size but cuts them at the divider). */
+function discViewport() {
+  var W = window.innerWidth, H = window.innerHeight;
+  if (state.viewMode === "globe") return null;
+  if (state.viewMode === "split") return { x: 0, y: 0, w: Math.floor(W / 2), h: H, clipW: Math.floor(W / 2) };
+  if (state.viewMode === "swipe") return { x: 0, y: 0, w: W, h: H, clipW: Math.round(W * state.swipeX) };
+  return { x: 0, y: 0, w: W, h: H, clipW: W };
+}
+function globeViewport() {
+  var W = window.innerWidth, H = window.innerHeight, half = Math.floor(W / 2), cut = Math.round(W * state.swipeX);
+  if (state.viewMode === "globe") return { x: 0, y: 0, w: W, h: H, clipX: 0 };
+  if (state.viewMode === "split") return { x: half, y: 0, w: W - half, h: H, clipX: half };
+  if (state.viewMode === "swipe") return { x: 0, y: 0, w: W, h: H, clipX: cut };
+  return null;
+}
+
+/* Pointer → [lat, lon] on the globe, or null */
+var _globeRay = new THREE.Raycaster();
+function pickGlobe(clientX, clientY) {
+  var vp = globeViewport();
+  if (!vp || state.observerMode || clientX < vp.clipX) return null;
+  _globeRay.setFromCamera(new THREE.Vector2(
+    ((clientX - vp.x) / vp.w) * 2 - 1, -((clientY - vp.y) / vp.h) * 2 + 1), globeCamera);
+  var hits = _globeRay.intersectObject(globeMesh);
+  if (!hits.length) return null;
+  var q = globeMesh.worldToLocal(hits[0].point.clone()).normalize();
+  return [Math.asin(Math.max(-1, Math.min(1, q.y))) * 180 / Math.PI, Math.atan2(-q.z, q.x) * 180 / Math.PI];
+}
+
+/* Linked markers: one on the disc, one on the globe, per kind */
+var linkMarkers = {};
+
+function setLinkMarker(kind, ll) {
+  var m = linkMarkers[kind];
+  m.ll = ll;
+  m.disc.visible = m.globe.visible = !!ll && state.viewMode !== "disc";
+  if (!ll) { if (kind === "placed") gid("linkReadout").textContent = ""; return; }
+  var uv = latLonToUV(ll[0], ll[1]);
+  m.disc.visible = m.disc.visible && Math.hypot(uv[0] - 0.5, uv[1] - 0.5) <= 0.5;
+  m.disc.position.copy(uvToWorld(uv[0], uv[1], 0.02));
+  m.globe.position.copy(latLonToGlobe(ll[0], ll[1], 0.02));
+  if (kind === "placed") gid("linkReadout").textContent = Projection.fmtLatLon(ll[0], ll[1], 2);
+}
+
+var _gN = new THREE.Vector3(), _gE = new THREE.Vector3();
+function syncGlobeCamera() {
+  var t  = controls.target;
+  var ll = worldToLatLon(t);
+
+  // Face the same compass bearing as the disc view
+  var b = viewHeading() * Math.PI / 180;
+
+  var p = ll[0] * Math.PI / 180, l = ll[1] * Math.PI / 180;
+  _gN.set(-Math.sin(p) * Math.cos(l), Math.cos(p), Math.sin(p) * Math.sin(l));
+  _gE.set(-Math.sin(l), 0, -Math.cos(l));
+  var altKm = camera.position.distanceTo(t) * discKmPerUnit();
+  var dist  = GLOBE_R * Math.min(6, 1.25 + altKm / Projection.EARTH_R_KM * 0.5);
+  globeCamera.position.copy(globeDir(ll[0], ll[1])).multiplyScalar(dist);
+  globeCamera.up.copy(_gN).multiplyScalar(Math.cos(b)).addScaledVector(_gE, Math.sin(b));
+  globeCamera.lookAt(0, 0, 0);
+
+  // Lighting: the real sun in sun-time mode, otherwise a soft headlight
+  if (state.sunTime) {
+    var ss = Solar.subsolarPoint(simDate());
+    globeDir(ss.lat, ss.lon, globeSun.position).multiplyScalar(50);
+    globeAmbient.intensity = 0.12;
+  } else {
+    globeSun.position.copy(globeCamera.position).add(_gN.multiplyScalar(dist * 0.6));
+    globeAmbient.intensity = 0.35;
+  }
+  if (globeMat.map !== topMat.uniforms.tMap.value) {
+    globeMat.map = topMat.uniforms.tMap.value;
+    globeMat.needsUpdate = true;
+  }
+}
+
+function renderViews() {
+  var W = window.innerWidth, H = window.innerHeight, mode = state.viewMode;
+  if (mode === "disc") {
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, W, H);
+    renderer.render(scene, camera);
+    return;
+  }
+  syncGlobeCamera();
+  var d = discViewport(), g = globeViewport();
+  renderer.setScissorTest(true);
+  if (d) {
+    renderer.setViewport(d.x, 0, d.w, d.h);
+    renderer.setScissor(d.x, 0, d.clipW, d.h);
+    renderer.render(scene, camera);
+  }
+  renderer.setViewport(g.x, 0, g.w, g.h);
+  renderer.setScissor(g.clipX, 0, W - g.clipX, g.h);
+  renderer.render(globeScene, globeCamera);
+  renderer.setScissorTest(false);
+}
+
+/* Camera aspects and the overlay (divider, view tags) for the current mode */
+function updateViewLayout() {
+  var d = discViewport(), g = globeViewport();
+  if (d) { camera.aspect = d.w / d.h; camera.updateProjectionMatrix(); }
+  if (g) { globeCamera.aspect = g.w / g.h; globeCamera.updateProjectionMatrix(); }
+
+  var mode = state.viewMode, W = window.innerWidth;
+  gid("viewModeBar").classList.toggle("hidden", mode === "disc");
+  gid("swipeDivider").classList.toggle("hidden", mode !== "swipe" && mode !== "split");
+  gid("swipeDivider").classList.toggle("draggable", mode === "swipe");
+  var cut = mode === "swipe" ? Math.round(W * state.swipeX) : Math.floor(W / 2);
+  gid("swipeDivider").style.left = cut + "px";
+  gid("swipeDivider").tabIndex = mode === "swipe" ? 0 : -1;
+  gid("swipeDivider").setAttribute("aria-valuenow", Math.round(state.swipeX * 100));
+  gid("viewTagDisc").classList.toggle("hidden", !d || mode === "disc");
+  gid("viewTagGlobe").classList.toggle("hidden", !g);
+  gid("viewTagDisc").style.left  = (mode === "swipe" ? cut / 2 : d ? d.w / 2 : 0) + "px";
+  gid("viewTagGlobe").style.left = (mode === "swipe" ? (cut + W) / 2 : g ? g.x + g.w / 2 : 0) + "px";
+  document.querySelectorAll("#viewModeBar [data-mode]").forEach(function(b) {
+    b.classList.toggle("active", b.dataset.mode === mode);
+    b.setAttribute("aria-pressed", b.dataset.mode === mode);
+  });
+}
+
+function setViewMode(mode) {
+  if (VIEW_MODES.indexOf(mode) < 0) mode = "disc";
+  state.viewMode = mode;
+  if (!state.streetMode) setNav(mode === "disc" ? "navDisc" : "navGlobe");
+  if (mode === "disc") { setLinkMarker("hover", null); setLinkMarker("placed", null); }
+  else if (linkMarkers.placed.ll) setLinkMarker("placed", linkMarkers.placed.ll);
+  updateViewLayout();
+  updateExportAvailability();
+  scheduleUrlState();
+}
+
+/* Click (not drag) in a comparison mode drops the linked marker pair */
+var _linkDown = null;
+
+function buildViewModeUI() {
+  document.querySelectorAll("#viewModeBar [data-mode]").forEach(function(b) {
+    b.addEventListener("click", function(){ setViewMode(b.dataset.mode); });
+  });
+  gid("linkClear").addEventListener("click", function(){ setLinkMarker("placed", null); });
+
+  var div = gid("swipeDivider"), dragging = false;
+  div.addEventListener("pointerdown", function(e) {
+    if (state.viewMode !== "swipe") return;
+    dragging = true;
+    div.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
+  div.addEventListener("pointermove", function(e) {
+    if (!dragging) return;
+    state.swipeX = Math.max(0.05, Math.min(0.95, e.clientX / window.innerWidth));
+    updateViewLayout();
+  });
+  div.addEventListener("pointerup", function() { dragging = false; scheduleUrlState(); });
+  div.addEventListener("keydown", function(e) {
+    if (state.viewMode !== "swipe") return;
+    var step = e.shiftKey ? 0.1 : 0.02, x = state.swipeX;
+    if      (e.key === "ArrowLeft")  x -= step;
+    else if (e.key === "ArrowRight") x += step;
+    else if (e.key === "Home")       x = 0.05;
+    else if (e.key === "End")        x = 0.95;
+    else return;
+    e.preventDefault();
+    state.swipeX = Math.max(0.05, Math.min(0.95, x));
+    updateViewLayout();
+    scheduleUrlState();
+  });
+  updateViewLayout();
+}
+
+function initGlobe() {
+  globeScene.background = scene.background;
+  globeCamera = new THREE.PerspectiveCamera(42, window.innerWidth / window.innerHeight, 0.05, 2000);
+  globeMesh.scale.y = 1 - Geodesy.WGS84_F;
+  globeScene.add(globeMesh);
+  globeScene.add(skyGlobe);
+  globeScene.add(globeAmbient, globeSun);
+  ["hover", "placed"].forEach(function(kind) {
+    var mat  = new THREE.MeshBasicMaterial({ color: LINK_COLORS[kind], depthTest: false, transparent: true });
+    var disc = new THREE.Mesh(new THREE.SphereGeometry(0.08, 12, 8), mat);
+    var glob = new THREE.Mesh(new THREE.SphereGeometry(0.06, 12, 8), mat.clone());
+    glob.material.depthTest = true;
+    disc.renderOrder = 4;
+    disc.visible = glob.visible = false;
+    scene.add(disc); globeScene.add(glob);
+    linkMarkers[kind] = { disc: disc, globe: glob, ll: null };
+  });
+  canvas.addEventListener("pointerdown", function(e){ _linkDown = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener("pointerup", function(e) {
+    if (state.viewMode === "disc" || ruler.active || !_linkDown || e.button !== 0) return;
+    if (Math.hypot(e.clientX - _linkDown.x, e.clientY - _linkDown.y) > 5) return;
+    var hit = pickDisc(e.clientX, e.clientY);
+    var ll  = hit ? hit.ll : pickGlobe(e.clientX, e.clientY);
+    if (ll) setLinkMarker("placed", ll);
+  });
+  canvas.addEventListener("mouseleave", function(){ setLinkMarker("hover", null); });
+  buildViewModeUI();
+}
+
+export {
+  VIEW_MODES,
+  discViewport,
+  pickGlobe,
+  linkMarkers,
+  setLinkMarker,
+  renderViews,
+  updateViewLayout,
+  setViewMode,
+  initGlobe,
+};
@@ -0,0 +1,98 @@
+/**
+ * FLAT EARTH EXPLORER — app/labels.js
+ *
+ * The dropped location pin and the HTML labels that follow points
+ * on the disc.
+ */
+
+import * as Projection from "../projection.js";
+import { state } from "./state.js";
+import { scene, camera } from "./scene.js";
+import { latLonToWorld } from "./coords.js";
+import { discViewport } from "./globe.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   LOCATION PIN + SCREEN-SPACE LABELS
+   HTML labels anchored to world points, repositioned
+   every frame from the camera projection.
+───────────────────────────────────────────────── */
+var screenLabels = [];
+function addScreenLabel(el, anchor) {
+  document.body.appendChild(el);
+  var l = { el: el, anchor: anchor };
+  screenLabels.push(l);
+  return l;
+}
+function removeScreenLabel(l) {
+  var i = screenLabels.indexOf(l);
+  if (i >= 0) screenLabels.splice(i, 1);
+  if (l.el.parentNode) l.el.parentNode.removeChild(l.el);
+}
+var _lblV = new THREE.Vector3();
+function updateScreenLabels() {
+  var vp = discViewport();
+  screenLabels.forEach(function(l) {
+    _lblV.copy(l.anchor).project(camera);
+    var x = vp ? vp.x + (_lblV.x + 1) / 2 * vp.w : 0;
+    var off = !vp || _lblV.z > 1 || Math.abs(_lblV.x) > 1.1 || Math.abs(_lblV.y) > 1.1 || state.streetMode || state.observerMode
+            || x > vp.x + vp.clipW;
+    l.el.style.display = off ? "none" : "";
+    if (off) return;
+    l.el.style.transform = "translate(" + x.toFixed(1) + "px,"
+                         + (vp.y + (1 - _lblV.y) / 2 * vp.h).toFixed(1) + "px)";
+  });
+}
+
+var pin = null;
+var PIN_H = 0.55;
+
+function buildPinMesh(color) {
+  var g    = new THREE.Group();
+  var mat  = new THREE.MeshStandardMaterial({ color: color, roughness: 0.4, metalness: 0.1, emissive: color, emissiveIntensity: 0.35 });
+  var stem = new THREE.Mesh(new THREE.ConeGeometry(0.07, PIN_H * 0.7, 12), mat);
+  stem.rotation.x = Math.PI;                // point down onto the disc
+  stem.position.y = PIN_H * 0.35;
+  var head = new THREE.Mesh(new THREE.SphereGeometry(0.12, 16, 12), mat);
+  head.position.y = PIN_H * 0.75;
+  stem.castShadow = head.castShadow = true;
+  g.add(stem); g.add(head);
+  return g;
+}
+
+function dropPin(lat, lon, label) {
+  clearPin();
+  var mesh = buildPinMesh(0xff5a4e);
+  mesh.position.copy(latLonToWorld(lat, lon));
+  scene.add(mesh);
+
+  var el = document.createElement("div");
+  el.className = "map-label";
+  el.innerHTML = '<span class="map-label-text"></span><button class="map-label-close" title="Remove pin">×</button>';
+  el.querySelector(".map-label-text").textContent = label ||
+    Projection.fmtLatLon(lat, lon, 3);
+  el.querySelector(".map-label-close").addEventListener("click", clearPin);
+
+  pin = { lat: lat, lon: lon, label: label || "", mesh: mesh,
+          label3d: addScreenLabel(el, mesh.position.clone().setY(mesh.position.y + PIN_H)) };
+  scheduleUrlState();
+}
+
+function clearPin() {
+  if (!pin) return;
+  scene.remove(pin.mesh);
+  removeScreenLabel(pin.label3d);
+  pin = null;
+  scheduleUrlState();
+}
+
+export {
+  screenLabels,
+  addScreenLabel,
+  removeScreenLabel,
+  updateScreenLabels,
+  pin,
+  PIN_H,
+  dropPin,
+  clearPin,
+};
@@ -0,0 +1,189 @@
+/**
+ * FLAT EARTH EXPLORER — app/local-sky.js
+ *
+ * The flat-earth simulation mode: sun and moon bodies circling
+ * above the disc, their spotlights on the top face, and the
+ * sunrise/sunset comparison for the pinned place. localsun.js
+ * does the sums.
+ */
+
+import * as Projection from "../projection.js";
+import * as Solar from "../solar.js";
+import * as Format from "../format.js";
+import * as LocalSun from "../localsun.js";
+import { state } from "./state.js";
+import { scene, topMat, sunGlow } from "./scene.js";
+import { gid, bindToggle, setToggle } from "./ui.js";
+import { latLonToUV, uvToWorld, discKmPerUnit } from "./coords.js";
+import { pin } from "./labels.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   LOCAL SUN & MOON — flat-earth model simulation
+   With the mode on, topMat's day and night come from
+   the sun's spotlight instead of the solar terminator,
+   and the moon's spotlight adds moonlight in step with
+   its phase. Both bodies hang localSky.heightKm above
+   their subsolar / sublunar points, with today's path
+   drawn as a ring. Time is state.simTime, so the sun &
+   time controls drive the simulation (turning the mode
+   on turns them on).
+
+   The table compares the model's sunrise, sunset and
+   day length at the pin with the real ones.
+───────────────────────────────────────────────── */
+var SKY_PATH_STEPS = 180;
+var SKY_PATH_REDRAW = 0.05;     // degrees of drift in a body's latitude before its ring is redrawn
+
+var localSky = {
+  on:       false,
+  heightKm: LocalSun.DEFAULTS.heightKm,
+  spotKm:   LocalSun.DEFAULTS.spotKm,
+  group:    new THREE.Group(),
+  bodies:   null,        // { sun, moon } meshes, built on first use
+  paths:    {},          // sun / moon: { line, lat } — the latitude it was drawn for
+  dayKey:   "",          // place, local day and spotlight the rise/set rows are for
+  nowKey:   "",          // place and minute the elevation row is for
+};
+
+/* Height above the disc in world units */
+function skyLift() { return localSky.heightKm / discKmPerUnit(); }
+
+/* World position heightKm over a lat/lon — on the flat top face, relief ignored */
+function skyPoint(lat, lon) {
+  var uv = latLonToUV(lat, lon);
+  return uvToWorld(uv[0], uv[1], skyLift());
+}
+
+function buildSkyBodies() {
+  var sun = new THREE.Mesh(new THREE.SphereGeometry(0.22, 24, 16),
+                           new THREE.MeshBasicMaterial({ color: 0xffe27a }));
+  sun.add(new THREE.Mesh(new THREE.SphereGeometry(0.5, 24, 16),
+                         new THREE.MeshBasicMaterial({ color: 0xffb030, transparent: true, opacity: 0.22, depthWrite: false })));
+  var moon = new THREE.Mesh(new THREE.SphereGeometry(0.17, 24, 16),
+                            new THREE.MeshBasicMaterial({ color: 0xd8dee9 }));
+  localSky.group.add(sun, moon);
+  localSky.bodies = { sun: sun, moon: moon };
+}
+
+/* A body's path for the day: its latitude all the way round */
+function drawSkyPath(name, lat, color) {
+  var old = localSky.paths[name];
+  if (old) { localSky.group.remove(old.line); old.line.geometry.dispose(); old.line.material.dispose(); }
+  var pts = [];
+  for (var i = 0; i <= SKY_PATH_STEPS; i++) pts.push(skyPoint(lat, -180 + 360 * i / SKY_PATH_STEPS));
+  var line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts),
+                            new THREE.LineBasicMaterial({ color: color, transparent: true, opacity: 0.45 }));
+  localSky.group.add(line);
+  localSky.paths[name] = { line: line, lat: lat };
+}
+
+/* Redraw both rings for the current time (projection, height or season changed) */
+function placeLocalSky() {
+  if (!localSky.on) return;
+  var date = new Date(state.simTime);
+  drawSkyPath("sun", Solar.subsolarPoint(date).lat, 0xffc24a);
+  drawSkyPath("moon", Solar.sublunarPoint(date).lat, 0xaab4c8);
+}
+
+function tickLocalSky() {
+  var u = topMat.uniforms;
+  u.spotAmt.value += ((localSky.on ? 1 : 0) - u.spotAmt.value) * 0.04;
+  sunGlow.visible = u.spotAmt.value < 0.5;
+  if (!localSky.on) { localSky.group.visible = false; return; }
+  localSky.group.visible = true;
+
+  var date = new Date(state.simTime);
+  var ss = Solar.subsolarPoint(date), sl = Solar.sublunarPoint(date);
+  u.sunLL.value.set(ss.lat * Math.PI / 180, ss.lon * Math.PI / 180);
+  u.moonLL.value.set(sl.lat * Math.PI / 180, sl.lon * Math.PI / 180);
+  u.moonLight.value = Solar.moonIllumination(date);
+
+  localSky.bodies.sun.position.copy(skyPoint(ss.lat, ss.lon));
+  localSky.bodies.moon.position.copy(skyPoint(sl.lat, sl.lon));
+  if (Math.abs(localSky.paths.sun.lat - ss.lat) > SKY_PATH_REDRAW) drawSkyPath("sun", ss.lat, 0xffc24a);
+  if (Math.abs(localSky.paths.moon.lat - sl.lat) > SKY_PATH_REDRAW) drawSkyPath("moon", sl.lat, 0xaab4c8);
+
+  updateLocalSunReadout(date);
+}
+
+/* The comparison table, for the pin. Rise and set are worked out once
+   per place, local day and spotlight; the elevation row once a minute. */
+function updateLocalSunReadout(date) {
+  var place = gid("localSunPlace");
+  gid("localSunTable").classList.toggle("hidden", !pin);
+  if (!pin) {
+    place.textContent = "Drop a pin (search for a place) to compare its sunrise and sunset.";
+    localSky.dayKey = localSky.nowKey = "";
+    return;
+  }
+  var at  = [pin.lat, pin.lon].join(",");
+  var day = new Date(date.getTime() + pin.lon / 15 * 36e5).toISOString().slice(0, 10);   // local mean solar date
+  var dayKey = [at, day, localSky.spotKm].join(",");
+  if (dayKey !== localSky.dayKey) {
+    localSky.dayKey = dayKey;
+    var flat = LocalSun.flatDay(pin.lat, pin.lon, date, localSky.spotKm);
+    var real = LocalSun.realDay(pin.lat, pin.lon, date);
+    place.textContent = (pin.label || Projection.fmtLatLon(pin.lat, pin.lon, 2)) + ", " + day;
+    gid("lsRiseFlat").textContent = Format.fmtClock(flat.rise);
+    gid("lsRiseReal").textContent = Format.fmtClock(real.rise);
+    gid("lsSetFlat").textContent  = Format.fmtClock(flat.set);
+    gid("lsSetReal").textContent  = Format.fmtClock(real.set);
+    gid("lsDayFlat").textContent  = Format.fmtHours(flat.hours);
+    gid("lsDayReal").textContent  = Format.fmtHours(real.hours);
+  }
+  var nowKey = [at, Math.floor(date.getTime() / 6e4), localSky.heightKm].join(",");
+  if (nowKey !== localSky.nowKey) {
+    localSky.nowKey = nowKey;
+    var ss = Solar.subsolarPoint(date);
+    var lit = LocalSun.groundKm(pin.lat, pin.lon, ss.lat, ss.lon) < localSky.spotKm;
+    gid("lsElevFlat").textContent = LocalSun.elevation(pin.lat, pin.lon, ss, localSky.heightKm).toFixed(1) + "°"
+                                  + (lit ? "" : " (dark)");
+    gid("lsElevReal").textContent = LocalSun.realAltitude(pin.lat, pin.lon, ss).toFixed(1) + "°";
+  }
+}
+
+function setLocalSky(on) {
+  localSky.on = on;
+  gid("localSunOpts").classList.toggle("hidden", !on);
+  if (!on) return;
+  if (!localSky.bodies) buildSkyBodies();
+  if (!state.sunTime) setToggle("toggleSunTime", true);
+  localSky.dayKey = localSky.nowKey = "";
+  placeLocalSky();
+}
+
+function setLocalSkyHeight(km) {
+  localSky.heightKm = km;
+  gid("localSunHeightVal").textContent = Format.fmtKm(km);
+  placeLocalSky();
+}
+
+function setLocalSkySpot(km) {
+  localSky.spotKm = km;
+  gid("localSunSpotVal").textContent = Format.fmtKm(km);
+  topMat.uniforms.spotRadius.value = LocalSun.spotRadians(km);
+}
+
+function buildLocalSkyUI() {
+  localSky.group.visible = false;
+  scene.add(localSky.group);
+  bindToggle("toggleLocalSun", setLocalSky);
+  gid("localSunHeight").addEventListener("input", function(){ setLocalSkyHeight(+this.value); });
+  gid("localSunSpot").addEventListener("input", function(){ setLocalSkySpot(+this.value); });
+  gid("localSunHeight").addEventListener("change", scheduleUrlState);
+  gid("localSunSpot").addEventListener("change", scheduleUrlState);
+  gid("localSunHeight").value = localSky.heightKm;
+  gid("localSunSpot").value   = localSky.spotKm;
+  setLocalSkyHeight(localSky.heightKm);
+  setLocalSkySpot(localSky.spotKm);
+}
+
+export {
+  localSky,
+  placeLocalSky,
+  tickLocalSky,
+  setLocalSkyHeight,
+  setLocalSkySpot,
+  buildLocalSkyUI,
+};
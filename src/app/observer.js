@@ -0,0 +1,491 @@
+/**
+ * FLAT EARTH EXPLORER — app/observer.js
+ *
+ * First-person view standing on the disc: walk and look around,
+ * watch a ship or tower out at range, and switch the ground
+ * between the flat plane and a curved globe to see how much of
+ * it the horizon hides. horizon.js does the sums.
+ */
+
+import * as Projection from "../projection.js";
+import * as Geodesy from "../geodesy.js";
+import * as Format from "../format.js";
+import * as Horizon from "../horizon.js";
+import { DISC_R, ICE_WALL_UV, state } from "./state.js";
+import { canvas, renderer, controls } from "./scene.js";
+import { gid, bindToggle, setToggle } from "./ui.js";
+import { latLonToUV, latLonToWorld, worldToLatLon, discKmPerUnit } from "./coords.js";
+import { keysHeld, keyTargetIsField } from "./camera.js";
+import { openStreetView } from "./street-view.js";
+import { updateExportAvailability } from "./export.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   OBSERVER — eye-level view, flat vs curved
+   Its own scene in metres with the eye at the origin
+   (plus eye height), so nothing here has to share
+   depth or scale with the disc. Positions are kept on
+   the disc plane (world x, z in metres): the observer
+   walks on it, and the object sits at an offset from
+   them that walking eats into.
+
+   Flat: the ground runs out to the ice wall, a circle
+   round the disc centre, and every object stays in
+   full view, only smaller. Curved: the ground is a
+   cap of a sphere of the Earth's radius (larger with
+   refraction), and the part of the object below the
+   sightline grazing the horizon is clipped off, the
+   same figure the readout gives.
+
+   Everything is drawn back to front with depth tests
+   off: sky, ground, wall, then the object's parts in
+   order, which at these ranges is all the sorting
+   it needs.
+───────────────────────────────────────────────── */
+var EYE_SLIDER_DECADES = 25;        // slider steps per factor of ten in eye height (1 m at 0)
+var WALK_MPS      = 25;             // brisker than a walk, so the distances here go by
+var TURN_RATE     = Math.PI / 3;    // rad/s on the arrow keys
+var LOOK_RATE     = 0.004;          // rad per px dragged, at 60° field of view
+var WALL_RISE     = 0.42;           // the ice wall's snow cap over the top face, scene units
+var CAP_RINGS     = 260;            // curved ground: rings out from the feet, 1.06× apart
+var CAP_SEGS      = 128;
+var FOV_RANGE     = [0.5, 75];
+var OBJECTS = {
+  ship:  { label: "ship",  height: 40 },
+  tower: { label: "tower", height: 120 },
+};
+
+var observer = {
+  on:         false,
+  lat:        0,
+  lon:        0,
+  pos:        new THREE.Vector2(),   // feet on the disc plane, m
+  yaw:        0,                     // rad; 0 faces world −z
+  pitch:      0,
+  eye:        1.7,                   // m
+  fov:        60,
+  curved:     false,
+  refraction: false,
+  object:     "ship",
+  height:     OBJECTS.ship.height,   // m
+  offset:     new THREE.Vector2(),   // object from the feet, m
+  key:        "",                    // what the readout was last written for
+};
+
+var obsScene  = new THREE.Scene();
+var obsCamera = null;
+var obs = { sky: null, flat: null, wall: null, cap: null, capR: 0, object: null, clip: new THREE.Plane(), sun: null };
+
+function metresPerUnit() { return discKmPerUnit() * 1000; }
+
+/* Disc-plane unit vector facing yaw */
+function facing(yaw) { return new THREE.Vector2(-Math.sin(yaw), -Math.cos(yaw)); }
+
+/* Yaw that faces a disc-plane direction */
+function yawOf(dx, dz) { return Math.atan2(-dx, -dz); }
+
+function worldAt(pos) {
+  var k = metresPerUnit();
+  return new THREE.Vector3(pos.x / k, 0, pos.y / k);
+}
+
+/* Compass bearing of a disc-plane direction from the feet */
+function bearingOf(dir) {
+  var here = worldToLatLon(worldAt(observer.pos));
+  var ahead = worldToLatLon(worldAt(dir.clone().setLength(1000).add(observer.pos)));
+  return Geodesy.sphericalBearing(here[0], here[1], ahead[0], ahead[1]);
+}
+
+/* Map north from lat/lon, as a disc-plane direction */
+function mapNorth(lat, lon) {
+  var a = latLonToUV(Math.min(lat, 89.9), lon), b = latLonToUV(Math.min(lat, 89.9) + 0.1, lon);
+  return new THREE.Vector2(b[0] - a[0], a[1] - b[1]).normalize();   // uv v runs against world z
+}
+
+/* ─── Scene ─── */
+var SKY_VERT = [
+  "varying vec3 vDir;",
+  "void main(){",
+  "  vDir = normalize(position);",
+  "  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);",
+  "}",
+].join("\n");
+var SKY_FRAG = [
+  "varying vec3 vDir;",
+  "uniform vec3 zenith; uniform vec3 haze;",
+  "void main(){",
+  "  gl_FragColor = vec4(mix(haze, zenith, pow(clamp(vDir.y, 0.0, 1.0), 0.45)), 1.0);",
+  "}",
+].join("\n");
+
+var HAZE = 0xb9cde0;
+
+function partMat(color, clip) {
+  return new THREE.MeshLambertMaterial({ color: color, depthTest: false, depthWrite: false, clippingPlanes: clip });
+}
+
+function buildObserverScene() {
+  obsCamera = new THREE.PerspectiveCamera(observer.fov, window.innerWidth / window.innerHeight, 0.5, 1e8);
+  obsCamera.rotation.order = "YXZ";
+  obsScene.fog = new THREE.Fog(HAZE, 2e3, 1.5e6);
+  obsScene.add(new THREE.HemisphereLight(0xdfefff, 0x2a3a4a, 0.75));
+  obs.sun = new THREE.DirectionalLight(0xfff4e0, 0.7);
+  obs.sun.position.set(-0.4, 0.8, 0.3);
+  obsScene.add(obs.sun);
+
+  obs.sky = new THREE.Mesh(new THREE.SphereGeometry(9e7, 32, 16), new THREE.ShaderMaterial({
+    uniforms: { zenith: { value: new THREE.Color(0x3d6fb0) }, haze: { value: new THREE.Color(HAZE) } },
+    vertexShader: SKY_VERT, fragmentShader: SKY_FRAG,
+    side: THREE.BackSide, depthTest: false, depthWrite: false,
+  }));
+  obs.sky.renderOrder = 0;
+  obsScene.add(obs.sky);
+
+  var sea = new THREE.MeshBasicMaterial({ color: 0x27506e, depthTest: false, depthWrite: false });
+  obs.flat = new THREE.Mesh(new THREE.CircleGeometry(1, 256).rotateX(-Math.PI / 2), sea);
+  obs.flat.renderOrder = 1;
+  obs.cap = new THREE.Mesh(new THREE.BufferGeometry(), sea);
+  obs.cap.renderOrder = 1;
+  obsScene.add(obs.flat, obs.cap);
+
+  obs.wall = new THREE.Mesh(new THREE.CylinderGeometry(1, 1, 1, 256, 1, true).translate(0, 0.5, 0),
+                            new THREE.MeshBasicMaterial({ color: 0xe4eef8, side: THREE.DoubleSide, depthTest: false, depthWrite: false, fog: false }));
+  obs.wall.renderOrder = 2;
+  obsScene.add(obs.wall);
+
+  renderer.localClippingEnabled = true;
+  setObserverObject(observer.object);
+}
+
+/* Curved ground for radius R: rings round the feet, tight close in where the
+   horizon is and opening out beyond, exact heights so the horizon is true */
+function buildCap(R) {
+  var pos = [0, 0, 0], idx = [];
+  var r = 1;
+  for (var i = 0; i < CAP_RINGS; i++, r *= 1.06) {
+    var p = Horizon.surfacePoint(r, R);
+    for (var j = 0; j < CAP_SEGS; j++) {
+      var a = j / CAP_SEGS * Math.PI * 2;
+      pos.push(p[0] * Math.cos(a), -p[1], p[0] * Math.sin(a));
+      var cur = 1 + i * CAP_SEGS + j, next = 1 + i * CAP_SEGS + (j + 1) % CAP_SEGS;
+      if (i === 0) idx.push(0, next, cur);
+      else idx.push(cur - CAP_SEGS, next - CAP_SEGS, cur, next - CAP_SEGS, next, cur);
+    }
+  }
+  var g = new THREE.BufferGeometry();
+  g.setAttribute("position", new THREE.Float32BufferAttribute(pos, 3));
+  g.setIndex(idx);
+  obs.cap.geometry.dispose();
+  obs.cap.geometry = g;
+  obs.capR = R;
+}
+
+/* The object, built to height h with its parts in drawing order */
+function buildShip(h, clip) {
+  var g = new THREE.Group();
+  function part(w, ht, d, y, x, color) {
+    var m = new THREE.Mesh(new THREE.BoxGeometry(w * h, ht * h, d * h),
+                           partMat(color, clip));
+    m.position.set(x * h, (y + ht / 2) * h, 0);
+    m.renderOrder = 3 + g.children.length;
+    g.add(m);
+  }
+  part(4.0,  0.35, 0.6,  0,    0,    0x7a1f1f);   // hull
+  part(0.7,  0.40, 0.5,  0.35, -1.4, 0xf2f2ee);   // bridge and accommodation
+  part(0.22, 0.25, 0.22, 0.75, -1.25, 0x2b2b2b);  // funnel
+  part(0.05, 0.55, 0.05, 0.35, 1.2,  0xd8d8d8);   // foremast
+  return g;
+}
+
+function buildTower(h, clip) {
+  var g = new THREE.Group();
+  function part(r0, r1, ht, y, color) {
+    var m = new THREE.Mesh(new THREE.CylinderGeometry(r1 * h, r0 * h, ht * h, 24),
+                           partMat(color, clip));
+    m.position.y = (y + ht / 2) * h;
+    m.renderOrder = 3 + g.children.length;
+    g.add(m);
+  }
+  part(0.09, 0.06, 0.8,  0,   0xf4f1ea);   // shaft
+  part(0.06, 0.06, 0.1,  0.8, 0xc0342c);   // gallery band
+  part(0.05, 0.03, 0.1,  0.9, 0xfff2b0);   // lantern
+  return g;
+}
+
+function setObserverObject(kind) {
+  if (obs.object) {
+    obsScene.remove(obs.object);
+    obs.object.traverse(function(o) { if (o.isMesh) { o.geometry.dispose(); o.material.dispose(); } });
+  }
+  observer.object = kind;
+  obs.object = (kind === "tower" ? buildTower : buildShip)(observer.height, [obs.clip]);
+  obsScene.add(obs.object);
+  observer.key = "";
+}
+
+/* ─── Per frame ─── */
+var _u3 = new THREE.Vector3(), _w3 = new THREE.Vector3(), _t3 = new THREE.Vector3(), _e3 = new THREE.Vector3();
+var _yAxis = new THREE.Vector3(0, 1, 0), _tilt = new THREE.Quaternion(), _yawQ = new THREE.Quaternion();
+
+function placeObserverScene() {
+  var k = metresPerUnit(), discR = DISC_R * k;
+  var d = observer.offset.length(), u = observer.offset.clone().divideScalar(d || 1);
+  _u3.set(u.x, 0, u.y);
+  _yawQ.setFromAxisAngle(_yAxis, Math.atan2(u.x, u.y));    // broadside on to the sightline
+  obs.flat.visible = obs.wall.visible = !observer.curved;
+  obs.cap.visible = observer.curved;
+
+  if (!observer.curved) {
+    obs.flat.scale.setScalar(discR);
+    obs.flat.position.set(-observer.pos.x, 0, -observer.pos.y);
+    obs.wall.scale.set(discR, WALL_RISE * k, discR);
+    obs.wall.position.copy(obs.flat.position);
+    obs.object.position.set(observer.offset.x, 0, observer.offset.y);
+    obs.object.quaternion.copy(_yawQ);
+    obs.clip.set(_yAxis, 1e12);                             // keeps everything
+    return;
+  }
+
+  var R = Horizon.radius(observer.refraction);
+  if (R !== obs.capR) buildCap(R);
+  var p = Horizon.surfacePoint(d, R);
+  obs.object.position.copy(_u3).multiplyScalar(p[0]).setY(-p[1]);
+  _tilt.setFromAxisAngle(_w3.crossVectors(_yAxis, _u3).normalize(), d / R);
+  obs.object.quaternion.copy(_tilt).multiply(_yawQ);
+
+  // Clip below the sightline that grazes the horizon (only past it)
+  var dh = Horizon.horizonDistance(observer.eye, R);
+  if (d <= dh) { obs.clip.set(_yAxis, 1e12); return; }
+  var t = Horizon.surfacePoint(dh, R);
+  _e3.set(0, observer.eye, 0);
+  _t3.copy(_u3).multiplyScalar(t[0]).setY(-t[1]).sub(_e3);
+  var n = new THREE.Vector3().crossVectors(_t3, _w3).normalize();
+  if (n.y < 0) n.negate();
+  obs.clip.setFromNormalAndCoplanarPoint(n, _e3);
+}
+
+function tickObserver(dt) {
+  if (!observer.on) return;
+  var k = keysHeld;
+  observer.yaw += ((k.left ? 1 : 0) - (k.right ? 1 : 0)) * TURN_RATE * dt;
+  var walk = ((k.up ? 1 : 0) - (k.down ? 1 : 0)) * WALK_MPS * dt;
+  if (walk) {
+    var step = facing(observer.yaw).multiplyScalar(walk);
+    var limit = ICE_WALL_UV * 2 * DISC_R * metresPerUnit();
+    var next = observer.pos.clone().add(step);
+    if (next.length() > limit) { next.setLength(limit); step.subVectors(next, observer.pos); }
+    observer.pos.copy(next);
+    observer.offset.sub(step);
+    var ll = worldToLatLon(worldAt(observer.pos));
+    observer.lat = ll[0]; observer.lon = ll[1];
+    scheduleUrlState();
+  }
+  if (k.in || k.out) setObserverFov(observer.fov * Math.exp(((k.out ? 1 : 0) - (k.in ? 1 : 0)) * dt));
+
+  obsCamera.position.set(0, observer.eye, 0);
+  obsCamera.rotation.set(observer.pitch, observer.yaw, 0);
+  placeObserverScene();
+  updateObserverReadout();
+}
+
+function renderObserver() {
+  var aspect = window.innerWidth / window.innerHeight;
+  if (obsCamera.aspect !== aspect || obsCamera.fov !== observer.fov) {
+    obsCamera.aspect = aspect;
+    obsCamera.fov = observer.fov;
+    obsCamera.updateProjectionMatrix();
+  }
+  renderer.setScissorTest(false);
+  renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+  renderer.render(obsScene, obsCamera);
+}
+
+/* ─── Readout ─── */
+function fmtLength(m) {
+  if (!isFinite(m)) return "none";
+  return m < 1000 ? Format.fmtMetres(m) : Format.fmtDistance(m / 1000);
+}
+
+function updateObserverReadout() {
+  var d = observer.offset.length();
+  var key = [Math.round(d), observer.eye, observer.height, observer.refraction, observer.object,
+             Math.round(observer.yaw * 180 / Math.PI), observer.fov.toFixed(1)].join(",");
+  if (key === observer.key) return;
+  observer.key = key;
+  var flat  = Horizon.sightline(d, observer.eye, observer.height, { flat: true });
+  var globe = Horizon.sightline(d, observer.eye, observer.height, { refraction: observer.refraction });
+  var name = OBJECTS[observer.object].label;
+  gid("obsWhere").textContent = Projection.fmtLatLon(observer.lat, observer.lon, 3) + " · facing "
+    + Math.round((bearingOf(facing(observer.yaw)) + 360) % 360) + "° · " + (60 / observer.fov).toFixed(1) + "× zoom";
+  gid("obsTarget").textContent = "The " + name + " is " + Format.fmtDistance(d / 1000) + " away, bearing "
+    + Math.round((bearingOf(observer.offset) + 360) % 360) + "°.";
+  gid("obsHorizonFlat").textContent  = fmtLength(flat.horizon);
+  gid("obsHorizonGlobe").textContent = fmtLength(globe.horizon);
+  gid("obsDipFlat").textContent      = "0°";
+  gid("obsDipGlobe").textContent     = globe.dip.toFixed(3) + "°";
+  gid("obsHiddenFlat").textContent   = Format.fmtMetres(flat.hidden);
+  gid("obsHiddenGlobe").textContent  = globe.visible <= 0 ? "all of it" : Format.fmtMetres(globe.hidden);
+  gid("obsAngleFlat").textContent    = flat.angle.toFixed(3) + "°";
+  gid("obsAngleGlobe").textContent   = globe.angle.toFixed(3) + "°";
+}
+
+/* ─── Controls ─── */
+function eyeFromSlider(v) { return Math.pow(10, v / EYE_SLIDER_DECADES); }
+function sliderFromEye(m) { return Math.round(Math.log10(m) * EYE_SLIDER_DECADES); }
+
+function setObserverEye(m) {
+  observer.eye = m;
+  gid("obsEye").value = sliderFromEye(m);
+  gid("obsEyeVal").textContent = Format.fmtMetres(m);
+}
+
+function setObserverHeight(m) {
+  observer.height = m;
+  gid("obsHeight").value = m;
+  gid("obsHeightVal").textContent = Format.fmtMetres(m);
+  setObserverObject(observer.object);
+}
+
+function setObserverDistance(km) {
+  if (observer.offset.lengthSq() === 0) observer.offset.copy(facing(observer.yaw));
+  observer.offset.setLength(km * 1000);
+  gid("obsDist").value = km;
+  gid("obsDistVal").textContent = Format.fmtDistance(km);
+}
+
+function setObserverFov(fov) {
+  observer.fov = Math.max(FOV_RANGE[0], Math.min(FOV_RANGE[1], fov));
+}
+
+function setObserverCurved(on) {
+  observer.curved = on;
+  gid("obsRefractionRow").classList.toggle("hidden", !on);
+  scheduleUrlState();
+}
+
+function setObserverRefraction(on) {
+  observer.refraction = on;
+  scheduleUrlState();
+}
+
+/* Put the object straight ahead at the slider's distance */
+function placeObjectAhead() {
+  observer.offset.copy(facing(observer.yaw)).multiplyScalar(+gid("obsDist").value * 1000);
+  observer.pitch = 0;
+  scheduleUrlState();
+}
+
+/**
+ * Stand at lat/lon. view (optional) carries on a shared view:
+ * { heading, eye, dist, curve } with curve 0 flat, 1 globe, 2 globe
+ * with refraction; otherwise the observer faces map north with the
+ * object ahead.
+ */
+function enterObserver(lat, lon, view) {
+  var w = latLonToWorld(lat, lon);
+  observer.on = true;
+  state.observerMode = true;
+  observer.lat = lat; observer.lon = lon;
+  observer.pos.set(w.x, w.z).multiplyScalar(metresPerUnit());
+  var n = mapNorth(lat, lon);
+  observer.yaw = yawOf(n.x, n.y);
+  observer.pitch = 0;
+  if (view) {
+    // Bearings turn the opposite way to yaw; a few steps settle it on any projection
+    for (var i = 0; i < 4; i++) observer.yaw -= (((view.heading || 0) - bearingOf(facing(observer.yaw)) + 540) % 360 - 180) * Math.PI / 180;
+    if (view.eye > 0) setObserverEye(view.eye);
+    setToggle("toggleObsCurve", view.curve >= 1);
+    setToggle("toggleObsRefraction", view.curve === 2);
+  }
+  var km = view && view.dist > 0 ? view.dist : +gid("obsDist").value;
+  observer.offset.copy(facing(observer.yaw));
+  setObserverDistance(km);
+  observer.key = "";
+  controls.enabled = false;
+  gid("observerPanel").classList.remove("hidden");
+  gid("obsHint").classList.remove("hidden");
+  updateExportAvailability();
+  scheduleUrlState();
+}
+
+function exitObserver() {
+  if (!observer.on) return;
+  observer.on = false;
+  state.observerMode = false;
+  controls.enabled = true;
+  gid("observerPanel").classList.add("hidden");
+  gid("obsHint").classList.add("hidden");
+  updateExportAvailability();
+  scheduleUrlState();
+}
+
+/* Heading (deg) of the view, for the URL */
+function observerHeading() { return (bearingOf(facing(observer.yaw)) + 360) % 360; }
+
+function bindObserverLook() {
+  var drag = null;
+  canvas.addEventListener("pointerdown", function(e) {
+    if (!observer.on || e.button !== 0) return;
+    drag = { x: e.clientX, y: e.clientY };
+    canvas.setPointerCapture(e.pointerId);
+  });
+  canvas.addEventListener("pointermove", function(e) {
+    if (!drag) return;
+    var k = LOOK_RATE * observer.fov / 60;
+    observer.yaw   += (e.clientX - drag.x) * k;
+    observer.pitch  = Math.max(-1.4, Math.min(1.4, observer.pitch + (e.clientY - drag.y) * k));
+    drag = { x: e.clientX, y: e.clientY };
+  });
+  canvas.addEventListener("pointerup", function() { if (drag) { drag = null; scheduleUrlState(); } });
+  document.addEventListener("keydown", function(e) {
+    if (observer.on && e.key === "Escape" && !keyTargetIsField(e)) exitObserver();
+  });
+  canvas.addEventListener("wheel", function(e) {
+    if (!observer.on) return;
+    e.preventDefault();
+    setObserverFov(observer.fov * Math.exp(e.deltaY * 0.001));
+  }, { passive: false });
+}
+
+function buildObserverUI() {
+  buildObserverScene();
+  bindObserverLook();
+  bindToggle("toggleObsCurve", setObserverCurved);
+  bindToggle("toggleObsRefraction", setObserverRefraction);
+  gid("obsEye").addEventListener("input", function() { setObserverEye(eyeFromSlider(+this.value)); });
+  gid("obsHeight").addEventListener("input", function() { setObserverHeight(+this.value); });
+  gid("obsDist").addEventListener("input", function() { setObserverDistance(+this.value); });
+  ["obsEye", "obsHeight", "obsDist"].forEach(function(id) { gid(id).addEventListener("change", scheduleUrlState); });
+  gid("obsObject").addEventListener("change", function() {
+    observer.object = this.value;
+    setObserverHeight(OBJECTS[this.value].height);
+    scheduleUrlState();
+  });
+  gid("obsAhead").addEventListener("click", placeObjectAhead);
+  gid("obsStreet").addEventListener("click", function() {
+    var lat = observer.lat, lon = observer.lon;
+    exitObserver();
+    openStreetView(lat, lon);
+  });
+  gid("obsClose").addEventListener("click", exitObserver);
+  Projection.onChange(function() {          // same place, new spot on the disc
+    if (!observer.on) return;
+    var w = latLonToWorld(observer.lat, observer.lon);
+    observer.pos.set(w.x, w.z).multiplyScalar(metresPerUnit());
+  });
+  setObserverEye(observer.eye);
+  setObserverHeight(observer.height);
+  setObserverDistance(+gid("obsDist").value);
+}
+
+export {
+  OBJECTS,
+  observer,
+  tickObserver,
+  renderObserver,
+  setObserverHeight,
+  enterObserver,
+  exitObserver,
+  observerHeading,
+  buildObserverUI,
+};
@@ -0,0 +1,252 @@
+/**
+ * FLAT EARTH EXPLORER — app/placemark-layer.js
+ *
+ * User placemarks on the disc and their editor; placemarks.js
+ * stores them.
+ */
+
+import * as Projection from "../projection.js";
+import * as Placemarks from "../placemarks.js";
+import { canvas, scene } from "./scene.js";
+import { gid, downloadBlob, closePanel } from "./ui.js";
+import { latLonToWorld, pickDisc } from "./coords.js";
+import { frameLatLon } from "./camera.js";
+import { addScreenLabel, removeScreenLabel } from "./labels.js";
+import { announce, describeLatLon } from "./a11y.js";
+
+/* ─────────────────────────────────────────────────
+   PLACEMARKS — user annotations
+   Right-click the disc to add one. Each is a sprite
+   standing on its disc position plus an HTML label;
+   the Placemarks store persists them and handles
+   GeoJSON/KML. The side-panel list flies to them.
+───────────────────────────────────────────────── */
+var PM_SIZE   = 0.42;
+var pmGroup   = new THREE.Group();
+var pmObjects = {};           // id → { sprite, label }
+var pmTextures = {};          // "icon|color" → CanvasTexture
+var pmEdit    = null;         // placemark being edited: { id|null, lat, lon, color, icon }
+
+/* Marker artwork: the icon shape on a short stem whose foot is the anchor point */
+function placemarkTexture(icon, color) {
+  var key = icon + "|" + color;
+  if (pmTextures[key]) return pmTextures[key];
+  var S = 128, c = document.createElement("canvas");
+  c.width = c.height = S;
+  var g = c.getContext("2d"), cx = S / 2, cy = S * 0.34, r = S * 0.26;
+  g.lineWidth = S * 0.04; g.strokeStyle = "rgba(10,12,18,0.85)"; g.fillStyle = color;
+  g.lineJoin = "round";
+
+  if (icon !== "pin") {
+    g.beginPath(); g.moveTo(cx, cy); g.lineTo(cx, S - 2);
+    g.lineWidth = S * 0.05; g.stroke();
+    g.strokeStyle = color; g.lineWidth = S * 0.025; g.stroke();
+    g.lineWidth = S * 0.04; g.strokeStyle = "rgba(10,12,18,0.85)";
+  }
+  g.beginPath();
+  if (icon === "pin") {
+    g.arc(cx, cy, r, Math.PI * 0.8, Math.PI * 0.2);
+    g.lineTo(cx, S - 2);
+    g.closePath();
+  } else if (icon === "star") {
+    for (var i = 0; i < 10; i++) {
+      var a = -Math.PI / 2 + i * Math.PI / 5, rr = i % 2 ? r * 0.45 : r * 1.1;
+      g.lineTo(cx + Math.cos(a) * rr, cy + Math.sin(a) * rr);
+    }
+    g.closePath();
+  } else if (icon === "flag") {
+    g.moveTo(cx, cy - r); g.lineTo(cx + r * 1.5, cy - r * 0.55); g.lineTo(cx, cy - r * 0.1);
+    g.closePath();
+  } else if (icon === "square") {
+    g.rect(cx - r * 0.8, cy - r * 0.8, r * 1.6, r * 1.6);
+  } else if (icon === "triangle") {
+    g.moveTo(cx, cy - r); g.lineTo(cx + r, cy + r * 0.75); g.lineTo(cx - r, cy + r * 0.75);
+    g.closePath();
+  } else {
+    g.arc(cx, cy, r * 0.8, 0, Math.PI * 2);
+  }
+  g.fill(); g.stroke();
+  if (icon === "pin") {
+    g.beginPath(); g.arc(cx, cy, r * 0.38, 0, Math.PI * 2);
+    g.fillStyle = "rgba(10,12,18,0.6)"; g.fill();
+  }
+  return (pmTextures[key] = new THREE.CanvasTexture(c));
+}
+
+function placemarkLabelEl(p) {
+  var el = document.createElement("div");
+  el.className = "map-label placemark-label";
+  el.innerHTML = '<span class="map-label-swatch"></span><span class="map-label-text"></span>';
+  el.title = p.notes || "";
+  el.querySelector(".map-label-swatch").style.background = p.color;
+  el.querySelector(".map-label-text").textContent = p.name;
+  el.addEventListener("click", function(){ flyToPlacemark(p.id); });
+  el.addEventListener("contextmenu", function(e){ e.preventDefault(); openPlacemarkEditor(Placemarks.get(p.id)); });
+  return el;
+}
+
+function clearPlacemarkObjects() {
+  Object.keys(pmObjects).forEach(function(id) {
+    var o = pmObjects[id];
+    pmGroup.remove(o.sprite);
+    o.sprite.material.dispose();
+    removeScreenLabel(o.label);
+  });
+  pmObjects = {};
+}
+
+function rebuildPlacemarks(list) {
+  clearPlacemarkObjects();
+  list.forEach(function(p) {
+    var sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: placemarkTexture(p.icon, p.color) }));
+    sprite.center.set(0.5, 0);
+    sprite.scale.set(PM_SIZE, PM_SIZE, 1);
+    sprite.renderOrder = 2;
+    sprite.userData.placemark = p;
+    pmGroup.add(sprite);
+    pmObjects[p.id] = { sprite: sprite, label: addScreenLabel(placemarkLabelEl(p), new THREE.Vector3()) };
+  });
+  positionPlacemarks();
+  renderPlacemarkList(list);
+}
+
+function positionPlacemarks() {
+  Object.keys(pmObjects).forEach(function(id) {
+    var o = pmObjects[id], p = o.sprite.userData.placemark;
+    o.sprite.position.copy(latLonToWorld(p.lat, p.lon));
+    o.label.anchor.copy(o.sprite.position).setY(o.sprite.position.y + PM_SIZE * 0.75);
+  });
+}
+
+function flyToPlacemark(id) {
+  var p = Placemarks.get(id);
+  if (!p) return;
+  gid("coordLat").textContent = Projection.fmtLat(p.lat, 3);
+  gid("coordLon").textContent = Projection.fmtLon(p.lon, 3);
+  frameLatLon(p.lat, p.lon);
+}
+
+function renderPlacemarkList(list) {
+  var ul = gid("placemarkList");
+  ul.innerHTML = "";
+  gid("placemarkEmpty").classList.toggle("hidden", list.length > 0);
+  gid("placemarkExportGeo").disabled = gid("placemarkExportKml").disabled = !list.length;
+  list.forEach(function(p) {
+    var li = document.createElement("li");
+    li.className = "placemark-item";
+    li.innerHTML = '<button type="button" class="placemark-go"><span class="map-label-swatch"></span>'
+                 + '<span class="placemark-name"></span><span class="placemark-coords"></span></button>'
+                 + '<button type="button" class="placemark-edit" title="Edit">✎</button>';
+    li.querySelector(".map-label-swatch").style.background = p.color;
+    li.querySelector(".placemark-name").textContent   = p.name;
+    li.querySelector(".placemark-coords").textContent = Projection.fmtLatLon(p.lat, p.lon, 1);
+    li.querySelector(".placemark-edit").setAttribute("aria-label", "Edit " + p.name);
+    var go = li.querySelector(".placemark-go");
+    go.addEventListener("click", function(){ flyToPlacemark(p.id); closePanel(); });
+    go.addEventListener("focus", function(){ announce(describeLatLon(p.lat, p.lon, p.name)); });
+    li.querySelector(".placemark-edit").addEventListener("click", function() {
+      openPlacemarkEditor(p);
+      closePanel();
+    });
+    ul.appendChild(li);
+  });
+}
+
+/* Editor card: pass a stored placemark, or null plus a position for a new one */
+function openPlacemarkEditor(p, lat, lon) {
+  pmEdit = p ? { id: p.id, lat: p.lat, lon: p.lon, color: p.color, icon: p.icon }
+             : { id: null, lat: lat, lon: lon, color: Placemarks.COLORS[0], icon: "pin" };
+  gid("pmTitle").textContent  = p ? "Edit placemark" : "New placemark";
+  gid("pmName").value         = p ? p.name  : "";
+  gid("pmNotes").value        = p ? p.notes : "";
+  gid("pmIcon").value         = pmEdit.icon;
+  gid("pmCoords").textContent = Projection.fmtLatLon(pmEdit.lat, pmEdit.lon, 4);
+  gid("pmDelete").classList.toggle("hidden", !p);
+  renderPlacemarkSwatches();
+  gid("placemarkEditor").classList.remove("hidden");
+  gid("pmName").focus();
+}
+
+function closePlacemarkEditor() {
+  pmEdit = null;
+  gid("placemarkEditor").classList.add("hidden");
+}
+
+function renderPlacemarkSwatches() {
+  var box = gid("pmColors");
+  box.innerHTML = "";
+  Placemarks.COLORS.forEach(function(c) {
+    var b = document.createElement("button");
+    b.className = "swatch-btn" + (c === pmEdit.color ? " active" : "");
+    b.style.background = c;
+    b.title = c;
+    b.addEventListener("click", function(){ pmEdit.color = c; renderPlacemarkSwatches(); });
+    box.appendChild(b);
+  });
+}
+
+function savePlacemark() {
+  if (!pmEdit) return;
+  var fields = { name: gid("pmName").value, notes: gid("pmNotes").value, color: pmEdit.color,
+                 icon: gid("pmIcon").value, lat: pmEdit.lat, lon: pmEdit.lon };
+  if (pmEdit.id) Placemarks.update(pmEdit.id, fields);
+  else           Placemarks.add(fields);
+  closePlacemarkEditor();
+}
+
+function importPlacemarks(file) {
+  var status = gid("placemarkStatus");
+  file.text().then(function(text) {
+    var list = Placemarks.parse(text, file.name);
+    var n = Placemarks.addMany(list);
+    status.textContent = n ? "Imported " + n + " placemark" + (n === 1 ? "" : "s") + " from " + file.name
+                           : "No point placemarks found in " + file.name;
+  }).catch(function(e) {
+    console.warn("Placemark import failed:", e);
+    status.textContent = "Couldn't read " + file.name + " — expected GeoJSON or KML.";
+  });
+}
+
+function buildPlacemarkUI() {
+  var sel = gid("pmIcon");
+  Object.keys(Placemarks.ICONS).forEach(function(k){ sel.add(new Option(Placemarks.ICONS[k], k)); });
+  gid("pmSave").addEventListener("click", savePlacemark);
+  gid("pmClose").addEventListener("click", closePlacemarkEditor);
+  gid("pmDelete").addEventListener("click", function() {
+    if (pmEdit && pmEdit.id) Placemarks.remove(pmEdit.id);
+    closePlacemarkEditor();
+  });
+  gid("pmName").addEventListener("keydown", function(e){ if (e.key === "Enter") savePlacemark(); });
+  gid("placemarkEditor").addEventListener("keydown", function(e){ if (e.key === "Escape") closePlacemarkEditor(); });
+
+  var file = gid("placemarkFile");
+  gid("placemarkImport").addEventListener("click", function(){ file.click(); });
+  file.addEventListener("change", function() {
+    if (file.files[0]) importPlacemarks(file.files[0]);
+    file.value = "";
+  });
+  gid("placemarkExportGeo").addEventListener("click", function() {
+    downloadBlob(new Blob([Placemarks.toGeoJSON()], { type: "application/geo+json" }), "placemarks.geojson");
+  });
+  gid("placemarkExportKml").addEventListener("click", function() {
+    downloadBlob(new Blob([Placemarks.toKML()], { type: "application/vnd.google-earth.kml+xml" }), "placemarks.kml");
+  });
+
+  Placemarks.onChange(rebuildPlacemarks);
+}
+
+function initPlacemarkLayer() {
+  scene.add(pmGroup);
+  canvas.addEventListener("contextmenu", function(e) {
+    var hit = pickDisc(e.clientX, e.clientY);
+    if (!hit) return;
+    e.preventDefault();
+    openPlacemarkEditor(null, hit.ll[0], hit.ll[1]);
+  });
+  buildPlacemarkUI();
+}
+
+export {
+  positionPlacemarks,
+  initPlacemarkLayer,
+};
@@ -0,0 +1,104 @@
+/**
+ * FLAT EARTH EXPLORER — app/projection-panel.js
+ *
+ * The projection picker and info card, and keeping the shader
+ * and everything placed on the disc in step with projection.js.
+ */
+
+import * as Projection from "../projection.js";
+import { topMat } from "./scene.js";
+import { updateTerrainUniforms } from "./terrain.js";
+import { gid } from "./ui.js";
+import { latLonToWorld } from "./coords.js";
+import { rebuildVectorLayers } from "./vectors.js";
+import { placeTissot } from "./distortion.js";
+import { rebuildRuler } from "./ruler.js";
+import { rebuildRoute } from "./routes.js";
+import { pin, PIN_H } from "./labels.js";
+import { positionPlacemarks } from "./placemark-layer.js";
+import { placeDataLayer } from "./data-layer.js";
+import { linkMarkers, setLinkMarker } from "./globe.js";
+import { placeLocalSky } from "./local-sky.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   PROJECTION — centre / kind pickers, info card,
+   and keeping everything placed on the disc in step
+───────────────────────────────────────────────── */
+function applyProjectionUniforms() {
+  var p = Projection.shaderParams(), u = topMat.uniforms;
+  u.projKind.value    = p.kind;
+  u.projCentre.value.set(p.centre[0], p.centre[1]);
+  u.projRim.value     = p.rim;
+  u.projStereoT.value = p.stereoT;
+}
+
+function updateProjectionInfo() {
+  var info = Projection.info(), cur = Projection.get();
+  gid("infoProjection").textContent = info.projection;
+  gid("infoCentre").textContent     = info.centre;
+  gid("infoEdge").textContent       = info.edge;
+  gid("infoRadius").textContent     = info.radius;
+  gid("infoNote").textContent       = info.note;
+  gid("panelLogoSub").textContent   = info.projection + " Projection";
+  gid("projKind").value = cur.kind;
+  var preset = Projection.CENTRE_PRESETS.filter(function(c){ return c.lat === cur.lat && c.lon === cur.lon; })[0];
+  gid("projCentrePreset").value = preset ? preset.id : "custom";
+  gid("projCustom").classList.toggle("hidden", !!preset);
+  gid("projLat").value = +cur.lat.toFixed(4);
+  gid("projLon").value = +cur.lon.toFixed(4);
+}
+
+/* Re-place everything drawn on the disc (projection or relief changed) */
+function placeDiscOverlays() {
+  rebuildRuler();
+  rebuildRoute();
+  rebuildVectorLayers();
+  if (pin) pin.mesh.position.copy(latLonToWorld(pin.lat, pin.lon));
+  if (pin) pin.label3d.anchor.copy(pin.mesh.position).setY(pin.mesh.position.y + PIN_H);
+  positionPlacemarks();
+  if (linkMarkers.placed.ll) setLinkMarker("placed", linkMarkers.placed.ll);
+  placeLocalSky();
+  placeDataLayer();
+  placeTissot();
+}
+
+function buildProjectionUI() {
+  var kindSel = gid("projKind"), presetSel = gid("projCentrePreset");
+  Object.keys(Projection.KINDS).forEach(function(k) {
+    kindSel.add(new Option(Projection.KINDS[k].name, k));
+  });
+  Projection.CENTRE_PRESETS.forEach(function(c) { presetSel.add(new Option(c.name, c.id)); });
+  presetSel.add(new Option("Custom…", "custom"));
+
+  kindSel.addEventListener("change", function() { Projection.set({ kind: kindSel.value }); });
+  presetSel.addEventListener("change", function() {
+    var c = Projection.CENTRE_PRESETS.filter(function(p){ return p.id === presetSel.value; })[0];
+    if (c) Projection.set({ lat: c.lat, lon: c.lon });
+    else   gid("projCustom").classList.remove("hidden");
+  });
+  gid("projApply").addEventListener("click", function() {
+    Projection.set({ lat: parseFloat(gid("projLat").value), lon: parseFloat(gid("projLon").value) });
+  });
+  gid("projFromPin").addEventListener("click", function() {
+    if (pin) Projection.set({ lat: pin.lat, lon: pin.lon });
+  });
+  applyProjectionUniforms();
+  updateProjectionInfo();
+}
+
+function initProjectionPanel() {
+  Projection.onChange(function() {
+    applyProjectionUniforms();
+    updateProjectionInfo();
+    updateTerrainUniforms();
+    placeDiscOverlays();
+    scheduleUrlState();
+  });
+  buildProjectionUI();
+}
+
+export {
+  placeDiscOverlays,
+  initProjectionPanel,
+};
@@ -0,0 +1,288 @@
+/**
+ * FLAT EARTH EXPLORER — app/routes.js
+ *
+ * Routes between stops: great circles against straight disc chords,
+ * with flight times and an animated plane on each.
+ */
+
+import * as Projection from "../projection.js";
+import * as Geodesy from "../geodesy.js";
+import * as Gazetteer from "../gazetteer.js";
+import * as Format from "../format.js";
+import { canvas, scene } from "./scene.js";
+import { gid, setPressed } from "./ui.js";
+import { latLonToWorld, discChordKm, pickDisc } from "./coords.js";
+import { projectLines } from "./vectors.js";
+import { ruler, rulerDotGeo, setRulerActive } from "./ruler.js";
+import { pin } from "./labels.js";
+
+/* ─────────────────────────────────────────────────
+   ROUTES — great circles vs disc chords
+   A route is two or more stops. For each leg the true
+   great circle (the path a plane actually flies) is
+   densified and projected onto the disc, and the
+   straight disc chord is drawn beside it. Two aircraft
+   fly the route at the chosen cruise speed, one along
+   each path; the readout gives both distances and
+   flight times.
+───────────────────────────────────────────────── */
+var ROUTE_LIFT          = 0.02;
+var ROUTE_HOURS_PER_SEC = 1.5;      // animation: simulated flight hours per second
+var ROUTE_COLORS        = { gc: 0xffb84a, chord: 0xb07cff };
+var ROUTE_PRESETS = [
+  { id: "syd-scl", name: "Sydney – Santiago", stops: [
+    { name: "Sydney (SYD)",        lat: -33.946, lon: 151.177 },
+    { name: "Santiago (SCL)",      lat: -33.393, lon: -70.786 } ] },
+  { id: "jnb-per", name: "Johannesburg – Perth", stops: [
+    { name: "Johannesburg (JNB)",  lat: -26.139, lon:  28.246 },
+    { name: "Perth (PER)",         lat: -31.940, lon: 115.967 } ] },
+  { id: "akl-eze", name: "Auckland – Buenos Aires", stops: [
+    { name: "Auckland (AKL)",      lat: -37.008, lon: 174.792 },
+    { name: "Buenos Aires (EZE)",  lat: -34.822, lon: -58.536 } ] },
+  { id: "gru-jnb", name: "São Paulo – Johannesburg", stops: [
+    { name: "São Paulo (GRU)",     lat: -23.435, lon: -46.473 },
+    { name: "Johannesburg (JNB)",  lat: -26.139, lon:  28.246 } ] },
+  { id: "syd-jnb", name: "Sydney – Johannesburg", stops: [
+    { name: "Sydney (SYD)",        lat: -33.946, lon: 151.177 },
+    { name: "Johannesburg (JNB)",  lat: -26.139, lon:  28.246 } ] },
+  { id: "per-jnb-gru", name: "Perth – Johannesburg – São Paulo", stops: [
+    { name: "Perth (PER)",         lat: -31.940, lon: 115.967 },
+    { name: "Johannesburg (JNB)",  lat: -26.139, lon:  28.246 },
+    { name: "São Paulo (GRU)",     lat: -23.435, lon: -46.473 } ] },
+];
+
+var route = {
+  stops:   [],              // { name, lat, lon }
+  legs:    [],              // per leg: { a, b, gcKm, chordKm, pa, pb }
+  picking: false,
+  playing: true,
+  speed:   900,             // km/h
+  t:       0,               // simulated hours since departure
+  group:   new THREE.Group(),
+  planes:  null,
+};
+
+function buildPlaneMesh(color) {
+  var sh = new THREE.Shape();
+  sh.moveTo(0, 0.16); sh.lineTo(0.03, 0.05); sh.lineTo(0.13, -0.01); sh.lineTo(0.13, -0.04);
+  sh.lineTo(0.03, -0.02); sh.lineTo(0.025, -0.1); sh.lineTo(0.06, -0.13); sh.lineTo(0, -0.12);
+  sh.lineTo(-0.06, -0.13); sh.lineTo(-0.025, -0.1); sh.lineTo(-0.03, -0.02); sh.lineTo(-0.13, -0.04);
+  sh.lineTo(-0.13, -0.01); sh.lineTo(-0.03, 0.05); sh.closePath();
+  var geo = new THREE.ShapeGeometry(sh);
+  geo.rotateX(-Math.PI / 2);                  // lie flat, nose towards −Z
+  geo.scale(1.6, 1.6, 1.6);
+  var m = new THREE.Mesh(geo, new THREE.MeshBasicMaterial({ color: color, depthTest: false, side: THREE.DoubleSide }));
+  m.renderOrder = 5;
+  return m;
+}
+
+function clearRouteObjects() {
+  while (route.group.children.length) {
+    var c = route.group.children[0];
+    route.group.remove(c);
+    if (c.geometry) c.geometry.dispose();
+    if (c.material) c.material.dispose();
+  }
+  route.planes = null;
+}
+
+function rebuildRoute() {
+  clearRouteObjects();
+  route.legs = [];
+  for (var i = 1; i < route.stops.length; i++) {
+    var a = route.stops[i-1], b = route.stops[i];
+    var pa = latLonToWorld(a.lat, a.lon, ROUTE_LIFT), pb = latLonToWorld(b.lat, b.lon, ROUTE_LIFT);
+    route.legs.push({ a: a, b: b, pa: pa, pb: pb,
+                      gcKm: Geodesy.inverse(a.lat, a.lon, b.lat, b.lon).km,
+                      chordKm: discChordKm(a.lat, a.lon, b.lat, b.lon) });
+  }
+  if (route.legs.length) {
+    var gcGeo = new THREE.BufferGeometry();
+    gcGeo.setAttribute("position", new THREE.BufferAttribute(projectLines([route.stops.map(function(s){ return [s.lon, s.lat]; })], ROUTE_LIFT), 3));
+    var gc = new THREE.LineSegments(gcGeo, new THREE.LineBasicMaterial({ color: ROUTE_COLORS.gc, depthTest: false, transparent: true }));
+    var chord = new THREE.Line(new THREE.BufferGeometry().setFromPoints(route.stops.map(function(s){ return latLonToWorld(s.lat, s.lon, ROUTE_LIFT); })),
+      new THREE.LineDashedMaterial({ color: ROUTE_COLORS.chord, dashSize: 0.16, gapSize: 0.1, depthTest: false, transparent: true }));
+    chord.computeLineDistances();
+    gc.renderOrder = chord.renderOrder = 2;
+    route.group.add(gc, chord);
+    route.planes = { gc: buildPlaneMesh(ROUTE_COLORS.gc), chord: buildPlaneMesh(ROUTE_COLORS.chord) };
+    route.group.add(route.planes.gc, route.planes.chord);
+  }
+  route.stops.forEach(function(s) {
+    var dot = new THREE.Mesh(rulerDotGeo.clone(), new THREE.MeshBasicMaterial({ color: ROUTE_COLORS.gc, depthTest: false }));
+    dot.position.copy(latLonToWorld(s.lat, s.lon, ROUTE_LIFT));
+    dot.renderOrder = 3;
+    route.group.add(dot);
+  });
+  placeRoutePlanes();
+  renderRouteReadout();
+}
+
+/* Walk `km` along a path made of legs with per-leg lengths; returns { leg, f } */
+function legAt(km, key) {
+  for (var i = 0; i < route.legs.length; i++) {
+    var L = route.legs[i][key];
+    if (km <= L || i === route.legs.length - 1) return { leg: route.legs[i], f: L > 0 ? Math.min(1, Math.max(0, km / L)) : 1 };
+    km -= L;
+  }
+  return null;
+}
+
+var _planeAhead = new THREE.Vector3();
+function orientPlane(m, pos, ahead) {
+  m.position.copy(pos);
+  var dx = ahead.x - pos.x, dz = ahead.z - pos.z;
+  if (dx * dx + dz * dz > 1e-12) m.rotation.y = Math.atan2(-dx, -dz);
+}
+
+function placeRoutePlanes() {
+  if (!route.planes) return;
+  var km = route.t * route.speed, rim = Projection.rimDistance();
+
+  var g = legAt(km, "gcKm"), L = g.leg;
+  var ll = Geodesy.interpolate(L.a.lat, L.a.lon, L.b.lat, L.b.lon, g.f);
+  var la = Geodesy.interpolate(L.a.lat, L.a.lon, L.b.lat, L.b.lon, Math.min(1, g.f + 0.002));
+  var lb = g.f >= 0.998 ? Geodesy.interpolate(L.a.lat, L.a.lon, L.b.lat, L.b.lon, g.f - 0.002) : null;
+  var pos = latLonToWorld(ll[0], ll[1], ROUTE_LIFT * 1.5);
+  if (lb) {   // at the very end, face along the last bit of the leg
+    var back = latLonToWorld(lb[0], lb[1], ROUTE_LIFT * 1.5);
+    _planeAhead.copy(pos).multiplyScalar(2).sub(back);
+  } else _planeAhead.copy(latLonToWorld(la[0], la[1], ROUTE_LIFT * 1.5));
+  orientPlane(route.planes.gc, pos, _planeAhead);
+  route.planes.gc.visible = Projection.angularDistance(ll[0], ll[1]) <= rim;
+
+  var c = legAt(km, "chordKm"), C = c.leg;
+  pos = C.pa.clone().lerp(C.pb, c.f);
+  pos.y += ROUTE_LIFT * 0.5;
+  orientPlane(route.planes.chord, pos, pos.clone().add(C.pb).sub(C.pa));
+}
+
+function tickRoute(dt) {
+  if (!route.planes || !route.playing) return;
+  var totGc = 0, totChord = 0;
+  route.legs.forEach(function(L){ totGc += L.gcKm; totChord += L.chordKm; });
+  route.t += dt * ROUTE_HOURS_PER_SEC;
+  if (route.t * route.speed > Math.max(totGc, totChord) + route.speed * ROUTE_HOURS_PER_SEC) route.t = 0;  // ~1 s pause, then loop
+  placeRoutePlanes();
+}
+
+function renderRouteReadout() {
+  var body = gid("routeRows");
+  body.innerHTML = "";
+  gid("routeStops").innerHTML = "";
+  route.stops.forEach(function(s, i) {
+    var li = document.createElement("li");
+    li.innerHTML = '<span class="route-stop-n"></span><span class="route-stop-name"></span><button class="map-label-close" title="Remove stop">×</button>';
+    li.querySelector(".route-stop-n").textContent = String.fromCharCode(65 + (i % 26));
+    li.querySelector(".route-stop-name").textContent = s.name;
+    li.querySelector("button").addEventListener("click", function(){ route.stops.splice(i, 1); route.t = 0; rebuildRoute(); });
+    gid("routeStops").appendChild(li);
+  });
+  gid("routeEmpty").classList.toggle("hidden", route.stops.length > 1);
+  gid("routeTable").classList.toggle("hidden", route.legs.length === 0);
+  var tot = { gc: 0, chord: 0 };
+  route.legs.forEach(function(L, i) {
+    tot.gc += L.gcKm; tot.chord += L.chordKm;
+    var tr = document.createElement("tr");
+    [String.fromCharCode(65 + (i % 26)) + "→" + String.fromCharCode(65 + ((i + 1) % 26)),
+     Format.fmtKm(L.gcKm), Format.fmtHours(L.gcKm / route.speed),
+     Format.fmtKm(L.chordKm), Format.fmtHours(L.chordKm / route.speed)].forEach(function(t) {
+      var td = document.createElement("td"); td.textContent = t; tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  gid("routeTotGc").textContent       = Format.fmtKm(tot.gc);
+  gid("routeTotGcTime").textContent   = Format.fmtHours(tot.gc / route.speed);
+  gid("routeTotChord").textContent    = Format.fmtKm(tot.chord);
+  gid("routeTotChordTime").textContent = Format.fmtHours(tot.chord / route.speed);
+  gid("routeTotalRow").classList.toggle("hidden", route.legs.length < 2);
+}
+
+function setRouteStops(stops) {
+  route.stops = stops.map(function(s){ return Object.assign({}, s); });
+  route.t = 0;
+  rebuildRoute();
+}
+
+function addRouteStop(name, lat, lon) {
+  route.stops.push({ name: name || Projection.fmtLatLon(lat, lon, 2), lat: lat, lon: lon });
+  route.t = 0;
+  rebuildRoute();
+}
+
+function setRoutePicking(on) {
+  route.picking = on;
+  if (on && ruler.active) setRulerActive(false);
+  gid("routePick").classList.toggle("active", on);
+  canvas.classList.toggle("tool-crosshair", on || ruler.active);
+}
+
+function setRoutePanelOpen(open) {
+  gid("routePanel").classList.toggle("hidden", !open);
+  setPressed(gid("btnRoutes"), open);
+  if (open) { gid("exportPanel").classList.add("hidden"); setPressed(gid("btnExport"), false); }
+  else setRoutePicking(false);
+}
+
+var _routeDown = null;
+
+function buildRouteUI() {
+  var sel = gid("routePreset");
+  ROUTE_PRESETS.forEach(function(r){ sel.add(new Option(r.name, r.id)); });
+  sel.addEventListener("change", function() {
+    var r = ROUTE_PRESETS.filter(function(p){ return p.id === sel.value; })[0];
+    if (!r) return;
+    setRouteStops(r.stops);
+    sel.value = "";
+  });
+  gid("btnRoutes").addEventListener("click", function() {
+    setRoutePanelOpen(gid("routePanel").classList.contains("hidden"));
+  });
+  gid("routeClose").addEventListener("click", function(){ setRoutePanelOpen(false); });
+  gid("routePick").addEventListener("click", function(){ setRoutePicking(!route.picking); });
+  gid("routeFromPin").addEventListener("click", function() {
+    if (pin) addRouteStop(pin.label, pin.lat, pin.lon);
+  });
+  gid("routeAdd").addEventListener("keydown", function(e) {
+    if (e.key !== "Enter") return;
+    var q = this.value.trim(), c = Gazetteer.parseCoordinates(q), hit = c ? null : Gazetteer.search(q, 1)[0];
+    if (c)        addRouteStop(null, c.lat, c.lon);
+    else if (hit) addRouteStop(hit.label, hit.lat, hit.lon);
+    else return;
+    this.value = "";
+  });
+  gid("routeClear").addEventListener("click", function(){ setRouteStops([]); });
+  gid("routeSpeed").addEventListener("change", function(){ route.speed = +this.value; route.t = 0; renderRouteReadout(); });
+  gid("routePlay").addEventListener("click", function() {
+    route.playing = !route.playing;
+    this.classList.toggle("playing", route.playing);
+    this.title = route.playing ? "Pause" : "Play";
+  });
+  renderRouteReadout();
+}
+
+function initRoutes() {
+  scene.add(route.group);
+  canvas.addEventListener("pointerdown", function(e){ _routeDown = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener("pointerup", function(e) {
+    if (!route.picking || !_routeDown || e.button !== 0) return;
+    if (Math.hypot(e.clientX - _routeDown.x, e.clientY - _routeDown.y) > 5) return;
+    var hit = pickDisc(e.clientX, e.clientY);
+    if (!hit) return;
+    var last = route.stops[route.stops.length - 1];
+    if (last && Math.abs(last.lat - hit.ll[0]) < 1e-6 && Math.abs(last.lon - hit.ll[1]) < 1e-6) return;  // double-click
+    addRouteStop(null, hit.ll[0], hit.ll[1]);
+  });
+  buildRouteUI();
+}
+
+export {
+  ROUTE_PRESETS,
+  route,
+  rebuildRoute,
+  tickRoute,
+  setRouteStops,
+  setRoutePicking,
+  setRoutePanelOpen,
+  initRoutes,
+};
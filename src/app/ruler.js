@@ -0,0 +1,156 @@
+/**
+ * FLAT EARTH EXPLORER — app/ruler.js
+ *
+ * The measuring tool: disc lengths against true distances.
+ */
+
+import * as Geodesy from "../geodesy.js";
+import * as Format from "../format.js";
+import { canvas, scene } from "./scene.js";
+import { gid, setPressed } from "./ui.js";
+import { latLonToWorld, discChordKm, pickDisc } from "./coords.js";
+import { route, setRoutePicking } from "./routes.js";
+
+/* ─────────────────────────────────────────────────
+   RULER — disc vs globe distances
+   Click points on the disc to build a polyline. Each
+   segment's straight-line disc length (at the HUD's
+   km-per-unit scale) is compared with the WGS84
+   geodesic between the same two places.
+───────────────────────────────────────────────── */
+var RULER_LIFT = 0.012;
+var ruler = {
+  active: false,
+  pts:    [],               // { lat, lon }
+  group:  new THREE.Group(),
+  line:   null,
+  preview: null,
+  down:   null,             // pointerdown position, to tell clicks from drags
+};
+
+var rulerLineMat    = new THREE.LineBasicMaterial({ color: 0x4aeadc, depthTest: false, transparent: true });
+var rulerPreviewMat = new THREE.LineDashedMaterial({ color: 0x4aeadc, dashSize: 0.12, gapSize: 0.08, depthTest: false, transparent: true, opacity: 0.6 });
+var rulerDotGeo     = new THREE.SphereGeometry(0.06, 12, 8);
+var rulerDotMat     = new THREE.MeshBasicMaterial({ color: 0x4aeadc, depthTest: false, transparent: true });
+
+function setRulerActive(on) {
+  ruler.active = on;
+  if (on && route.picking) setRoutePicking(false);
+  setPressed(gid("btnRuler"), on);
+  gid("rulerPanel").classList.toggle("hidden", !on && ruler.pts.length === 0);
+  canvas.classList.toggle("tool-crosshair", on);
+  if (!on) updateRulerPreview(null);
+}
+
+function rebuildRuler() {
+  while (ruler.group.children.length) {
+    var c = ruler.group.children[0];
+    ruler.group.remove(c);
+    if (c.geometry && c.geometry !== rulerDotGeo) c.geometry.dispose();
+  }
+  ruler.line = ruler.preview = null;
+  var pos = ruler.pts.map(function(p){ return latLonToWorld(p.lat, p.lon, RULER_LIFT); });
+  pos.forEach(function(v) {
+    var dot = new THREE.Mesh(rulerDotGeo, rulerDotMat);
+    dot.position.copy(v);
+    dot.renderOrder = 3;
+    ruler.group.add(dot);
+  });
+  if (pos.length > 1) {
+    ruler.line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(pos), rulerLineMat);
+    ruler.line.renderOrder = 2;
+    ruler.group.add(ruler.line);
+  }
+  renderRulerReadout();
+}
+
+function updateRulerPreview(hit) {
+  if (ruler.preview) { ruler.group.remove(ruler.preview); ruler.preview.geometry.dispose(); ruler.preview = null; }
+  if (!hit || !ruler.pts.length) return;
+  var last = ruler.pts[ruler.pts.length - 1];
+  var geo  = new THREE.BufferGeometry().setFromPoints([
+    latLonToWorld(last.lat, last.lon, RULER_LIFT), latLonToWorld(hit.ll[0], hit.ll[1], RULER_LIFT)
+  ]);
+  ruler.preview = new THREE.Line(geo, rulerPreviewMat);
+  ruler.preview.computeLineDistances();
+  ruler.preview.renderOrder = 2;
+  ruler.group.add(ruler.preview);
+}
+
+/* Bearing of b as seen from a on the disc, measured clockwise from the
+   direction of local north on the disc (which varies with the projection) */
+function discBearing(a, b) {
+  var pa = latLonToWorld(a.lat, a.lon), pb = latLonToWorld(b.lat, b.lon);
+  var dn = a.lat > 89.99 ? -0.01 : 0.01;
+  var pn = latLonToWorld(a.lat + dn, a.lon);
+  var nx = (pn.x - pa.x) * Math.sign(dn), ny = -(pn.z - pa.z) * Math.sign(dn);
+  var dx = pb.x - pa.x, dy = -(pb.z - pa.z);
+  if (a.lat > 89.99) { nx = -dx; ny = -dy; }   // at the pole every direction is south
+  var deg = Math.atan2(ny * dx - nx * dy, nx * dx + ny * dy) * 180 / Math.PI;
+  return (deg + 360) % 360;
+}
+
+function rulerSegments() {
+  var out = [];
+  for (var i = 1; i < ruler.pts.length; i++) {
+    var a = ruler.pts[i-1], b = ruler.pts[i];
+    var disc  = discChordKm(a.lat, a.lon, b.lat, b.lon);
+    var globe = Geodesy.inverse(a.lat, a.lon, b.lat, b.lon);
+    out.push({ disc: disc, globe: globe.km, bearing: globe.bearing, discBearing: discBearing(a, b) });
+  }
+  return out;
+}
+
+function renderRulerReadout() {
+  var segs = rulerSegments(), body = gid("rulerRows");
+  body.innerHTML = "";
+  gid("rulerEmpty").classList.toggle("hidden", segs.length > 0);
+  gid("rulerTable").classList.toggle("hidden", segs.length === 0);
+  var tot = { disc: 0, globe: 0 };
+  segs.forEach(function(sg, i) {
+    tot.disc += sg.disc; tot.globe += sg.globe;
+    var tr = document.createElement("tr");
+    [String(i + 1), Format.fmtKm(sg.disc), Format.fmtKm(sg.globe), Format.fmtErr(sg.disc, sg.globe),
+     sg.bearing.toFixed(0) + "° / " + sg.discBearing.toFixed(0) + "°"].forEach(function(t) {
+      var td = document.createElement("td"); td.textContent = t; tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  gid("rulerTotDisc").textContent  = Format.fmtKm(tot.disc);
+  gid("rulerTotGlobe").textContent = Format.fmtKm(tot.globe);
+  gid("rulerTotErr").textContent   = Format.fmtErr(tot.disc, tot.globe);
+  gid("rulerTotalRow").classList.toggle("hidden", segs.length < 2);
+}
+
+function initRuler() {
+  scene.add(ruler.group);
+  canvas.addEventListener("pointerdown", function(e) { ruler.down = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener("pointerup", function(e) {
+    if (!ruler.active || !ruler.down || e.button !== 0) return;
+    if (Math.hypot(e.clientX - ruler.down.x, e.clientY - ruler.down.y) > 5) return;  // was a drag
+    var hit = pickDisc(e.clientX, e.clientY);
+    if (!hit) return;
+    var last = ruler.pts[ruler.pts.length - 1];
+    if (last && Math.abs(last.lat - hit.ll[0]) < 1e-6 && Math.abs(last.lon - hit.ll[1]) < 1e-6) return;  // double-click
+    ruler.pts.push({ lat: hit.ll[0], lon: hit.ll[1] });
+    rebuildRuler();
+  });
+  gid("btnRuler").addEventListener("click", function(){ setRulerActive(!ruler.active); });
+  gid("rulerUndo").addEventListener("click", function(){ ruler.pts.pop(); rebuildRuler(); });
+  gid("rulerClear").addEventListener("click", function(){ ruler.pts = []; rebuildRuler(); });
+  gid("rulerClose").addEventListener("click", function(){
+    ruler.pts = []; rebuildRuler(); setRulerActive(false);
+  });
+  document.addEventListener("keydown", function(e) {
+    if (e.key === "Escape" && ruler.active) setRulerActive(false);
+  });
+}
+
+export {
+  ruler,
+  rulerDotGeo,
+  setRulerActive,
+  rebuildRuler,
+  updateRulerPreview,
+  initRuler,
+};
@@ -0,0 +1,498 @@
+/**
+ * FLAT EARTH EXPLORER — app/scene.js
+ *
+ * Scene builders: the renderer, camera and orbit controls, lights,
+ * and the disc itself — top face, rock body, ice wall, waterfall
+ * and bedrock — with the atmosphere and sun glow around it.
+ * Nothing is created on import; buildScene(canvas) puts it all
+ * together once the settings are in (DISC_R and friends come from
+ * state.js). The objects other modules work with are exported.
+ */
+
+import * as Projection from "../projection.js";
+import * as LocalSun from "../localsun.js";
+import { CONFIG, DISC_R, WALL_H, WALL_SEGS, VIEW_SCALE } from "./state.js";
+import { DISC_VERT, DISC_FRAG } from "./disc-shader.js";
+
+/* ─────────────────────────────────────────────────
+   RENDERER
+───────────────────────────────────────────────── */
+var canvas   = null;
+var renderer = null;
+
+function buildRenderer(el) {
+  canvas   = el;
+  renderer = new THREE.WebGLRenderer({ canvas: canvas, antialias: true });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.shadowMap.enabled   = true;
+  renderer.shadowMap.type      = THREE.PCFSoftShadowMap;
+  renderer.toneMapping         = THREE.ACESFilmicToneMapping;
+  renderer.toneMappingExposure = 1.2;
+}
+
+/* ─────────────────────────────────────────────────
+   SCENE
+───────────────────────────────────────────────── */
+var scene = null;
+
+/* ─────────────────────────────────────────────────
+   CAMERA + ORBIT CONTROLS
+───────────────────────────────────────────────── */
+var camera   = null;
+var controls = null;
+
+function buildCamera() {
+  camera = new THREE.PerspectiveCamera(42, window.innerWidth / window.innerHeight, 0.05, 2000);
+  camera.position.set(14, 9, 14).multiplyScalar(VIEW_SCALE);  // starting position — slightly above and to side
+  camera.lookAt(0, 0, 0);
+
+  controls = new THREE.OrbitControls(camera, renderer.domElement);
+  controls.enableDamping    = true;   // smooth deceleration
+  controls.dampingFactor    = 0.06;   // feel of Google Earth inertia
+  controls.rotateSpeed      = 0.55;
+  controls.zoomSpeed        = 0.9;
+  controls.minDistance      = DISC_R * CONFIG.camera.minDistance;   // can't go inside the disc
+  controls.maxDistance      = DISC_R * Math.max(CONFIG.camera.minDistance, CONFIG.camera.maxDistance);
+  controls.maxPolarAngle    = CONFIG.camera.maxTilt * Math.PI / 180; // can't go under the disc too far
+  controls.enablePan        = false;  // no panning — keeps disc centred like Google Earth
+  controls.touches          = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_ROTATE };
+}
+
+/* ─────────────────────────────────────────────────
+   LIGHTS
+───────────────────────────────────────────────── */
+var ambient = null, sun = null, fill = null;
+
+function buildLights() {
+  ambient = new THREE.AmbientLight(0x1a2a40, 0.6);
+  scene.add(ambient);
+
+  // Main sun — positioned top-left like the reference image
+  sun = new THREE.DirectionalLight(0xffd080, 2.8);
+  sun.position.set(-18, 30, -12);
+  sun.castShadow = true;
+  sun.shadow.mapSize.width  = 2048;
+  sun.shadow.mapSize.height = 2048;
+  scene.add(sun);
+
+  // Fill light from opposite side — cool blue
+  fill = new THREE.DirectionalLight(0x3060a0, 0.4);
+  fill.position.set(20, 8, 18);
+  scene.add(fill);
+
+  // Under-light for bedrock
+  var underLight = new THREE.DirectionalLight(0x1a0800, 0.9);
+  underLight.position.set(0, -20, 0);
+  scene.add(underLight);
+}
+
+/* ─────────────────────────────────────────────────
+   DISC BODY (cylinder sides — rock/stone)
+───────────────────────────────────────────────── */
+function buildDiscBody() {
+  var bodyGeo = new THREE.CylinderGeometry(DISC_R, DISC_R, 0.28, WALL_SEGS, 1, false);
+  var bodyMat = new THREE.MeshStandardMaterial({ color: 0x0d1e2a, roughness: 0.92, metalness: 0.04 });
+  var body    = new THREE.Mesh(bodyGeo, bodyMat);
+  body.receiveShadow = true;
+  scene.add(body);
+}
+
+/* ─────────────────────────────────────────────────
+   TOP FACE — PlaneGeometry (NO UV SEAM = NO SPIKES)
+
+   CircleGeometry causes radial spikes because its UVs
+   wrap at the perimeter seam, sweeping the GPU across
+   the entire texture. PlaneGeometry has a clean grid.
+   We clip to a circle by discarding in the shader.
+───────────────────────────────────────────────── */
+var topMat  = null;
+var topMesh = null;
+
+function buildTopFace() {
+  var topGeo = new THREE.PlaneGeometry(DISC_R * 2, DISC_R * 2, 4, 4);
+
+  topMat = new THREE.ShaderMaterial({
+    uniforms: {
+      tMap:     { value: null },
+      tNight:   { value: null },
+      hasTex:   { value: 0.0 },
+      hasNight: { value: 0.0 },
+      nightAmt: { value: 0.0 },
+      timeAmt:  { value: 0.0 },                      // 0 = boolean night mode, 1 = solar terminator
+      sunLL:    { value: new THREE.Vector2(0, 0) },  // subsolar lat/lon, radians
+      sunDir:   { value: new THREE.Vector3(-0.45, 0.75, -0.3).normalize() },
+      spotAmt:    { value: 0.0 },                    // LOCAL SUN & MOON
+      moonLL:     { value: new THREE.Vector2(0, 0) },
+      moonLight:  { value: 0.0 },
+      spotRadius: { value: LocalSun.spotRadians(LocalSun.DEFAULTS.spotKm) },
+      projKind:    { value: 0 },
+      projCentre:  { value: new THREE.Vector2(Math.PI / 2, 0) },
+      projRim:     { value: Projection.RIM_UV },
+      projStereoT: { value: 1 },
+      tHeight:       { value: null },                // TERRAIN
+      terrainScale:  { value: 0 },
+      terrainMPerUv: { value: 1 },
+      hillshade:     { value: 0.6 },
+      distortMode:   { value: 0 },                   // DISTORTION heatmap: 0 off, 1 area, 2 angle
+    },
+    vertexShader:   DISC_VERT,
+    fragmentShader: DISC_FRAG,
+  });
+
+  topMesh = new THREE.Mesh(topGeo, topMat);
+  topMesh.rotation.x = -Math.PI / 2;
+  topMesh.position.y  = 0.141;
+  topMesh.receiveShadow = true;
+  scene.add(topMesh);
+}
+
+/* ─────────────────────────────────────────────────
+   ATMOSPHERE DOME
+   A large translucent hemisphere over the disc —
+   creates the blue atmospheric glow in the reference.
+───────────────────────────────────────────────── */
+function buildAtmosphere() {
+  // Outer atmospheric halo ring
+  var haloGeo = new THREE.RingGeometry(DISC_R * 0.90, DISC_R * 1.22, WALL_SEGS);
+  var haloMat = new THREE.ShaderMaterial({
+    uniforms: {},
+    vertexShader: `varying vec2 vUv; void main(){ vUv=uv; gl_Position=projectionMatrix*modelViewMatrix*vec4(position,1.0); }`,
+    fragmentShader: `
+      varying vec2 vUv;
+      void main(){
+        // vUv.x = 0 at inner edge, 1 at outer edge (for RingGeometry)
+        float t = vUv.x;
+        float alpha = smoothstep(1.0,0.0,t) * 0.5 * (1.0-smoothstep(0.0,0.15,t));
+        // bright inner rim, fading outward
+        float rimAlpha = smoothstep(0.08,0.0,t) * 0.8;
+        vec3 col = mix(vec3(0.4,0.75,1.0), vec3(0.15,0.5,0.9), t);
+        gl_FragColor = vec4(col, clamp(alpha+rimAlpha,0.0,1.0));
+      }
+    `,
+    transparent: true, side: THREE.DoubleSide, depthWrite: false,
+  });
+  var halo = new THREE.Mesh(haloGeo, haloMat);
+  halo.rotation.x = -Math.PI / 2;
+  halo.position.y = 0.145;
+  scene.add(halo);
+
+  // Bright glowing rim right at disc edge
+  var rimGeo = new THREE.TorusGeometry(DISC_R, 0.08, 8, WALL_SEGS);
+  var rimMat = new THREE.MeshBasicMaterial({ color: 0x88ccff, transparent: true, opacity: 0.7 });
+  var rim    = new THREE.Mesh(rimGeo, rimMat);
+  rim.rotation.x = Math.PI / 2;
+  rim.position.y = 0.14;
+  scene.add(rim);
+}
+
+/* ─────────────────────────────────────────────────
+   SUN GLOW (sprite-style billboard)
+   Matches the golden lens-flare sun in the reference.
+───────────────────────────────────────────────── */
+var sunGlow       = null;
+var SUN_GLOW_POS = new THREE.Vector3(-45, 60, -35);
+var SUN_LIGHT_POS = new THREE.Vector3(-18, 30, -12);
+
+function buildSunGlow() {
+  sunGlow = new THREE.Group();
+
+  var sunGlowMat = new THREE.ShaderMaterial({
+    uniforms: {},
+    vertexShader: `void main(){ gl_Position=projectionMatrix*modelViewMatrix*vec4(position,1.0); }`,
+    fragmentShader: `
+      void main(){
+        // Not used as sprite — rendered as plane facing camera via JS
+        gl_FragColor = vec4(1.0, 0.85, 0.3, 0.0);
+      }
+    `,
+    transparent: true,
+  });
+
+  // Simple point light flare using a large emissive sphere far away
+  var flareGeo = new THREE.SphereGeometry(2.5, 16, 16);
+  var flareMat = new THREE.MeshBasicMaterial({
+    color: 0xffdd44, transparent: true, opacity: 0.55,
+  });
+  var flare = new THREE.Mesh(flareGeo, flareMat);
+  sunGlow.add(flare);
+
+  // Outer glow halo around sun
+  var geoH = new THREE.SphereGeometry(6, 16, 16);
+  var matH = new THREE.MeshBasicMaterial({ color: 0xff9900, transparent: true, opacity: 0.18 });
+  var meshH = new THREE.Mesh(geoH, matH);
+  sunGlow.add(meshH);
+
+  sunGlow.position.copy(SUN_GLOW_POS);
+  scene.add(sunGlow);
+}
+
+/* ─────────────────────────────────────────────────
+   ICE CLIFF WALL
+   Continuous displaced cylinder — dark rock at base,
+   snow/ice at top, matching the reference image edge.
+───────────────────────────────────────────────── */
+var iceGroup = null;
+
+function buildIceWall() {
+  iceGroup = new THREE.Group();
+
+  var SEGS_H = 80;   // vertical displacement resolution
+  var SEGS_C = 256;  // circumference resolution
+
+  var geo = new THREE.CylinderGeometry(
+    DISC_R + 0.06, DISC_R + 0.06, WALL_H, SEGS_C, SEGS_H, true
+  );
+  var pos = geo.attributes.position;
+
+  for (var i = 0; i < pos.count; i++) {
+    var x  = pos.getX(i);
+    var y  = pos.getY(i);
+    var z  = pos.getZ(i);
+    var th = Math.atan2(z, x);
+    var rad = Math.sqrt(x*x + z*z);
+
+    // Horizontal rock strata
+    var strata = Math.sin(y * 9.0 + th * 3.0) * 0.055
+               + Math.sin(y * 22.0 + th * 8.0) * 0.025
+               + Math.sin(y * 50.0 + th * 15.0) * 0.012;
+
+    // Large undulating cliff face
+    var bulge  = Math.sin(th * 5.0 + 0.5) * 0.14
+               + Math.sin(th * 12.0 + 1.8) * 0.07
+               + Math.sin(th * 28.0 + 3.1) * 0.035;
+
+    var newRad = rad + strata + bulge;
+    pos.setX(i, (x / rad) * newRad);
+    pos.setZ(i, (z / rad) * newRad);
+    pos.setY(i, y + Math.sin(th * 9.0 + y * 5.0) * 0.045);
+  }
+  geo.computeVertexNormals();
+
+  var mat = new THREE.ShaderMaterial({
+    uniforms: { wallH: { value: WALL_H } },
+    vertexShader: `
+      varying vec3 vPos;
+      varying vec3 vNorm;
+      void main(){
+        vPos  = position;
+        vNorm = normalize(normalMatrix * normal);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position,1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float wallH;
+      varying vec3 vPos;
+      varying vec3 vNorm;
+
+      float hash(vec2 p){ return fract(sin(dot(p,vec2(127.1,311.7)))*43758.5); }
+      float noise(vec2 p){
+        vec2 i=floor(p), f=fract(p);
+        f=f*f*(3.-2.*f);
+        return mix(mix(hash(i),hash(i+vec2(1,0)),f.x),
+                   mix(hash(i+vec2(0,1)),hash(i+vec2(1,1)),f.x),f.y);
+      }
+
+      void main(){
+        float th = atan(vPos.z, vPos.x);
+        float yN = (vPos.y + wallH*0.5) / wallH;  // 0=bottom, 1=top
+
+        // Rock layers
+        float s1 = noise(vec2(th*7.0,  yN*12.0));
+        float s2 = noise(vec2(th*18.0, yN*28.0));
+        float s3 = noise(vec2(th*3.5,  yN*5.0));
+
+        vec3 dark  = vec3(0.13, 0.11, 0.10);
+        vec3 mid   = vec3(0.24, 0.20, 0.17);
+        vec3 light = vec3(0.36, 0.31, 0.26);
+
+        vec3 col = mix(dark, mid, s1);
+        col = mix(col, light, s2 * 0.35);
+        col = mix(col, dark * 0.6, s3 * 0.25);
+
+        // Ice/snow begins ~35% from top, full snow at top 55%
+        float snowBlend = smoothstep(0.35, 0.60, yN);
+        // Snow has its own texture variation
+        float snowNoise = noise(vec2(th*14.0, yN*20.0+3.0));
+        vec3 snowCol = mix(vec3(0.72,0.82,0.92), vec3(0.90,0.95,1.00), snowNoise);
+        col = mix(col, snowCol, snowBlend * 0.88);
+
+        // Blue ice veins in snow
+        float iceVein = noise(vec2(th*25.0+1.0, yN*40.0));
+        vec3 iceBlue  = vec3(0.55, 0.78, 0.95);
+        col = mix(col, iceBlue, iceVein * snowBlend * 0.35);
+
+        // Waterfall streaks — vertical white lines in lower 40%
+        float wfLane = floor(th * 80.0);
+        float wfNoise = hash(vec2(wfLane, 0.0));
+        float wfStreak = smoothstep(0.0, 0.02, mod(th*80.0, 1.0)) * smoothstep(0.22+wfNoise*0.15, 0.0, yN);
+        col = mix(col, vec3(0.75, 0.88, 1.0), wfStreak * 0.6);
+
+        // Diffuse lighting
+        float diff = max(0.0, dot(vNorm, normalize(vec3(-0.45,0.75,-0.3)))) * 0.8 + 0.25;
+        col *= diff;
+
+        // Atmospheric tint on ice
+        col = mix(col, vec3(0.5,0.72,0.95), snowBlend * 0.12);
+
+        gl_FragColor = vec4(col, 1.0);
+      }
+    `,
+    side: THREE.DoubleSide,
+  });
+
+  var mesh = new THREE.Mesh(geo, mat);
+  mesh.position.y = 0.14 - WALL_H * 0.5 + 0.05;
+  mesh.castShadow = mesh.receiveShadow = true;
+  iceGroup.add(mesh);
+
+  // Snow-cap torus ring right at top of wall
+  var capGeo = new THREE.TorusGeometry(DISC_R + 0.06, 0.28, 10, WALL_SEGS);
+  var capMat = new THREE.MeshStandardMaterial({ color: 0xddeeff, roughness: 0.45, metalness: 0.12 });
+  var cap    = new THREE.Mesh(capGeo, capMat);
+  cap.rotation.x = Math.PI / 2;
+  cap.position.y = 0.14 + 0.14;
+  cap.castShadow = true;
+  iceGroup.add(cap);
+
+  scene.add(iceGroup);
+}
+
+/* ─────────────────────────────────────────────────
+   WATERFALL — flowing animated water off the edge
+───────────────────────────────────────────────── */
+var wfMat  = null;
+var wfMesh = null;
+
+function buildWaterfall() {
+  var wfGeo = new THREE.CylinderGeometry(
+    DISC_R + 0.07, DISC_R + 0.07, WALL_H * 0.7, 192, 40, true
+  );
+  wfMat = new THREE.ShaderMaterial({
+    uniforms: { time: { value: 0.0 } },
+    vertexShader: `varying vec2 vUv; void main(){ vUv=uv; gl_Position=projectionMatrix*modelViewMatrix*vec4(position,1.0); }`,
+    fragmentShader: `
+      uniform float time;
+      varying vec2 vUv;
+
+      float hash(vec2 p){ return fract(sin(dot(p,vec2(127.1,311.7)))*43758.5); }
+      float noise(vec2 p){
+        vec2 i=floor(p), f=fract(p); f=f*f*(3.-2.*f);
+        return mix(mix(hash(i),hash(i+vec2(1,0)),f.x),
+                   mix(hash(i+vec2(0,1)),hash(i+vec2(1,1)),f.x),f.y);
+      }
+
+      void main(){
+        // Per-lane falling streams
+        float lane   = floor(vUv.x * 70.0);
+        float lspeed = time * 1.3 + hash(vec2(lane, 0.0)) * 0.7;
+        float fall   = fract(vUv.y + lspeed);
+
+        // Streak shape
+        float streak = smoothstep(0.0, 0.12, fall) * smoothstep(1.0, 0.45, fall);
+
+        // Turbulence
+        float t1 = noise(vec2(vUv.x * 28.0, vUv.y *  7.0 + time * 0.4)) * 0.55;
+        float t2 = noise(vec2(vUv.x * 60.0, vUv.y * 15.0 + time * 0.8)) * 0.28;
+        float turb = t1 + t2;
+
+        // Foam crest
+        float foam = smoothstep(0.42, 0.52, fall) * smoothstep(0.68, 0.52, fall);
+
+        vec3 deep  = vec3(0.02, 0.12, 0.42);
+        vec3 mid   = vec3(0.08, 0.38, 0.78);
+        vec3 white = vec3(0.88, 0.95, 1.00);
+
+        vec3 col = mix(deep, mid, streak);
+        col = mix(col, white, foam * 0.9);
+        col += turb * 0.08;
+
+        float alpha = streak * (0.6 + turb * 0.25) + foam * 0.55;
+        // Fade at top (behind ice) and bottom (mist)
+        alpha *= smoothstep(0.0, 0.12, vUv.y) * smoothstep(1.0, 0.62, vUv.y);
+        alpha  = clamp(alpha, 0.0, 0.92);
+
+        gl_FragColor = vec4(col, alpha);
+      }
+    `,
+    transparent: true, side: THREE.DoubleSide, depthWrite: false,
+  });
+  wfMesh = new THREE.Mesh(wfGeo, wfMat);
+  wfMesh.position.y = 0.14 - WALL_H * 0.5 - WALL_H * 0.35 * 0.5 + 0.3;
+  scene.add(wfMesh);
+
+  /* Mist pool at base of waterfall */
+  var mg  = new THREE.CylinderGeometry(DISC_R + 0.4, DISC_R + 2.8, 0.4, 128, 1, true);
+  var mm  = new THREE.MeshBasicMaterial({ color: 0x99ccee, transparent: true, opacity: 0.10, side: THREE.DoubleSide, depthWrite: false });
+  var msh = new THREE.Mesh(mg, mm);
+  msh.position.y = 0.14 - WALL_H * 0.85;
+  scene.add(msh);
+}
+
+/* ─────────────────────────────────────────────────
+   BEDROCK UNDERSIDE — inverted mountain terrain
+───────────────────────────────────────────────── */
+function buildBedrock() {
+  function makeLayer(radius, segs, ampScale, yOffset, color) {
+    var geo = new THREE.CircleGeometry(radius, segs, segs);
+    var pos = geo.attributes.position;
+    for (var i = 0; i < pos.count; i++) {
+      var x  = pos.getX(i), z = pos.getZ(i);
+      var r  = Math.sqrt(x*x + z*z) / radius;
+      var d  = 0;
+      d += Math.sin(x*1.8+0.5) * Math.cos(z*2.1+0.9) * 1.0;
+      d += Math.sin(x*3.7 - z*2.9+1.3) * 0.50;
+      d += Math.sin(x*7.3 + z*5.5-0.8) * 0.25;
+      d += Math.sin(x*14.1 - z*9.7+2.2) * 0.12;
+      d += Math.sin(x*26.3 + z*19.1) * 0.06;
+      var hang = Math.max(0, d + 0.7) * ampScale;
+      var fade = Math.pow(1.0 - Math.min(r, 1.0), 0.35);
+      pos.setY(i, -hang * fade + yOffset);
+    }
+    geo.computeVertexNormals();
+    var mat  = new THREE.MeshStandardMaterial({ color: color, roughness: 0.97, metalness: 0.02, side: THREE.DoubleSide });
+    var mesh = new THREE.Mesh(geo, mat);
+    mesh.rotation.x = Math.PI / 2;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+  }
+
+  makeLayer(DISC_R * 0.995, 180, 3.2, -0.14,  0x2a1c10);
+  makeLayer(DISC_R * 0.78,  140, 2.8, -0.44,  0x180e06);
+}
+
+/* Build the whole scene onto the page's canvas */
+function buildScene(el) {
+  buildRenderer(el);
+  scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x06080f);
+  buildCamera();
+  buildLights();
+  buildDiscBody();
+  buildTopFace();
+  buildAtmosphere();
+  buildSunGlow();
+  buildIceWall();
+  buildWaterfall();
+  buildBedrock();
+}
+
+export {
+  canvas,
+  renderer,
+  scene,
+  camera,
+  controls,
+  ambient,
+  sun,
+  fill,
+  topMat,
+  topMesh,
+  sunGlow,
+  SUN_GLOW_POS,
+  SUN_LIGHT_POS,
+  iceGroup,
+  wfMat,
+  wfMesh,
+  buildScene,
+};
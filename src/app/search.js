@@ -0,0 +1,154 @@
+/**
+ * FLAT EARTH EXPLORER — app/search.js
+ *
+ * The search box: the offline gazetteer, coordinates, and Google
+ * geocoding when a Maps key is set.
+ */
+
+import * as Projection from "../projection.js";
+import * as Gazetteer from "../gazetteer.js";
+import { CONFIG } from "./state.js";
+import { gid } from "./ui.js";
+import { frameLatLon } from "./camera.js";
+import { dropPin } from "./labels.js";
+import { announce } from "./a11y.js";
+
+/* ─────────────────────────────────────────────────
+   SEARCH
+───────────────────────────────────────────────── */
+var sInput   = null;
+var sResults = null;
+var GAZETTEER_URL = "data/gazetteer.json";
+var activeResult  = -1;     // keyboard-highlighted row in #searchResults
+var acTimer       = null;
+
+/* Typed coordinates → a single result for that point */
+function coordinateResult(q) {
+  var c = Gazetteer.parseCoordinates(q);
+  if (!c) return null;
+  return { formatted_address: Projection.fmtLatLon(c.lat, c.lon, 4), sub: "Coordinates",
+           geometry: { location: { lat: c.lat, lng: c.lon } } };
+}
+
+function autocomplete() {
+  var q = sInput.value.trim();
+  if (!q) { setResultsOpen(false); return; }
+  var c = coordinateResult(q);
+  if (c) { showResults([c]); return; }
+  var res = localResults(q, 8);
+  res.length ? showResults(res) : setResultsOpen(false);
+}
+
+function doSearch() {
+  var q = sInput.value.trim(); if(!q) return;
+  var c = coordinateResult(q);
+  if (c) { pickResult(c); return; }
+  if (!CONFIG.mapsApiKey) {
+    showFallback(q); return;
+  }
+  fetch("https://maps.googleapis.com/maps/api/geocode/json?address="+encodeURIComponent(q)+"&key="+encodeURIComponent(CONFIG.mapsApiKey))
+    .then(function(r){ return r.json(); })
+    .then(function(d){
+      if (d.status==="REQUEST_DENIED"||d.status==="ERROR") { showFallback(q); return; }
+      d.results&&d.results.length ? showResults(d.results.slice(0,5)) : noResults();
+    })
+    .catch(function(){ showFallback(q); });
+}
+
+/* Offline gazetteer matches, in the same shape as Geocoding API results */
+var KIND_LABEL = { country: "Country", capital: "Capital city", city: "City", landmark: "Landmark" };
+function localResults(q, limit) {
+  return Gazetteer.search(q, limit).map(function(p){
+    return { formatted_address: p.label, sub: KIND_LABEL[p.kind] || "",
+             geometry: { location: { lat: p.lat, lng: p.lon } } };
+  });
+}
+function showFallback(q) {
+  var res = localResults(q, 8);
+  res.length ? showResults(res) : noResults();
+}
+function noResults() {
+  var msg = Gazetteer.isReady() ? "No results found." : "Place list still loading…";
+  sResults.innerHTML="<div class='result-item' role='option' aria-disabled='true'><span class='result-text'>"+msg+"</span></div>";
+  setResultsOpen(true);
+  announce(msg);
+}
+/* The input is an ARIA combobox: #searchResults is its listbox and the
+   highlighted row is its active descendant (focus stays in the input) */
+function setResultsOpen(open) {
+  sResults.classList.toggle("open", open);
+  sInput.setAttribute("aria-expanded", open);
+  setActiveResult(-1);
+}
+function setActiveResult(i) {
+  var items = sResults.querySelectorAll(".result-item[data-idx]");
+  items.forEach(function(el, j){
+    el.classList.toggle("active", j === i);
+    el.setAttribute("aria-selected", j === i);
+  });
+  activeResult = i;
+  if (items[i]) {
+    items[i].scrollIntoView({ block: "nearest" });
+    sInput.setAttribute("aria-activedescendant", items[i].id);
+  } else {
+    sInput.removeAttribute("aria-activedescendant");
+  }
+}
+function pickResult(r) {
+  var loc=r.geometry.location;
+  flyTo(loc.lat,loc.lng,r.formatted_address);
+  setResultsOpen(false);
+  sInput.value=r.formatted_address;
+}
+function showResults(res) {
+  sResults.innerHTML="";
+  res.forEach(function(r, i){
+    var d=document.createElement("div"); d.className="result-item"; d.dataset.idx=i;
+    d.id="searchResult"+i; d.setAttribute("role","option"); d.setAttribute("aria-selected","false");
+    d.innerHTML='<svg class="result-icon" aria-hidden="true" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7z"/><circle cx="12" cy="9" r="2.5"/></svg><span class="result-text"></span><span class="result-sub"></span>';
+    d.querySelector(".result-text").textContent = r.formatted_address;
+    d.querySelector(".result-sub").textContent  = r.sub || "";
+    d.addEventListener("click",function(){ pickResult(r); });
+    d.addEventListener("mousemove",function(){ if (activeResult !== i) setActiveResult(i); });
+    sResults.appendChild(d);
+  });
+  setResultsOpen(true);
+  announce(res.length === 1 ? "1 result" : res.length + " results");
+}
+
+function flyTo(lat, lon, label) {
+  gid("coordLat").textContent=Projection.fmtLat(lat, 3);
+  gid("coordLon").textContent=Projection.fmtLon(lon, 3);
+  dropPin(lat, lon, label);
+  frameLatLon(lat, lon);
+}
+
+function initSearch() {
+  sInput = gid("searchInput");
+  sResults = gid("searchResults");
+  gid("searchBtn").addEventListener("click", doSearch);
+  sInput.addEventListener("keydown", function(e){
+    var items = sResults.classList.contains("open") ? sResults.querySelectorAll(".result-item[data-idx]") : [];
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!items.length) { autocomplete(); return; }
+      e.preventDefault();
+      var n = items.length;
+      setActiveResult(e.key === "ArrowDown" ? (activeResult + 1) % n : (activeResult - 1 + n) % n);
+    } else if (e.key === "Enter") {
+      if (activeResult >= 0 && items[activeResult]) items[activeResult].click();
+      else doSearch();
+    } else if (e.key === "Escape") {
+      setResultsOpen(false);
+    }
+  });
+  sInput.addEventListener("input", function(){
+    clearTimeout(acTimer);
+    acTimer = setTimeout(autocomplete, 80);
+  });
+  document.addEventListener("click",function(e){if(!e.target.closest("#searchBar"))setResultsOpen(false);});
+}
+
+export {
+  GAZETTEER_URL,
+  initSearch,
+};
@@ -0,0 +1,81 @@
+/**
+ * FLAT EARTH EXPLORER — app/settings-panel.js
+ *
+ * The Settings form for this browser's config.json overrides.
+ */
+
+import * as Config from "../config.js";
+import { afterLoader } from "./assets.js";
+import { gid, showNotice } from "./ui.js";
+
+/* ─────────────────────────────────────────────────
+   SETTINGS — this browser's overrides of config.json
+   The form is built from the schema (Config.fields()
+   lists every titled setting), so a new setting only
+   needs a schema entry. Saved values go to localStorage
+   and apply on reload: most of them shape the scene as
+   it is built.
+───────────────────────────────────────────────── */
+function renderSettingsErrors(list) {
+  var ul = gid("settingsErrors");
+  ul.innerHTML = "";
+  list.forEach(function(e) {
+    var li = document.createElement("li");
+    li.textContent = e;
+    ul.appendChild(li);
+  });
+  ul.classList.toggle("hidden", !list.length);
+}
+
+function buildSettingsUI() {
+  var form = gid("settingsForm"), fields = Config.fields();
+  fields.forEach(function(f) {
+    var row = document.createElement("label");
+    row.className = "settings-field" + (f.overridden ? " overridden" : "");
+    row.innerHTML = '<span class="field-label"></span><input class="panel-input" autocomplete="off" spellcheck="false"/>';
+    row.querySelector(".field-label").textContent = f.title + (f.overridden ? " (changed)" : "");
+    var input = row.querySelector("input");
+    input.name = f.path;
+    input.title = f.description;
+    if (f.type === "string") {
+      input.type = "text";
+      input.placeholder = f.base || "none";
+    } else {
+      input.type = "number";
+      input.step = f.type === "integer" ? "1" : "any";
+      if (f.minimum != null) input.min = f.minimum;
+      if (f.maximum != null) input.max = f.maximum;
+      input.placeholder = f.base;
+    }
+    input.value = f.value;
+    gid("settingsFields").appendChild(row);
+  });
+
+  form.addEventListener("submit", function(e) {
+    e.preventDefault();
+    var changes = {};
+    fields.forEach(function(f) {
+      var v = form.elements[f.path].value.trim();
+      changes[f.path] = f.type === "string" ? v : v === "" ? f.base : Number(v);   // blank number → site value
+    });
+    var problems = Config.save(changes);
+    renderSettingsErrors(problems);
+    if (problems.length) gid("settingsStatus").textContent = "Nothing saved — fix the values above.";
+    else location.reload();
+  });
+  gid("settingsReset").addEventListener("click", function() {
+    Config.reset();
+    location.reload();
+  });
+
+  var errs = Config.errors();
+  renderSettingsErrors(errs);
+  if (errs.length) afterLoader(function() {
+    showNotice("Some settings were ignored",
+      (errs.length === 1 ? "1 invalid value" : errs.length + " invalid values") + " replaced by defaults — see Settings in the menu");
+  });
+}
+
+export {
+  buildSettingsUI,
+};
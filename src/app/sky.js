@@ -0,0 +1,223 @@
+/**
+ * FLAT EARTH EXPLORER — app/sky.js
+ *
+ * The star dome: the bundled star catalogue with constellation
+ * figures and names, turned for sidereal time over the map centre
+ * or the pin, and a twin for the globe view.
+ */
+
+import * as Projection from "../projection.js";
+import * as Solar from "../solar.js";
+import * as Stars from "../stars.js";
+import { state } from "./state.js";
+import { renderer, scene, camera } from "./scene.js";
+import { blobToJson, loadAsset } from "./assets.js";
+import { gid, bindToggle, isToggleOn } from "./ui.js";
+import { latLonToWorld } from "./coords.js";
+import { pin } from "./labels.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   CELESTIAL SPHERE
+   Stars sit on a dome SKY_R out, centred on the
+   camera so they stay at infinity. Over the disc the
+   dome is the sky seen from one place (the map centre
+   or the pin): its zenith straight up and its north
+   point towards map north there, so stars below that
+   horizon pass under the disc. On the globe the dome
+   is fixed to the Earth's axis and turns once a
+   sidereal day. Time is state.simTime in sun-time
+   mode, otherwise the clock.
+───────────────────────────────────────────────── */
+var STAR_DATA_URL = "data/stars.json";
+var SKY_R         = 900;
+var SKY_NAME_H    = 0.02;     // constellation name height, fraction of the distance (sizeAttenuation off)
+
+var skyDome  = new THREE.Group();
+var skyGlobe = new THREE.Group();
+
+var sky = {
+  from:    "centre",     // "centre" | "pin" — whose sky the disc view shows
+  figures: [],           // constellation line objects, disc and globe
+  names:   [],           // constellation name sprites' parent groups, disc and globe
+  key:     "",           // observer and minute the readout is for
+};
+
+var STAR_VERT = [
+  "attribute float size;",
+  "attribute vec4 tint;",
+  "uniform float pixelRatio;",
+  "varying vec4 vTint;",
+  "void main(){",
+  "  vTint = tint;",
+  "  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);",
+  "  gl_PointSize = size * pixelRatio;",
+  "}",
+].join("\n");
+
+var STAR_FRAG = [
+  "varying vec4 vTint;",
+  "void main(){",
+  "  float a = 1.0 - smoothstep(0.15, 0.5, length(gl_PointCoord - 0.5));",
+  "  gl_FragColor = vec4(vTint.rgb, vTint.a * a);",
+  "}",
+].join("\n");
+
+/* An object for the dome and its globe twin, sharing geometry and material */
+function addToSky(make) {
+  var a = make(), b = make();
+  skyDome.add(a);
+  skyGlobe.add(b);
+  return [a, b];
+}
+
+function celestialPoint(ra, dec, r) {
+  var v = Stars.equatorial(ra, dec);
+  return new THREE.Vector3(v[0], v[1], v[2]).multiplyScalar(r || SKY_R);
+}
+
+function buildStarPoints() {
+  var list = Stars.list(), n = list.length;
+  var pos = new Float32Array(n * 3), size = new Float32Array(n), tint = new Float32Array(n * 4);
+  list.forEach(function(s, i) {
+    celestialPoint(s.ra, s.dec).toArray(pos, i * 3);
+    size[i] = Stars.magSize(s.mag);
+    var c = Stars.bvColour(s.bv);
+    tint.set([c[0], c[1], c[2], Stars.magAlpha(s.mag)], i * 4);
+  });
+  var g = new THREE.BufferGeometry();
+  g.setAttribute("position", new THREE.BufferAttribute(pos, 3));
+  g.setAttribute("size", new THREE.BufferAttribute(size, 1));
+  g.setAttribute("tint", new THREE.BufferAttribute(tint, 4));
+  var mat = new THREE.ShaderMaterial({
+    uniforms: { pixelRatio: { value: renderer.getPixelRatio() } },
+    vertexShader: STAR_VERT, fragmentShader: STAR_FRAG,
+    transparent: true, depthWrite: false,
+  });
+  addToSky(function() { var p = new THREE.Points(g, mat); p.renderOrder = -2; return p; });
+}
+
+function buildFigures() {
+  var pts = [];
+  Stars.figures().forEach(function(c) {
+    c.lines.forEach(function(line) {
+      for (var i = 1; i < line.length; i++) pts.push(celestialPoint(line[i-1][0], line[i-1][1]), celestialPoint(line[i][0], line[i][1]));
+    });
+  });
+  var g = new THREE.BufferGeometry().setFromPoints(pts);
+  var mat = new THREE.LineBasicMaterial({ color: 0x6f8fc8, transparent: true, opacity: 0.45, depthWrite: false });
+  sky.figures = addToSky(function() { var l = new THREE.LineSegments(g, mat); l.renderOrder = -1; return l; });
+}
+
+function nameSprite(text) {
+  var c = document.createElement("canvas"), ctx = c.getContext("2d");
+  c.width = 256; c.height = 48;
+  ctx.font = "600 26px system-ui, sans-serif";
+  ctx.textAlign = "center"; ctx.textBaseline = "middle";
+  ctx.fillStyle = "rgba(170,196,240,0.85)";
+  ctx.fillText(text.toUpperCase(), 128, 24);
+  var tex = new THREE.CanvasTexture(c);
+  return new THREE.SpriteMaterial({ map: tex, transparent: true, depthWrite: false, sizeAttenuation: false });
+}
+
+function buildNames() {
+  var mats = Stars.figures().map(function(c) { return { mat: nameSprite(c.name), at: celestialPoint(c.label[0], c.label[1], SKY_R * 0.98) }; });
+  sky.names = addToSky(function() {
+    var g = new THREE.Group();
+    mats.forEach(function(m) {
+      var s = new THREE.Sprite(m.mat);
+      s.position.copy(m.at);
+      s.scale.set(SKY_NAME_H * 256 / 48, SKY_NAME_H, 1);
+      s.renderOrder = -1;
+      g.add(s);
+    });
+    return g;
+  });
+}
+
+function loadStarCatalogue(url) {
+  return loadAsset("stars", "Star catalogue", [{ name: "local", url: url }], blobToJson)
+    .then(function(r) { return Stars.load(r.value); })
+    .then(function() {
+      buildStarPoints();
+      buildFigures();
+      buildNames();
+      setFigures(isToggleOn("toggleConstLines"));
+      setNames(isToggleOn("toggleConstNames"));
+    })
+    .catch(function(e) { console.warn("Star catalogue unavailable:", e); });
+}
+
+function skyTime() { return state.sunTime ? state.simTime : Date.now(); }
+
+/* Whose sky the disc shows: { lat, lon, label } */
+function skyObserver() {
+  if (sky.from === "pin" && pin) return { lat: pin.lat, lon: pin.lon, label: pin.label || Projection.fmtLatLon(pin.lat, pin.lon, 2) };
+  var c = Projection.get();
+  return { lat: c.lat, lon: c.lon, label: "the map centre (" + Projection.fmtLatLon(c.lat, c.lon, 1) + ")" };
+}
+
+var _mapN = new THREE.Vector3(), _mapE = new THREE.Vector3(), _up = new THREE.Vector3(0, 1, 0);
+var _world = new THREE.Matrix4(), _eq = new THREE.Matrix4();
+var _globeAxes = new THREE.Matrix4().set(1, 0, 0, 0,  0, 0, 1, 0,  0, -1, 0, 0,  0, 0, 0, 1);   // equatorial z → globe +Y
+
+function v3(a) { return new THREE.Vector3(a[0], a[1], a[2]); }
+
+function tickSky() {
+  var date = new Date(skyTime());
+  var o = skyObserver(), lat = Math.max(-89.8, Math.min(89.9, o.lat));
+
+  // Disc: the observer's horizon frame onto (map east, map north, up)
+  _mapN.copy(latLonToWorld(lat, o.lon)).sub(latLonToWorld(lat - 0.1, o.lon)).setY(0).normalize();
+  _mapE.crossVectors(_mapN, _up);
+  var b = Stars.horizonBasis(lat, o.lon, date);
+  _eq.makeBasis(v3(b.east), v3(b.north), v3(b.up)).transpose();
+  _world.makeBasis(_mapE, _mapN, _up).multiply(_eq);
+  skyDome.quaternion.setFromRotationMatrix(_world);
+  skyDome.position.copy(camera.position);
+
+  // Globe: RA on the meridian of lon = RA − GMST
+  _world.makeRotationZ(-Solar.gmst(date) * Math.PI / 180).premultiply(_globeAxes);
+  skyGlobe.quaternion.setFromRotationMatrix(_world);
+
+  updateSkyReadout(o, date);
+}
+
+/* "Sky over …" and where Polaris is, once a minute */
+function updateSkyReadout(o, date) {
+  var key = [o.label, Math.floor(date.getTime() / 6e4)].join(",");
+  if (key === sky.key || !Stars.isReady()) return;
+  sky.key = key;
+  var s = Stars.byName("Polaris"), aa = Stars.altAz(s.ra, s.dec, o.lat, o.lon, date);
+  var t = Stars.lst(o.lon, date) / 15, hh = Math.floor(t), mm = Math.floor((t - hh) * 60);
+  gid("skyReadout").textContent = "Sky over " + o.label + ". Local sidereal time "
+    + String(hh).padStart(2, "0") + ":" + String(mm).padStart(2, "0") + "; Polaris "
+    + Math.abs(aa.alt).toFixed(1) + "° " + (aa.alt >= 0 ? "above" : "below") + " the horizon.";
+}
+
+function setFigures(on) { sky.figures.forEach(function(l) { l.visible = on; }); }
+function setNames(on)   { sky.names.forEach(function(g) { g.visible = on; }); }
+
+function setSkyFrom(from) {
+  sky.from = from;
+  gid("skyFrom").value = from;
+  sky.key = "";
+}
+
+function buildSkyUI() {
+  scene.add(skyDome);
+  bindToggle("toggleConstLines", setFigures);
+  bindToggle("toggleConstNames", setNames);
+  gid("skyFrom").addEventListener("change", function() { setSkyFrom(this.value); scheduleUrlState(); });
+}
+
+export {
+  STAR_DATA_URL,
+  skyDome,
+  skyGlobe,
+  sky,
+  loadStarCatalogue,
+  tickSky,
+  setSkyFrom,
+  buildSkyUI,
+};
@@ -0,0 +1,60 @@
+/**
+ * FLAT EARTH EXPLORER — app/state.js
+ *
+ * The settings every module reads (from config.json, see config.js)
+ * and the small bag of view state the panel, URL and render loop
+ * share. configure() runs first, before any scene is built.
+ */
+
+/* ─────────────────────────────────────────────────
+   CONSTANTS
+   Deployment settings come from config.json; the
+   entry (app.js) hands them to configure() before
+   anything is built.
+───────────────────────────────────────────────── */
+var CONFIG = null;
+
+var DISC_R    = 10;
+var WALL_H    = 4;
+var WALL_SEGS = 256;
+
+// Camera distances were tuned for a radius-10 disc; they scale with it
+var VIEW_SCALE = 1;
+
+// Disc UV radius beyond which a double-click counts as "at the ice wall"
+var ICE_WALL_UV = 0.415;
+
+function configure(config) {
+  CONFIG     = config;
+  DISC_R     = config.disc.radius;
+  WALL_H     = config.disc.wallHeight;
+  VIEW_SCALE = DISC_R / 10;
+}
+
+/* ─────────────────────────────────────────────────
+   STATE (minimal — OrbitControls owns camera now)
+───────────────────────────────────────────────── */
+var state = {
+  nightMode:  false,
+  satellite:  true,               // show the texture (off → plain placeholder colours)
+  sunTime:    false,              // real-time sun / terminator mode
+  simTime:    Date.now(),         // UTC instant shown in sun-time mode (ms)
+  timePlay:   true,
+  timeSpeed:  1,
+  streetMode: false,
+  observerMode: false,            // first-person view (observer.js) instead of the orbit view
+  viewMode:   "disc",             // "disc" | "globe" | "split" | "swipe"
+  swipeX:     0.5,                // swipe divider position, fraction of the width
+  hintShown:  false,
+};
+
+export {
+  CONFIG,
+  DISC_R,
+  WALL_H,
+  WALL_SEGS,
+  VIEW_SCALE,
+  ICE_WALL_UV,
+  configure,
+  state,
+};
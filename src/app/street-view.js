@@ -0,0 +1,62 @@
+/**
+ * FLAT EARTH EXPLORER — app/street-view.js
+ *
+ * The Google Street View overlay opened from the disc.
+ */
+
+import * as Projection from "../projection.js";
+import { CONFIG, state } from "./state.js";
+import { controls } from "./scene.js";
+import { gid, setNav } from "./ui.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   STREET VIEW
+───────────────────────────────────────────────── */
+var mapsLoaded=false, svPano=null;
+var svView = { lat: 0, lon: 0, heading: 34, pitch: 10 };   // last known Street View position/POV
+function loadMapsJS(cb) {
+  if (mapsLoaded){cb();return;}
+  if(!CONFIG.mapsApiKey){alert("Add a Google Maps API key (Settings, or mapsApiKey in config.json) to use Street View.");return;}
+  var s=document.createElement("script"); s.async=true;
+  s.src="https://maps.googleapis.com/maps/api/js?key="+encodeURIComponent(CONFIG.mapsApiKey)+"&v=weekly";
+  s.onload=function(){mapsLoaded=true;cb();};
+  document.head.appendChild(s);
+}
+function openStreetView(lat,lon,pov) {
+  state.streetMode=true;
+  svView = { lat: lat, lon: lon, heading: pov ? pov.heading : 34, pitch: pov ? pov.pitch : 10 };
+  scheduleUrlState();
+  gid("streetOverlay").classList.remove("hidden");
+  gid("streetCoords").textContent=Projection.fmtLatLon(lat, lon, 4);
+  setNav("navStreet"); controls.enabled=false;
+  loadMapsJS(function(){
+    var pos={lat:lat,lng:lon}, pv={heading:svView.heading,pitch:svView.pitch};
+    if (svPano) { svPano.setPosition(pos); svPano.setPov(pv); return; }
+    svPano=new google.maps.StreetViewPanorama(gid("streetMap"),{position:pos,pov:pv,zoom:1,addressControl:false,fullscreenControl:false});
+    svPano.addListener("position_changed",function(){
+      var p=svPano.getPosition(); if(!p) return;
+      svView.lat=p.lat(); svView.lon=p.lng(); scheduleUrlState();
+    });
+    svPano.addListener("pov_changed",function(){
+      var v=svPano.getPov(); svView.heading=v.heading; svView.pitch=v.pitch; scheduleUrlState();
+    });
+  });
+}
+function closeStreetView() {
+  state.streetMode=false;
+  gid("streetOverlay").classList.add("hidden");
+  setNav(state.viewMode === "disc" ? "navDisc" : "navGlobe"); controls.enabled=true;
+  scheduleUrlState();
+}
+
+function initStreetView() {
+  gid("closeStreet").addEventListener("click",closeStreetView);
+}
+
+export {
+  svView,
+  openStreetView,
+  closeStreetView,
+  initStreetView,
+};
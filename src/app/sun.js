@@ -0,0 +1,104 @@
+/**
+ * FLAT EARTH EXPLORER — app/sun.js
+ *
+ * Night mode and the real-time sun: the terminator, the moving sun
+ * glow and the time controls.
+ */
+
+import * as Solar from "../solar.js";
+import { state } from "./state.js";
+import { ambient, sun, fill, topMat, sunGlow, SUN_GLOW_POS, SUN_LIGHT_POS } from "./scene.js";
+import { gid } from "./ui.js";
+import { latLonToWorld } from "./coords.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   NIGHT TRANSITION
+───────────────────────────────────────────────── */
+function tickNight() {
+  var tgt=state.nightMode&&!state.sunTime?1:0, cur=topMat.uniforms.nightAmt.value;
+  topMat.uniforms.nightAmt.value += (tgt-cur)*0.025;
+  ambient.intensity = 0.6  - topMat.uniforms.nightAmt.value*0.50;
+  sun.intensity     = 2.8  - topMat.uniforms.nightAmt.value*2.6;
+  fill.intensity    = 0.4  - topMat.uniforms.nightAmt.value*0.35;
+}
+
+/* ─────────────────────────────────────────────────
+   SUN & TIME — terminator driven by a UTC instant
+   The sun circles above its subsolar point on the
+   disc; topMat lights each pixel by its true solar
+   zenith angle. Sliders scrub time of day and day
+   of year; play advances state.simTime at timeSpeed×.
+───────────────────────────────────────────────── */
+var SUN_ORBIT_H = 9;
+var _sunOrbit   = new THREE.Vector3();
+var _lastTimeUI = -1;
+
+function simDate() { return new Date(state.simTime); }
+
+function tickSun(dt) {
+  if (state.sunTime && state.timePlay) state.simTime += dt * 1000 * state.timeSpeed;
+
+  var u = topMat.uniforms;
+  u.timeAmt.value += ((state.sunTime?1:0) - u.timeAmt.value) * 0.04;
+  var k = u.timeAmt.value;
+  if (k < 0.001 && !state.sunTime) return;
+
+  var ss = Solar.subsolarPoint(simDate());
+  u.sunLL.value.set(ss.lat * Math.PI/180, ss.lon * Math.PI/180);
+
+  // Glow and key light move from their fixed "studio" spots to the orbit
+  _sunOrbit.copy(latLonToWorld(ss.lat, ss.lon, SUN_ORBIT_H));
+  sunGlow.position.lerpVectors(SUN_GLOW_POS, _sunOrbit, k);
+  sunGlow.scale.setScalar(1 - k * 0.8);
+  sun.position.lerpVectors(SUN_LIGHT_POS, _sunOrbit, k);
+  u.sunDir.value.copy(sun.position).normalize();
+
+  updateTimeUI();
+}
+
+/* Sliders and readout follow simTime a minute at a time; force after a jump */
+function updateTimeUI(force) {
+  var d = simDate();
+  var minute = Math.floor(state.simTime / 60000);
+  if (minute === _lastTimeUI && !force) return;
+  _lastTimeUI = minute;
+  var yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  gid("timeOfDay").value = d.getUTCHours() * 60 + d.getUTCMinutes();
+  gid("dayOfYear").value = Math.floor((state.simTime - yearStart) / 864e5) + 1;
+  gid("timeReadout").textContent = d.toISOString().slice(0, 16).replace("T", " ") + " UTC";
+  if (state.sunTime) scheduleUrlState();
+}
+
+function setSimFromSliders() {
+  var d = simDate();
+  state.simTime = Date.UTC(d.getUTCFullYear(), 0, 1)
+                + (gid("dayOfYear").value - 1) * 864e5
+                + gid("timeOfDay").value * 6e4;
+  updateTimeUI(true);
+  scheduleUrlState();
+}
+
+function setTimePlay(on) {
+  state.timePlay = on;
+  gid("timePlay").classList.toggle("playing", on);
+  gid("timePlay").title = on ? "Pause" : "Play";
+  scheduleUrlState();
+}
+
+function initSun() {
+  gid("timeOfDay").addEventListener("input", setSimFromSliders);
+  gid("dayOfYear").addEventListener("input", setSimFromSliders);
+  gid("timePlay").addEventListener("click", function(){ setTimePlay(!state.timePlay); });
+  gid("timeNow").addEventListener("click", function(){ state.simTime = Date.now(); updateTimeUI(true); scheduleUrlState(); });
+  gid("timeSpeed").addEventListener("change", function(){ state.timeSpeed = +this.value; scheduleUrlState(); });
+}
+
+export {
+  tickNight,
+  simDate,
+  tickSun,
+  updateTimeUI,
+  setTimePlay,
+  initSun,
+};
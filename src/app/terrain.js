@@ -0,0 +1,135 @@
+/**
+ * FLAT EARTH EXPLORER — app/terrain.js
+ *
+ * Optional relief: the elevation map, a displaced copy of the top
+ * face, and elevationAt() for the cursor readout and descriptions.
+ */
+
+import * as Heightmap from "../heightmap.js";
+import { DISC_R } from "./state.js";
+import { scene, topMat, topMesh } from "./scene.js";
+import { DISC_VERT, DISC_FRAG } from "./disc-shader.js";
+import { gid, setToggle } from "./ui.js";
+import { discKmPerUnit } from "./coords.js";
+import { placeDiscOverlays } from "./projection-panel.js";
+
+/* ─────────────────────────────────────────────────
+   TERRAIN — elevation, relief and hillshading
+   data/elevation.png holds land heights in red and sea
+   depths in green; heightmap.js decodes and samples it and
+   says where each comes from. The sea is tinted by depth
+   but not displaced: the relief stops at the shoreline.
+   The terrain mesh is a densely tessellated copy of topMesh
+   drawn with the same shader (DISC_TERRAIN), displaced in
+   the vertex stage. topMesh stays in place, hidden, as the
+   flat surface pickDisc() raycasts against — with a lot of
+   exaggeration the cursor readout is a touch off on steep
+   oblique views.
+
+   latLonToWorld() adds the same height, so pins, lines and
+   labels sit on the relief rather than inside it.
+───────────────────────────────────────────────── */
+var ELEVATION_URL    = "data/elevation.png";
+var TERRAIN_SEGMENTS = 512;
+
+var terrain = {
+  on:           false,
+  exaggeration: 40,
+  heights:      null,    // Heightmap.decode() result once loaded
+  loading:      false,
+  mesh:         null,
+};
+
+function loadElevation(done) {
+  if (terrain.heights) { done(true); return; }
+  if (terrain.loading) return;
+  terrain.loading = true;
+  var img = new Image();
+  img.onload = function() {
+    var c = document.createElement("canvas");
+    c.width = img.width; c.height = img.height;
+    var ctx = c.getContext("2d");
+    ctx.drawImage(img, 0, 0);
+    terrain.heights = Heightmap.decode(ctx.getImageData(0, 0, c.width, c.height).data, c.width, c.height);
+
+    var tex = new THREE.Texture(img);
+    tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+    tex.minFilter = tex.magFilter = THREE.LinearFilter;
+    tex.generateMipmaps = false;
+    tex.needsUpdate = true;
+    topMat.uniforms.tHeight.value = tex;
+    terrain.loading = false;
+    done(true);
+  };
+  img.onerror = function() {
+    terrain.loading = false;
+    console.warn("Elevation data unavailable:", ELEVATION_URL);
+    done(false);
+  };
+  img.src = ELEVATION_URL;
+}
+
+/* Elevation at a lat/lon: { m, sea } (see Heightmap.sample), or null before the data is in */
+function elevationAt(lat, lon) {
+  return terrain.heights ? Heightmap.sample(terrain.heights, lat, lon) : null;
+}
+
+/* World-unit lift for a lat/lon while the relief is showing; none at sea */
+function terrainHeight(lat, lon) {
+  if (!terrain.on || !terrain.heights) return 0;
+  return Math.max(0, elevationAt(lat, lon).m) * topMat.uniforms.terrainScale.value;
+}
+
+function updateTerrainUniforms() {
+  var kmPerUnit = discKmPerUnit(), u = topMat.uniforms;
+  u.terrainScale.value  = terrain.exaggeration / (kmPerUnit * 1000);
+  u.terrainMPerUv.value = kmPerUnit * 1000 * DISC_R * 2;
+}
+
+function setTerrain(on) {
+  terrain.on = on;
+  gid("terrainOpts").classList.toggle("hidden", !on);
+  if (!on) { applyTerrain(); return; }
+  loadElevation(function(ok) {
+    if (!ok) { setToggle("toggleTerrain", false); return; }
+    applyTerrain();
+  });
+}
+
+function applyTerrain() {
+  var show = terrain.on && !!terrain.heights;
+  if (show && !terrain.mesh) {
+    terrain.mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(DISC_R * 2, DISC_R * 2, TERRAIN_SEGMENTS, TERRAIN_SEGMENTS),
+      new THREE.ShaderMaterial({
+        uniforms:       topMat.uniforms,    // the same objects: stays in step with topMat
+        defines:        { DISC_TERRAIN: "" },
+        vertexShader:   DISC_VERT,
+        fragmentShader: DISC_FRAG,
+      }));
+    terrain.mesh.rotation.copy(topMesh.rotation);
+    terrain.mesh.position.copy(topMesh.position);
+    terrain.mesh.receiveShadow = true;
+    scene.add(terrain.mesh);
+  }
+  if (terrain.mesh) terrain.mesh.visible = show;
+  topMesh.visible = !show;
+  gid("coordElevWrap").classList.toggle("hidden", !show);
+  updateTerrainUniforms();
+  placeDiscOverlays();
+}
+
+function setExaggeration(x) {
+  terrain.exaggeration = x;
+  gid("terrainExagVal").textContent = x + "×";
+  updateTerrainUniforms();
+}
+
+export {
+  terrain,
+  elevationAt,
+  terrainHeight,
+  updateTerrainUniforms,
+  setTerrain,
+  setExaggeration,
+};
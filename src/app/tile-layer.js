@@ -0,0 +1,181 @@
+/**
+ * FLAT EARTH EXPLORER — app/tile-layer.js
+ *
+ * Optional disc-space imagery tiles, picked, loaded and faded in
+ * every frame over the reprojected Blue Marble.
+ */
+
+import * as Projection from "../projection.js";
+import * as TilePyramid from "../tiles.js";
+import { DISC_R, state } from "./state.js";
+import { renderer, scene, camera, topMat, topMesh } from "./scene.js";
+import { DISC_VERT, DISC_FRAG } from "./disc-shader.js";
+import { loader } from "./assets.js";
+import { terrain } from "./terrain.js";
+import { showNotice } from "./ui.js";
+import { uvToWorld } from "./coords.js";
+import { discViewport } from "./globe.js";
+
+/* ─────────────────────────────────────────────────
+   TILED IMAGERY — optional disc-space tile pyramid
+   A tileset (manifest format in tiles.js) is already in the disc
+   projection, so it only draws while Projection.get() matches the
+   one it was rendered for; otherwise topMat's reprojected Blue
+   Marble shows as before. Each tile is a patch laid just over
+   topMesh and drawn with the same shader (DISC_TILE), so night,
+   terminator and limb shading line up exactly.
+
+   Tiles are picked every frame from camera distance and frustum,
+   loaded coarse-first, kept in an LRU cache under a GPU memory
+   budget, and cross-faded over their parent as they arrive.
+   imagery.tiles in config.json (or ?tiles=) names the manifest,
+   local or self-hosted; empty (the default) leaves tiles off.
+   test/fixtures/tileset is a two-level sample.
+───────────────────────────────────────────────── */
+var TILE_GPU_BUDGET   = 192 * 1024 * 1024;   // bytes of decoded RGBA texture
+var TILE_MAX_LOADS    = 6;                   // requests in flight
+var TILE_FADE_MS      = 300;
+var TILE_DETAIL       = 1.0;                 // split once a tile is this × its size on screen
+var TILE_LIFT         = 0.001;
+
+var tiles = {
+  manifest: null,
+  base:     null,        // absolute manifest URL, for resolving the template
+  cache:    null,        // TilePyramid.LRUCache: key → { mesh, fade }
+  loading:  {},
+  failed:   {},          // not retried this session
+  inFlight: 0,
+  group:    new THREE.Group(),
+};
+
+function loadTileset(url) {
+  fetch(url)
+    .then(function(r) { if (!r.ok) throw new Error(r.status + " " + url); return r.json(); })
+    .then(function(m) {
+      tiles.manifest = TilePyramid.normalizeManifest(m);
+      tiles.base     = new URL(url, location.href).href;
+      tiles.cache    = new TilePyramid.LRUCache(TILE_GPU_BUDGET, disposeTile);
+    })
+    .catch(function(e) {
+      console.warn("Tileset unavailable:", e);
+      showNotice("Tiled imagery unavailable", "Couldn't load " + url + " — showing the single Blue Marble texture");
+    });
+}
+
+/* Is the tileset usable right now? */
+function tilesActive() {
+  if (!tiles.manifest || !state.satellite || terrain.on) return false;   // tiles are flat patches
+  var p = Projection.get(), t = tiles.manifest.projection;
+  return p.kind === t.kind && Math.abs(p.lat - t.lat) < 1e-6 && Math.abs(p.lon - t.lon) < 1e-6;
+}
+
+function makeTile(t, tex) {
+  var b = TilePyramid.bounds(t.z, t.x, t.y), side = b.size * DISC_R * 2;
+  var geo = new THREE.PlaneGeometry(side, side, 1, 1);
+  var uv  = geo.attributes.uv;
+  for (var i = 0; i < uv.count; i++) uv.setXY(i, b.u0 + uv.getX(i) * b.size, b.v0 + uv.getY(i) * b.size);
+
+  var mat = new THREE.ShaderMaterial({
+    uniforms: Object.assign({}, topMat.uniforms, {   // shared by reference, so they track topMat
+      tTile:    { value: tex },
+      tileRect: { value: new THREE.Vector3(b.u0, b.v0, b.size) },
+      tileFade: { value: 0 },
+    }),
+    defines:        { DISC_TILE: "" },
+    vertexShader:   DISC_VERT,
+    fragmentShader: DISC_FRAG,
+    transparent:    true,
+    depthWrite:     false,
+    polygonOffset:  true, polygonOffsetFactor: -1, polygonOffsetUnits: -1,
+  });
+  var mesh = new THREE.Mesh(geo, mat);
+  mesh.position.set((b.u0 + b.size / 2 - 0.5) * DISC_R * 2, (b.v0 + b.size / 2 - 0.5) * DISC_R * 2, 0);
+  mesh.renderOrder = t.z - 100;    // before other transparent layers, finer levels on top
+  mesh.visible = false;
+  tiles.group.add(mesh);
+  return { mesh: mesh, fade: 0 };
+}
+
+function disposeTile(key, tile) {
+  tiles.group.remove(tile.mesh);
+  tile.mesh.geometry.dispose();
+  tile.mesh.material.uniforms.tTile.value.dispose();
+  tile.mesh.material.dispose();
+}
+
+function loadTile(t) {
+  var m = tiles.manifest;
+  tiles.loading[t.key] = true;
+  tiles.inFlight++;
+  loader.load(TilePyramid.tileUrl(m.template, tiles.base, t.z, t.x, t.y), function(tex) {
+    tiles.inFlight--;
+    delete tiles.loading[t.key];
+    tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+    tex.minFilter = tex.magFilter = THREE.LinearFilter;
+    tex.generateMipmaps = false;
+    tiles.cache.set(t.key, makeTile(t, tex), m.tileSize * m.tileSize * 4);
+  }, undefined, function() {
+    tiles.inFlight--;
+    delete tiles.loading[t.key];
+    tiles.failed[t.key] = true;
+  });
+}
+
+/* Screen size in device px of a disc-UV square, or -1 when off-screen */
+var _tileBox = new THREE.Box3(), _tileFrustum = new THREE.Frustum(), _tileProj = new THREE.Matrix4();
+function tileMeasure(vpHeight) {
+  camera.updateMatrixWorld();
+  _tileProj.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  _tileFrustum.setFromProjectionMatrix(_tileProj);
+  var pxPerUnit = vpHeight * renderer.getPixelRatio() / 2 / Math.tan(camera.fov * Math.PI / 360);
+  var y = tiles.group.position.y;
+  return function(b) {
+    var a = uvToWorld(b.u0, b.v0 + b.size), c = uvToWorld(b.u0 + b.size, b.v0);
+    _tileBox.min.set(a.x, y, a.z);
+    _tileBox.max.set(c.x, y, c.z);
+    if (!_tileFrustum.intersectsBox(_tileBox)) return -1;
+    var d = Math.max(camera.near, _tileBox.distanceToPoint(camera.position));
+    return b.size * DISC_R * 2 / d * pxPerUnit;
+  };
+}
+
+function tickTiles(dt) {
+  var vp = discViewport(), on = !!vp && tilesActive();
+  tiles.group.visible = on;
+  if (!on) return;
+
+  var cache  = tiles.cache;
+  var wanted = TilePyramid.select(tiles.manifest, tileMeasure(vp.h), TILE_DETAIL);
+  wanted.filter(function(t) { return !cache.has(t.key) && !tiles.loading[t.key] && !tiles.failed[t.key]; })
+        .sort(function(a, b) { return a.z - b.z; })
+        .slice(0, Math.max(0, TILE_MAX_LOADS - tiles.inFlight))
+        .forEach(loadTile);
+
+  var draw = TilePyramid.drawSet(wanted,
+    function(k) { return cache.has(k); },
+    function(k) { return cache.peek(k).fade >= 1; });
+  Object.keys(draw).forEach(function(k) { cache.get(k); });     // keep them recent
+
+  var step = dt * 1000 / TILE_FADE_MS;
+  cache.forEach(function(tile, k) {
+    tile.fade = draw[k] ? Math.min(1, tile.fade + step) : Math.max(0, tile.fade - step);
+    tile.mesh.visible = tile.fade > 0;
+    tile.mesh.material.uniforms.tileFade.value = tile.fade;
+  });
+  cache.trim(draw);
+}
+
+function initTileLayer() {
+  tiles.group.rotation.x = -Math.PI / 2;
+  tiles.group.position.y = topMesh.position.y + TILE_LIFT;
+  tiles.group.visible    = false;
+  scene.add(tiles.group);
+}
+
+export {
+  tiles,
+  loadTileset,
+  tilesActive,
+  tickTiles,
+  initTileLayer,
+};
@@ -0,0 +1,204 @@
+/**
+ * FLAT EARTH EXPLORER — app/tour-player.js
+ *
+ * Plays tours.js scripts with a caption card.
+ */
+
+import * as Projection from "../projection.js";
+import * as Tours from "../tours.js";
+import { state } from "./state.js";
+import { gid, setToggle } from "./ui.js";
+import { ROUTE_PRESETS, route, setRouteStops, setRoutePanelOpen } from "./routes.js";
+import { startFlight, frameLatLon, clampRadius, clampPhi, keyTargetIsField } from "./camera.js";
+import { dropPin, clearPin } from "./labels.js";
+import { closeStreetView } from "./street-view.js";
+import { updateTimeUI, setTimePlay } from "./sun.js";
+import { setViewMode } from "./globe.js";
+import { URL_TOGGLES, scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   GUIDED TOURS — scripted steps with a caption card
+   Scripts are checked by tours.js (format documented
+   there). Each step sets only what it mentions, then
+   flies the camera; autoplay moves on after the step's
+   duration. Page Down / Page Up step through (what
+   presentation clickers send), Escape ends the tour.
+   ?tour=<built-in id or URL> starts one on load,
+   &autoplay plays it hands-free.
+───────────────────────────────────────────────── */
+var TOUR_LIST = [
+  { id: "southern-distortion", url: "data/tours/southern-distortion.json",
+    name: "How the azimuthal equidistant projection distorts the southern hemisphere" },
+];
+
+var tour = {
+  script:  null,
+  index:   -1,
+  elapsed: 0,         // ms into the current step
+  playing: false,
+};
+
+function fetchTour(url) {
+  return fetch(url)
+    .then(function(r) { if (!r.ok) throw new Error(r.status + " " + url); return r.text(); })
+    .then(Tours.parse);
+}
+
+/* Built-in id or URL → started tour; errors go to the panel */
+function loadTour(ref, autoplay) {
+  var known = TOUR_LIST.filter(function(t){ return t.id === ref; })[0];
+  gid("tourStatus").textContent = "Loading tour…";
+  fetchTour(known ? known.url : ref).then(function(script) {
+    gid("tourStatus").textContent = "";
+    startTour(script, autoplay);
+  }).catch(function(e) {
+    gid("tourStatus").textContent = "Couldn't load tour: " + e.message;
+  });
+}
+
+function startTour(script, autoplay) {
+  closeStreetView();
+  tour.script = script;
+  gid("tourTitle").textContent = script.title;
+  gid("tourCard").classList.remove("hidden");
+  setTourPlaying(!!autoplay);
+  showTourStep(0);
+}
+
+function endTour() {
+  tour.script = null;
+  setTourPlaying(false);
+  gid("tourCard").classList.add("hidden");
+}
+
+function setTourPlaying(on) {
+  tour.playing = on;
+  gid("tourPlay").classList.toggle("playing", on);
+  gid("tourPlay").title = on ? "Pause" : "Autoplay";
+}
+
+function showTourStep(i) {
+  var steps = tour.script.steps;
+  tour.index   = Math.max(0, Math.min(steps.length - 1, i));
+  tour.elapsed = 0;
+  applyTourStep(steps[tour.index]);
+  renderTourCard();
+}
+
+function tourRouteStops(r) {
+  if (!r) return [];
+  if (typeof r !== "string") return r.map(function(s){ return { name: s.name || Projection.fmtLatLon(s.lat, s.lon, 2), lat: s.lat, lon: s.lon }; });
+  var preset = ROUTE_PRESETS.filter(function(p){ return p.id === r; })[0];
+  if (!preset) console.warn("Tour: unknown route preset", r);
+  return preset ? preset.stops : [];
+}
+
+function applyTourStep(s) {
+  var D2R = Math.PI / 180;
+  if (s.projection) Projection.set(s.projection);
+  if (s.layers) Object.keys(s.layers).forEach(function(k) {
+    if (URL_TOGGLES[k]) setToggle(URL_TOGGLES[k], s.layers[k]);
+    else console.warn("Tour: unknown layer", k);
+  });
+  if (s.night !== undefined) setToggle("toggleNight", s.night);
+  if (s.time !== undefined) {
+    if (s.time !== null) {
+      state.simTime = s.time;
+      setTimePlay(false);
+      updateTimeUI(true);
+    }
+    setToggle("toggleSunTime", s.time !== null);
+  }
+  if (s.pin !== undefined) {
+    if (s.pin) dropPin(s.pin.lat, s.pin.lon, s.pin.label);
+    else clearPin();
+  }
+  if (s.route !== undefined) {
+    setRouteStops(tourRouteStops(s.route));
+    setRoutePanelOpen(route.stops.length > 1);
+  }
+  if (s.view) setViewMode(s.view);
+
+  if (s.camera) {
+    var c = s.camera;
+    startFlight(new THREE.Vector3().fromArray(c.target),
+                new THREE.Spherical(clampRadius(c.dist), clampPhi(c.polar * D2R), c.az * D2R));
+  } else if (s.flyTo) {
+    var f = s.flyTo;
+    frameLatLon(f.lat, f.lon, f.dist && clampRadius(f.dist), f.polar == null ? null : clampPhi(f.polar * D2R));
+  }
+  scheduleUrlState();
+}
+
+function renderTourCard() {
+  var s = tour.script.steps[tour.index], n = tour.script.steps.length;
+  gid("tourStepTitle").textContent = s.title;
+  var text = gid("tourText");
+  text.textContent = "";
+  s.text.split(/\n\s*\n/).forEach(function(para) {
+    if (!para.trim()) return;
+    var el = document.createElement("p");
+    el.textContent = para.trim();
+    text.appendChild(el);
+  });
+  gid("tourCount").textContent = (tour.index + 1) + " / " + n;
+  gid("tourPrev").disabled = tour.index === 0;
+  gid("tourNext").disabled = tour.index === n - 1;
+  renderTourProgress();
+}
+
+function renderTourProgress() {
+  var s = tour.script.steps[tour.index], n = tour.script.steps.length;
+  var frac = tour.playing ? Math.min(1, tour.elapsed / s.duration) : 0;
+  gid("tourProgress").style.width = ((tour.index + frac) / n * 100).toFixed(2) + "%";
+}
+
+function tickTour(dt) {
+  if (!tour.script || !tour.playing) return;
+  tour.elapsed += dt * 1000;
+  if (tour.elapsed >= tour.script.steps[tour.index].duration) {
+    if (tour.index < tour.script.steps.length - 1) showTourStep(tour.index + 1);
+    else { setTourPlaying(false); renderTourProgress(); }
+    return;
+  }
+  renderTourProgress();
+}
+
+function buildTourUI() {
+  var sel = gid("tourSelect");
+  TOUR_LIST.forEach(function(t){ sel.add(new Option(t.name, t.id)); });
+  gid("tourStart").addEventListener("click", function(){ loadTour(sel.value); });
+  gid("tourLoad").addEventListener("click", function(){ gid("tourFile").click(); });
+  gid("tourFile").addEventListener("change", function() {
+    var file = this.files[0];
+    this.value = "";
+    if (!file) return;
+    file.text().then(function(text) {
+      gid("tourStatus").textContent = "";
+      startTour(Tours.parse(text));
+    }).catch(function(e) {
+      gid("tourStatus").textContent = "Couldn't load " + file.name + ": " + e.message;
+    });
+  });
+
+  gid("tourPrev").addEventListener("click",  function(){ showTourStep(tour.index - 1); });
+  gid("tourNext").addEventListener("click",  function(){ showTourStep(tour.index + 1); });
+  gid("tourClose").addEventListener("click", endTour);
+  gid("tourPlay").addEventListener("click",  function() {
+    if (!tour.playing && tour.index === tour.script.steps.length - 1) showTourStep(0);  // replay
+    setTourPlaying(!tour.playing);
+    renderTourProgress();
+  });
+  document.addEventListener("keydown", function(e) {
+    if (!tour.script || keyTargetIsField(e)) return;
+    if (e.key === "PageDown")    { showTourStep(tour.index + 1); e.preventDefault(); }
+    else if (e.key === "PageUp") { showTourStep(tour.index - 1); e.preventDefault(); }
+    else if (e.key === "Escape") endTour();
+  });
+}
+
+export {
+  loadTour,
+  tickTour,
+  buildTourUI,
+};
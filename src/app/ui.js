@@ -0,0 +1,192 @@
+/**
+ * FLAT EARTH EXPLORER — app/ui.js
+ *
+ * The page around the canvas: DOM helpers, the status bar, the
+ * pointer readout, the side panel and its toggles, and toasts.
+ */
+
+import * as Projection from "../projection.js";
+import * as Format from "../format.js";
+import { DISC_R, ICE_WALL_UV, state } from "./state.js";
+import { canvas, camera, topMat, iceGroup, wfMesh } from "./scene.js";
+import { terrain, elevationAt, setTerrain, setExaggeration } from "./terrain.js";
+import { discKmPerUnit, pickDisc } from "./coords.js";
+import { placeDiscOverlays } from "./projection-panel.js";
+import { updateDistortionReadout } from "./distortion.js";
+import { ruler, updateRulerPreview } from "./ruler.js";
+import { openStreetView, closeStreetView } from "./street-view.js";
+import { pickGlobe, setLinkMarker, setViewMode } from "./globe.js";
+import { enterObserver } from "./observer.js";
+import { scheduleUrlState } from "./url-state.js";
+import { describePointSoon } from "./a11y.js";
+
+/* ─────────────────────────────────────────────────
+   UI HELPERS
+───────────────────────────────────────────────── */
+function gid(id) { return document.getElementById(id); }
+
+/* Toggle-button state: the .active look plus aria-pressed */
+function setPressed(el, on) {
+  el.classList.toggle("active", on);
+  el.setAttribute("aria-pressed", on);
+}
+
+/* Save a Blob through a temporary download link */
+function downloadBlob(blob, filename) {
+  var a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(function(){ URL.revokeObjectURL(a.href); }, 1000);
+}
+
+/* ─────────────────────────────────────────────────
+   UPDATE HUD (called from render loop)
+───────────────────────────────────────────────── */
+function updateHUD() {
+  var d      = camera.position.length();
+  var altKm  = Math.max(0, (d - DISC_R) * discKmPerUnit());
+  gid("coordAlt").textContent = Format.fmtAltitude(altKm);
+
+  var bar = Format.scaleBar(altKm, camera.fov, window.innerHeight);
+  gid("scaleLine").style.width  = bar.px+"px";
+  gid("scaleLabel").textContent = Format.fmtKm(bar.km);
+}
+
+/* Pointer readout: lat/lon (elevation, distortion) under the mouse; a
+   double-click on the disc stands you there (observer.js) */
+function bindPointer() {
+  canvas.addEventListener("mousemove", function(e) {
+    if (e.buttons !== 0) return; // skip while dragging
+    var hit = pickDisc(e.clientX, e.clientY);
+    var ll  = hit ? hit.ll : pickGlobe(e.clientX, e.clientY);
+    if (ll) {
+      gid("coordLat").textContent = Projection.fmtLat(ll[0], 3);
+      gid("coordLon").textContent = Projection.fmtLon(ll[1], 3);
+      if (terrain.on && terrain.heights) gid("coordElev").textContent = Format.fmtElevation(elevationAt(ll[0], ll[1]));
+    }
+    updateDistortionReadout(ll);
+    describePointSoon(ll);
+    if (state.viewMode !== "disc") setLinkMarker("hover", ll);
+    if (ruler.active) updateRulerPreview(hit);
+  });
+  canvas.addEventListener("dblclick", function(e) {
+    if (ruler.active) return;   // double-clicks end up as ruler points, not a trip to the ground
+    var hit = pickDisc(e.clientX, e.clientY);
+    if (hit) {
+      var uv = hit.uv;
+      var ll = hit.ll;
+      if (Math.hypot(uv.x - 0.5, uv.y - 0.5) > ICE_WALL_UV) { showIceToast(); return; }
+      enterObserver(ll[0], ll[1]);
+      if (!state.hintShown) { gid("hintToast").classList.add("hidden"); state.hintShown=true; }
+    }
+  });
+}
+
+/* ─────────────────────────────────────────────────
+   PANEL / TOGGLES
+───────────────────────────────────────────────── */
+/* The panel is a modal dialog: inert while closed, focus moves in on
+   open, Tab cycles inside it, and focus goes back to the menu button */
+function isPanelOpen() { return gid("sidePanel").classList.contains("panel-open"); }
+function setPanelOpen(open) {
+  var panel = gid("sidePanel");
+  if (isPanelOpen() === open) return;
+  var hadFocus = panel.contains(document.activeElement);
+  panel.classList.toggle("panel-open", open);
+  panel.classList.toggle("panel-closed", !open);
+  panel.inert = !open;
+  gid("panelOverlay").classList.toggle("visible", open);
+  gid("menuBtn").setAttribute("aria-expanded", open);
+  if (open) gid("panelClose").focus();
+  else if (hadFocus) gid("menuBtn").focus();
+}
+function closePanel() { setPanelOpen(false); }
+
+function setNav(id) {
+  document.querySelectorAll(".panel-nav-item").forEach(function(b){ b.classList.remove("active"); });
+  gid(id).classList.add("active");
+}
+
+var toggleFns = {};
+function bindToggle(id, fn) {
+  toggleFns[id] = fn;
+  gid(id).addEventListener("click", function() { setToggle(id, !isToggleOn(id)); });
+}
+function isToggleOn(id) { return gid(id).classList.contains("active"); }
+function setToggle(id, on) {
+  if (isToggleOn(id) === on) return;
+  gid(id).classList.toggle("active", on);
+  gid(id).setAttribute("aria-checked", on);
+  toggleFns[id](on);
+  scheduleUrlState();
+}
+
+function bindPanel() {
+  gid("menuBtn").addEventListener("click", function() { setPanelOpen(!isPanelOpen()); });
+  gid("panelClose").addEventListener("click", closePanel);
+  gid("panelOverlay").addEventListener("click", closePanel);
+  gid("sidePanel").addEventListener("keydown", function(e) {
+    if (e.key === "Escape") { e.preventDefault(); e.stopPropagation(); closePanel(); return; }
+    if (e.key !== "Tab") return;
+    var f = Array.prototype.filter.call(
+      this.querySelectorAll("button, input, select, textarea, a[href], [tabindex]:not([tabindex='-1'])"),
+      function(el) { return !el.disabled && el.offsetParent !== null; });
+    if (!f.length) return;
+    var first = f[0], last = f[f.length - 1];
+    if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+    else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+  });
+  gid("navDisc").addEventListener("click",   function(){ closeStreetView(); setViewMode("disc"); closePanel(); });
+  gid("navGlobe").addEventListener("click",  function(){ closeStreetView(); setViewMode(state.viewMode === "disc" ? "split" : state.viewMode); closePanel(); });
+  gid("navStreet").addEventListener("click", function(){ openStreetView(0,0); setNav("navStreet"); closePanel(); });
+  bindToggle("toggleNight",     function(on){ state.nightMode = on; });
+  bindToggle("toggleSunTime",   function(on){ state.sunTime = on; gid("timeControls").classList.toggle("hidden", !on); });
+  bindToggle("toggleWaterfall", function(on){ wfMesh.visible = on; });
+  bindToggle("toggleIce",       function(on){ iceGroup.visible = on; });
+  bindToggle("toggleSatellite", function(on){ state.satellite = on; topMat.uniforms.hasTex.value = on?1.0:0.0; });
+  bindToggle("toggleTerrain",   setTerrain);
+  gid("terrainExag").addEventListener("input",  function(){ setExaggeration(+this.value); });
+  gid("terrainExag").addEventListener("change", function(){ placeDiscOverlays(); scheduleUrlState(); });
+  gid("terrainShade").addEventListener("input", function(){ topMat.uniforms.hillshade.value = this.value / 100; });
+}
+
+/* ─────────────────────────────────────────────────
+   TOASTS
+───────────────────────────────────────────────── */
+var iceTmr=null;
+function showIceToast(){
+  var el=gid("iceToast"); el.classList.remove("hidden","out"); clearTimeout(iceTmr);
+  iceTmr=setTimeout(function(){el.classList.add("out");setTimeout(function(){el.classList.add("hidden");},350);},3500);
+}
+var noticeTmr=null;
+/* General-purpose notice (asset fallbacks, config problems) — never blocks */
+function showNotice(title, text){
+  var el=gid("noticeToast"); el.classList.remove("hidden","out"); clearTimeout(noticeTmr);
+  gid("noticeTitle").textContent=title; gid("noticeText").textContent=text;
+  noticeTmr=setTimeout(function(){el.classList.add("out");setTimeout(function(){el.classList.add("hidden");},350);},8000);
+}
+
+/* Wire up the panel and the pointer readout, and fade the first-visit hint */
+function initUI() {
+  bindPointer();
+  bindPanel();
+  setTimeout(function(){
+    var h=gid("hintToast");
+    if(h&&!h.classList.contains("hidden")){h.classList.add("out");setTimeout(function(){h.classList.add("hidden");},350);}
+  },8000);
+}
+
+export {
+  gid,
+  setPressed,
+  downloadBlob,
+  updateHUD,
+  closePanel,
+  setNav,
+  bindToggle,
+  isToggleOn,
+  setToggle,
+  showNotice,
+  initUI,
+};
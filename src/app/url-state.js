@@ -0,0 +1,207 @@
+/**
+ * FLAT EARTH EXPLORER — app/url-state.js
+ *
+ * The view as a shareable link in location.hash.
+ */
+
+import * as Projection from "../projection.js";
+import * as LocalSun from "../localsun.js";
+import { state } from "./state.js";
+import { camera, controls } from "./scene.js";
+import { terrain, setExaggeration } from "./terrain.js";
+import { gid, isToggleOn, setToggle } from "./ui.js";
+import { placeDiscOverlays } from "./projection-panel.js";
+import { vectorLayers, setGraticuleStep } from "./vectors.js";
+import { tissot, setHeatmap } from "./distortion.js";
+import { cancelFlight } from "./camera.js";
+import { pin, dropPin, clearPin } from "./labels.js";
+import { svView, openStreetView, closeStreetView } from "./street-view.js";
+import { updateTimeUI, setTimePlay } from "./sun.js";
+import { VIEW_MODES, setViewMode } from "./globe.js";
+import { localSky, setLocalSkyHeight, setLocalSkySpot } from "./local-sky.js";
+import { sky, setSkyFrom } from "./sky.js";
+import {
+  OBJECTS, observer, setObserverHeight, enterObserver, exitObserver, observerHeading,
+} from "./observer.js";
+
+/* ─────────────────────────────────────────────────
+   URL STATE — shareable deep links
+   The view lives in location.hash as key=value pairs,
+   restored on load (and on hashchange, for a link
+   pasted into an open tab):
+     cam    distance, azimuth°, polar°, target x,y,z
+     proj   projection kind, centre lat, lon
+     on     layer toggles that are switched on
+     gstep  graticule spacing°
+     heat   area | angle — the distortion heatmap
+     time   UTC instant, speed, play (sun-time mode)
+     fsun   local sun height, spotlight radius (km)
+     sky    "pin" when the star dome is the pin's sky
+     pin    lat, lon — with label
+     view   disc | globe | split | swipe, with swipe=x
+     sv     Street View lat, lon, heading, pitch
+     obs    observer lat, lon, heading, eye m, distance km,
+            object height m — with obj=ship|tower and
+            curve=0 flat, 1 globe, 2 globe with refraction
+   Writes go through history.replaceState, throttled,
+   so orbiting doesn't flood the history stack.
+───────────────────────────────────────────────── */
+var URL_TOGGLES = {
+  sat:     "toggleSatellite",
+  night:   "toggleNight",
+  ice:     "toggleIce",
+  falls:   "toggleWaterfall",
+  coast:   "toggleCoastlines",
+  borders: "toggleBorders",
+  grid:    "toggleGraticule",
+  sun:     "toggleSunTime",
+  terrain: "toggleTerrain",
+  flatsun: "toggleLocalSun",
+  figures: "toggleConstLines",
+  cnames:  "toggleConstNames",
+  tissot:  "toggleTissot",
+};
+var URL_WRITE_MS = 500;
+var urlTimer = null;
+
+function scheduleUrlState() {
+  if (urlTimer) return;
+  urlTimer = setTimeout(function(){ urlTimer = null; writeUrlState(); }, URL_WRITE_MS);
+}
+
+function fix(v, dp) { return +v.toFixed(dp); }        // rounded, trailing zeros dropped
+function listOf(s)  { return s ? s.split(",").map(parseFloat) : []; }
+
+function encodeUrlState() {
+  var R2D = 180 / Math.PI;
+  var off = new THREE.Spherical().setFromVector3(camera.position.clone().sub(controls.target));
+  var t   = controls.target;
+  var out = [
+    "cam=" + [fix(off.radius, 2), fix((off.theta * R2D + 360) % 360, 1), fix(off.phi * R2D, 1),
+              fix(t.x, 3), fix(t.y, 3), fix(t.z, 3)].join(","),
+  ];
+  var pr = Projection.get();
+  if (pr.kind !== "aeqd" || pr.lat !== 90 || pr.lon !== 0)
+    out.push("proj=" + [pr.kind, fix(pr.lat, 4), fix(pr.lon, 4)].join(","));
+  out.push("on=" + Object.keys(URL_TOGGLES).filter(function(k){ return isToggleOn(URL_TOGGLES[k]); }).join(","));
+  if (vectorLayers.graticule.step !== 15) out.push("gstep=" + vectorLayers.graticule.step);
+  if (tissot.heat !== "off") out.push("heat=" + tissot.heat);
+  if (terrain.on && terrain.exaggeration !== 40) out.push("relief=" + terrain.exaggeration);
+  if (state.sunTime) {
+    out.push("time=" + new Date(state.simTime).toISOString().slice(0, 16) + "Z");
+    out.push("speed=" + state.timeSpeed + "&play=" + (state.timePlay ? 1 : 0));
+  }
+  if (localSky.on && (localSky.heightKm !== LocalSun.DEFAULTS.heightKm || localSky.spotKm !== LocalSun.DEFAULTS.spotKm))
+    out.push("fsun=" + localSky.heightKm + "," + localSky.spotKm);
+  if (sky.from !== "centre") out.push("sky=" + sky.from);
+  if (pin) {
+    out.push("pin=" + fix(pin.lat, 5) + "," + fix(pin.lon, 5));
+    if (pin.label) out.push("label=" + encodeURIComponent(pin.label));
+  }
+  if (state.viewMode !== "disc") out.push("view=" + state.viewMode);
+  if (state.viewMode === "swipe") out.push("swipe=" + fix(state.swipeX, 3));
+  if (state.streetMode)
+    out.push("sv=" + [fix(svView.lat, 6), fix(svView.lon, 6), fix(svView.heading, 1), fix(svView.pitch, 1)].join(","));
+  if (observer.on) {
+    out.push("obs=" + [fix(observer.lat, 6), fix(observer.lon, 6), fix(observerHeading(), 1), fix(observer.eye, 1),
+                       fix(observer.offset.length() / 1000, 2), observer.height].join(","));
+    out.push("obj=" + observer.object + "&curve=" + (observer.curved ? (observer.refraction ? 2 : 1) : 0));
+  }
+  return out.join("&");
+}
+
+function writeUrlState() {
+  var hash = "#" + encodeUrlState();
+  if (hash !== location.hash) history.replaceState(history.state, "", location.pathname + location.search + hash);
+}
+
+/* Apply a hash produced by encodeUrlState(). Missing keys fall back to defaults,
+   so a pasted link fully replaces the current view. */
+function applyUrlState(hash) {
+  var q = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (!q.has("cam")) return false;
+  var D2R = Math.PI / 180;
+
+  var pr = (q.get("proj") || "aeqd,90,0").split(",");
+  Projection.set({ kind: pr[0], lat: parseFloat(pr[1]), lon: parseFloat(pr[2]) });
+
+  if (q.has("on")) {
+    var on = q.get("on").split(",");
+    Object.keys(URL_TOGGLES).forEach(function(k){ setToggle(URL_TOGGLES[k], on.indexOf(k) >= 0); });
+  }
+  var step = parseInt(q.get("gstep"), 10) || 15;
+  if (gid("graticuleStep").querySelector('option[value="' + step + '"]') && step !== vectorLayers.graticule.step) {
+    gid("graticuleStep").value = step;
+    setGraticuleStep(step);
+  }
+  setHeatmap(q.get("heat"));
+  var fsun = listOf(q.get("fsun"));
+  var fh = fsun[0] >= 500 && fsun[0] <= 10000 ? fsun[0] : LocalSun.DEFAULTS.heightKm;
+  var fs = fsun[1] >= 2000 && fsun[1] <= 20000 ? fsun[1] : LocalSun.DEFAULTS.spotKm;
+  gid("localSunHeight").value = fh;
+  gid("localSunSpot").value = fs;
+  setLocalSkyHeight(fh);
+  setLocalSkySpot(fs);
+  setSkyFrom(q.get("sky") === "pin" ? "pin" : "centre");
+  var relief = parseInt(q.get("relief"), 10);
+  relief = relief >= 1 && relief <= 100 ? relief : 40;
+  if (relief !== terrain.exaggeration) {
+    gid("terrainExag").value = relief;
+    setExaggeration(relief);
+    placeDiscOverlays();
+  }
+
+  var when = Date.parse(q.get("time"));
+  if (isFinite(when)) {
+    state.simTime = when;
+    var speed = +q.get("speed");
+    if (gid("timeSpeed").querySelector('option[value="' + speed + '"]')) { state.timeSpeed = speed; gid("timeSpeed").value = speed; }
+    setTimePlay(q.get("play") !== "0");
+    updateTimeUI(true);
+  }
+
+  var swipe = parseFloat(q.get("swipe"));
+  if (isFinite(swipe)) state.swipeX = Math.max(0.05, Math.min(0.95, swipe));
+  setViewMode(VIEW_MODES.indexOf(q.get("view")) >= 0 ? q.get("view") : "disc");
+
+  var c = listOf(q.get("cam"));
+  if (c.length >= 3 && c.every(isFinite)) {
+    cancelFlight();
+    if (c.length >= 6) controls.target.set(c[3], c[4], c[5]);
+    var r = Math.max(controls.minDistance, Math.min(controls.maxDistance, c[0]));
+    var phi = Math.max(0.01, Math.min(controls.maxPolarAngle, c[2] * D2R));
+    camera.position.setFromSpherical(new THREE.Spherical(r, phi, c[1] * D2R)).add(controls.target);
+    controls.update();
+  }
+
+  var p = listOf(q.get("pin"));
+  if (p.length === 2 && Math.abs(p[0]) <= 90 && Math.abs(p[1]) <= 180) dropPin(p[0], p[1], q.get("label") || "");
+  else clearPin();
+
+  var sv = listOf(q.get("sv"));
+  if (sv.length === 4 && sv.every(isFinite)) openStreetView(sv[0], sv[1], { heading: sv[2], pitch: sv[3] });
+  else if (state.streetMode) closeStreetView();
+
+  var o = listOf(q.get("obs"));
+  if (o.length === 6 && o.every(isFinite) && Math.abs(o[0]) <= 90) {
+    var kind = OBJECTS[q.get("obj")] ? q.get("obj") : "ship";
+    gid("obsObject").value = kind;
+    observer.object = kind;
+    setObserverHeight(Math.max(5, Math.min(500, o[5])));
+    enterObserver(o[0], o[1], { heading: o[2], eye: Math.max(1, Math.min(10000, o[3])), dist: Math.max(1, Math.min(100, o[4])),
+                                curve: parseInt(q.get("curve"), 10) || 0 });
+  } else exitObserver();
+  return true;
+}
+
+function initUrlState() {
+  controls.addEventListener("change", scheduleUrlState);
+  window.addEventListener("hashchange", function(){ applyUrlState(location.hash); });
+}
+
+export {
+  URL_TOGGLES,
+  scheduleUrlState,
+  applyUrlState,
+  initUrlState,
+};
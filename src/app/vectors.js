@@ -0,0 +1,137 @@
+/**
+ * FLAT EARTH EXPLORER — app/vectors.js
+ *
+ * Coastline, border and graticule lines drawn over the disc.
+ */
+
+import * as Projection from "../projection.js";
+import * as Geodesy from "../geodesy.js";
+import { DISC_R } from "./state.js";
+import { scene } from "./scene.js";
+import { blobToJson, loadAsset } from "./assets.js";
+import { gid, bindToggle } from "./ui.js";
+import { latLonToWorld } from "./coords.js";
+import { scheduleUrlState } from "./url-state.js";
+
+/* ─────────────────────────────────────────────────
+   VECTOR LAYERS — coastlines, borders, graticule
+   Lat/lon polylines (bundled Natural Earth GeoJSON,
+   plus a generated graticule) projected through the
+   disc projection into LineSegments just above
+   topMesh. Rebuilt whenever the projection changes.
+───────────────────────────────────────────────── */
+var VECTOR_DATA_URL = "data/world-110m.geojson";
+var VECTOR_LIFT     = 0.004;
+var VECTOR_MAX_STEP = 2;      // densify to ≤ 2° of arc so curves survive non-linear projections
+
+var vectorLayers = {
+  coastline: { color: 0xe8f4ff, opacity: 0.75, visible: false, lines: [], obj: null },
+  border:    { color: 0xffc870, opacity: 0.55, visible: false, lines: [], obj: null },
+  graticule: { color: 0x9fc6ff, opacity: 0.35, visible: false, lines: [], obj: null, step: 15 },
+};
+
+/* Parallels as rings and meridians as spokes, every `step` degrees */
+function buildGraticule(step) {
+  var lines = [], lat, lon, line;
+  for (lat = -90 + step; lat < 90; lat += step) {
+    line = [];
+    for (lon = -180; lon <= 180; lon += 2) line.push([lon, lat]);
+    lines.push(line);
+  }
+  for (lon = -180; lon < 180; lon += step) {
+    line = [];
+    for (lat = -90; lat <= 90; lat += 2) line.push([lon, lat]);
+    lines.push(line);
+  }
+  return lines;
+}
+
+/* Project [lon, lat] polylines into a flat array of disc-space segment pairs.
+   Segments beyond the projection's limit, or that jump across the disc
+   (both ends near the antipode), are dropped. */
+function projectLines(lines, lift) {
+  var out = [], rim = Projection.rimDistance(), prev, prevOk;
+  if (lift == null) lift = VECTOR_LIFT;
+  function push(lon, lat) {
+    var ok = Projection.angularDistance(lat, lon) <= rim;
+    var p  = latLonToWorld(lat, lon, lift);
+    if (prev && ok && prevOk && prev.distanceTo(p) < DISC_R * 0.25) out.push(prev.x, prev.y, prev.z, p.x, p.y, p.z);
+    prev = p; prevOk = ok;
+  }
+  lines.forEach(function(line) {
+    prev = null;
+    for (var i = 0; i < line.length; i++) {
+      if (i > 0) {
+        var a = line[i-1], b = line[i];
+        var n = Math.ceil(Geodesy.angle(a[1], a[0], b[1], b[0]) / VECTOR_MAX_STEP);
+        for (var j = 1; j < n; j++) {
+          var m = Geodesy.interpolate(a[1], a[0], b[1], b[0], j / n);
+          push(m[1], m[0]);
+        }
+      }
+      push(line[i][0], line[i][1]);
+    }
+  });
+  return new Float32Array(out);
+}
+
+function rebuildVectorLayer(name) {
+  var L = vectorLayers[name];
+  if (L.obj) { scene.remove(L.obj); L.obj.geometry.dispose(); L.obj = null; }
+  if (!L.visible || !L.lines.length) return;
+  var geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.BufferAttribute(projectLines(L.lines), 3));
+  L.obj = new THREE.LineSegments(geo, new THREE.LineBasicMaterial({
+    color: L.color, transparent: true, opacity: L.opacity, depthWrite: false,
+  }));
+  L.obj.renderOrder = 1;
+  scene.add(L.obj);
+}
+
+function rebuildVectorLayers() { Object.keys(vectorLayers).forEach(rebuildVectorLayer); }
+
+function setGraticuleStep(step) {
+  vectorLayers.graticule.step  = step;
+  vectorLayers.graticule.lines = buildGraticule(step);
+  rebuildVectorLayer("graticule");
+}
+
+function loadVectorData(url) {
+  return loadAsset("vectors", "Coastlines and borders", [{ name: "local", url: url }], blobToJson)
+    .then(function(r) {
+      r.value.features.forEach(function(f) {
+        var L = vectorLayers[f.properties && f.properties.layer];
+        if (!L || !f.geometry) return;
+        var g = f.geometry;
+        if (g.type === "LineString")      L.lines.push(g.coordinates);
+        if (g.type === "MultiLineString") L.lines = L.lines.concat(g.coordinates);
+        if (g.type === "Polygon")         L.lines = L.lines.concat(g.coordinates);
+        if (g.type === "MultiPolygon")    g.coordinates.forEach(function(p){ L.lines = L.lines.concat(p); });
+      });
+      rebuildVectorLayer("coastline");
+      rebuildVectorLayer("border");
+    })
+    .catch(function(e) { console.warn("Vector layers unavailable:", e); });
+}
+
+function initVectors() {
+  bindToggle("toggleCoastlines", function(on){ vectorLayers.coastline.visible = on; rebuildVectorLayer("coastline"); });
+  bindToggle("toggleBorders",    function(on){ vectorLayers.border.visible    = on; rebuildVectorLayer("border"); });
+  bindToggle("toggleGraticule",  function(on){
+    vectorLayers.graticule.visible = on;
+    gid("graticuleOpts").classList.toggle("hidden", !on);
+    rebuildVectorLayer("graticule");
+  });
+  gid("graticuleStep").addEventListener("change", function(){ setGraticuleStep(+this.value); scheduleUrlState(); });
+  vectorLayers.graticule.lines = buildGraticule(vectorLayers.graticule.step);
+}
+
+export {
+  VECTOR_DATA_URL,
+  vectorLayers,
+  projectLines,
+  rebuildVectorLayers,
+  setGraticuleStep,
+  loadVectorData,
+  initVectors,
+};
@@ -0,0 +1,244 @@
+/**
+ * FLAT EARTH EXPLORER — config.js
+ *
+ * App settings: config.json (per deployment) checked against
+ * config.schema.json, with the user's own overrides from the
+ * settings dialog layered on top from localStorage.
+ *
+ *   schema defaults  <  config.json  <  saved settings
+ *
+ * Nothing here throws on a bad value: each one is reported in
+ * errors() and replaced by its default, so a typo in a deployment
+ * costs a warning, not a blank page. Only a missing schema stops
+ * the app, since the defaults live there.
+ *
+ * The validator understands the slice of JSON Schema (draft-07)
+ * the schema uses: type, properties, required,
+ * additionalProperties: false, items, minItems, minimum, maximum,
+ * exclusiveMinimum, minLength, enum, default and local $refs.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Config from "./config.js";
+ */
+
+var STORAGE_KEY = "flatEarthExplorer.settings";
+var INVALID = {};                 // check()'s "reject this value" marker
+
+var schema = null, base = null, values = null, saved = {}, errs = [];
+
+function clone(v) { return v === undefined ? v : JSON.parse(JSON.stringify(v)); }
+function isObject(v) { return v !== null && typeof v === "object" && !Array.isArray(v); }
+
+function resolve(s, root) {
+  while (s && s.$ref) {
+    var m = /^#\/(.+)$/.exec(s.$ref);
+    if (!m) throw new Error("Only local $refs are supported: " + s.$ref);
+    s = m[1].split("/").reduce(function(o, k) { return o && o[k]; }, root);
+  }
+  return s || {};
+}
+
+/* The default for a schema node; objects are built from their properties' defaults */
+function defaults(s, root) {
+  root = root || s;
+  s = resolve(s, root);
+  if ("default" in s) return clone(s.default);
+  if (s.type !== "object" || !s.properties) return undefined;
+  var out = {};
+  Object.keys(s.properties).forEach(function(k) {
+    var d = defaults(s.properties[k], root);
+    if (d !== undefined) out[k] = d;
+  });
+  return out;
+}
+
+function typeName(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number" && Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+function typeOk(type, v) {
+  var t = typeName(v);
+  return t === type || (type === "number" && t === "integer");
+}
+function join(path, key) { return typeof key === "number" ? path + "[" + key + "]" : path ? path + "." + key : key; }
+
+/**
+ * Check v against schema node s. Returns the cleaned value, or INVALID
+ * after recording why in `out`. With `fill`, missing values take their
+ * defaults and invalid properties fall back to them; without, both are
+ * left out (for partial objects such as saved settings).
+ */
+function check(s, v, path, out, fill, root) {
+  s = resolve(s, root);
+  if (v === undefined) return fill ? defaults(s, root) : undefined;
+  function fail(msg) { out.push((path || "config") + " " + msg); return INVALID; }
+
+  if (s.type && !typeOk(s.type, v)) return fail("should be " + (s.type === "integer" ? "a whole number" : "a " + s.type) + ", not " + typeName(v));
+  if (s.enum && s.enum.indexOf(v) < 0) return fail("should be one of " + s.enum.join(", "));
+  if (typeof v === "number") {
+    if (s.minimum != null && v < s.minimum) return fail("should be at least " + s.minimum + ", not " + v);
+    if (s.exclusiveMinimum != null && v <= s.exclusiveMinimum) return fail("should be more than " + s.exclusiveMinimum + ", not " + v);
+    if (s.maximum != null && v > s.maximum) return fail("should be at most " + s.maximum + ", not " + v);
+  }
+  if (typeof v === "string" && s.minLength != null && v.length < s.minLength)
+    return fail(s.minLength === 1 ? "should not be empty" : "should be at least " + s.minLength + " characters");
+
+  if (Array.isArray(v)) {
+    var list = [];
+    v.forEach(function(x, i) {
+      var c = check(s.items || {}, x, join(path, i), out, true, root);
+      if (c !== INVALID) list.push(c);
+    });
+    if (s.minItems != null && list.length < s.minItems) return fail("needs at least " + s.minItems + " valid entries");
+    return list;
+  }
+
+  if (isObject(v) && s.properties) {
+    var props = s.properties, obj = {};
+    for (var r = 0; r < (s.required || []).length; r++) {
+      if (v[s.required[r]] === undefined) return fail("is missing \"" + s.required[r] + "\"");
+    }
+    Object.keys(v).forEach(function(k) {
+      if (!props[k] && s.additionalProperties === false) out.push(join(path, k) + " is not a known setting");
+    });
+    Object.keys(props).forEach(function(k) {
+      var c = check(props[k], v[k], join(path, k), out, fill, root);
+      if (c === INVALID) c = fill ? defaults(props[k], root) : undefined;
+      if (c !== undefined) obj[k] = c;
+    });
+    return obj;
+  }
+  return v;
+}
+
+/**
+ * Validate a whole value against a schema.
+ * @returns {{ value, errors: string[] }} value has defaults filled in
+ *   (or, with partial, only the valid fields that were given)
+ */
+function validate(s, v, partial) {
+  var out = [];
+  var c = check(s, v, "", out, !partial, s);
+  if (c === INVALID) c = partial ? {} : defaults(s);
+  return { value: c, errors: out };
+}
+
+/* Deep merge of plain objects; arrays and scalars in b replace a's */
+function merge(a, b) {
+  if (!isObject(a) || !isObject(b)) return b === undefined ? clone(a) : clone(b);
+  var out = clone(a);
+  Object.keys(b).forEach(function(k) { out[k] = merge(a[k], b[k]); });
+  return out;
+}
+
+function getPath(obj, path) {
+  return path.split(".").reduce(function(o, k) { return o == null ? undefined : o[k]; }, obj);
+}
+function setPath(obj, path, v) {
+  var keys = path.split("."), last = keys.pop();
+  keys.reduce(function(o, k) { return o[k] = isObject(o[k]) ? o[k] : {}; }, obj)[last] = v;
+  return obj;
+}
+
+function fetchJson(url) {
+  return fetch(url, { cache: "no-cache" }).then(function(r) {
+    if (!r.ok) throw new Error(r.status + " " + r.statusText);
+    return r.json();
+  });
+}
+
+function readSaved() {
+  try { return JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "{}"); }
+  catch (e) { errs.push("saved settings: unreadable (" + e.message + ")"); return {}; }
+}
+
+/**
+ * Fetch the schema and config, apply saved settings. Resolves with the
+ * settings once done; rejects only if the schema itself can't be had.
+ */
+function load(url, schemaUrl) {
+  errs = [];
+  return fetchJson(schemaUrl).catch(function(e) {
+    throw new Error("Couldn't load " + schemaUrl + ": " + e.message);
+  }).then(function(s) {
+    schema = s;
+    return fetchJson(url).catch(function(e) {
+      errs.push(url + ": " + e.message + " — using the built-in defaults");
+      return {};
+    });
+  }).then(function(raw) {
+    var file = validate(schema, raw);
+    file.errors.forEach(function(e) { errs.push(url + ": " + e); });
+    var user = validate(schema, readSaved(), true);
+    user.errors.forEach(function(e) { errs.push("saved settings: " + e); });
+    base   = file.value;
+    saved  = user.value;
+    values = merge(base, saved);
+    errs.forEach(function(e) { console.warn("Config:", e); });
+    return values;
+  });
+}
+
+/**
+ * The settings the dialog offers: every string or number in the schema
+ * that has a title, with its deployment value and the effective one.
+ * @returns {Array<{ path, title, description, type, minimum, maximum, base, value, overridden }>}
+ */
+function fields() {
+  var out = [];
+  (function walk(s, path) {
+    s = resolve(s, schema);
+    if (s.type === "object" && s.properties) {
+      Object.keys(s.properties).forEach(function(k) { walk(s.properties[k], path ? path + "." + k : k); });
+    } else if (s.title && /^(string|number|integer)$/.test(s.type)) {
+      out.push({
+        path: path, title: s.title, description: s.description || "", type: s.type,
+        minimum: s.minimum != null ? s.minimum : s.exclusiveMinimum, maximum: s.maximum,
+        base: getPath(base, path), value: getPath(values, path),
+        overridden: getPath(saved, path) !== undefined,
+      });
+    }
+  })(schema, "");
+  return out;
+}
+
+/**
+ * Save { path: value } as the user's settings, keeping only values that
+ * differ from config.json. Nothing is saved if any value is invalid.
+ * @returns {string[]} problems; empty on success
+ */
+function save(changes) {
+  var next = {};
+  Object.keys(changes).forEach(function(p) {
+    if (JSON.stringify(changes[p]) !== JSON.stringify(getPath(base, p))) setPath(next, p, changes[p]);
+  });
+  var r = validate(schema, next, true);
+  if (r.errors.length) return r.errors;
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(r.value)); }
+  catch (e) { return ["couldn't save: " + e.message]; }
+  saved = r.value;
+  return [];
+}
+
+/* The effective settings; null until load() has resolved */
+function get() { return values; }
+function errors() { return errs.slice(); }
+
+function reset() {
+  try { window.localStorage.removeItem(STORAGE_KEY); } catch (e) { /* private mode — nothing was saved */ }
+  saved = {};
+}
+
+export {
+  load,
+  get,
+  errors,
+  fields,
+  save,
+  reset,
+  validate,
+  defaults,
+  merge,
+};
@@ -0,0 +1,219 @@
+/**
+ * FLAT EARTH EXPLORER — datalayer.js
+ *
+ * Reads a local data file into points for the data overlay:
+ * GeoJSON (USGS earthquake feeds included), or CSV with latitude
+ * and longitude columns. Each point keeps all its properties, a
+ * timestamp when it has one, and the numeric fields it can be
+ * styled by. Also the colour ramp, legend stops and time window
+ * the overlay draws with. Nothing here fetches anything.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as DataLayer from "./datalayer.js";
+ */
+
+var LAT_NAMES  = ["lat", "latitude", "y", "lat_deg"];
+var LON_NAMES  = ["lon", "lng", "long", "longitude", "x", "lon_deg"];
+var TIME_NAMES = ["time", "timestamp", "datetime", "date", "date_time", "updated", "observed", "valid_time"];
+var VALUE_PREFERENCE = ["mag", "magnitude", "value", "intensity", "temperature", "temp", "altitude", "speed"];
+
+/* Light yellow → orange → deep red */
+var RAMP = [[255, 240, 160], [255, 178, 72], [240, 92, 48], [178, 24, 60]];
+
+/* CSV text → rows of strings. Quoted fields may hold commas, quotes ("") and newlines. */
+function parseCSV(text) {
+  var rows = [], row = [], field = "", q = false;
+  text = String(text).replace(/^\uFEFF/, "");
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (q) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') q = false;
+      else field += c;
+    } else if (c === '"') q = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+  return rows;
+}
+
+/* A timestamp in ms: ISO strings, or epoch numbers in ms or s */
+function parseTime(v) {
+  if (v === null || v === undefined || v === "") return null;
+  if (typeof v === "number" || /^-?\d+(\.\d+)?$/.test(String(v).trim())) {
+    var n = +v;
+    return Math.abs(n) < 1e11 ? n * 1000 : n;    // seconds until 5138 AD, else ms
+  }
+  var t = Date.parse(v);
+  return isFinite(t) ? t : null;
+}
+
+function toNumber(v) {
+  if (typeof v === "number") return v;
+  if (typeof v !== "string" || v.trim() === "") return NaN;
+  return +v;
+}
+
+function findName(names, list) {
+  var lower = names.map(function(n) { return String(n).toLowerCase().trim(); });
+  for (var i = 0; i < list.length; i++) {
+    var at = lower.indexOf(list[i]);
+    if (at >= 0) return names[at];
+  }
+  return null;
+}
+
+function fromCSV(text) {
+  var rows = parseCSV(text);
+  if (rows.length < 2) throw new Error("No data rows");
+  var head = rows[0].map(function(h) { return h.trim(); });
+  var latName = findName(head, LAT_NAMES), lonName = findName(head, LON_NAMES);
+  if (!latName || !lonName) throw new Error("No latitude/longitude columns (looked for " + LAT_NAMES[1] + " and " + LON_NAMES[3] + ")");
+  var latAt = head.indexOf(latName), lonAt = head.indexOf(lonName);
+  var out = [], skipped = 0;
+  rows.slice(1).forEach(function(r) {
+    var lat = toNumber(r[latAt]), lon = toNumber(r[lonAt]);
+    if (!(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) { skipped++; return; }
+    var props = {};
+    head.forEach(function(h, i) {
+      if (i === latAt || i === lonAt) return;
+      var n = toNumber(r[i]);
+      props[h] = isFinite(n) ? n : (r[i] === undefined ? "" : r[i]);
+    });
+    out.push({ lat: lat, lon: lon, props: props });
+  });
+  return { points: out, skipped: skipped };
+}
+
+function fromGeoJSON(obj) {
+  var list = obj.type === "FeatureCollection" ? obj.features
+           : obj.type === "Feature" ? [obj]
+           : Array.isArray(obj) ? obj : null;
+  if (!list) throw new Error("Not a GeoJSON FeatureCollection");
+  var out = [], skipped = 0;
+  list.forEach(function(f) {
+    var g = f && f.geometry, coords = !g ? [] : g.type === "Point" ? [g.coordinates] : g.type === "MultiPoint" ? g.coordinates : null;
+    if (!coords) { skipped++; return; }
+    coords.forEach(function(c) {
+      if (!c || !(Math.abs(c[1]) <= 90 && Math.abs(c[0]) <= 180)) { skipped++; return; }
+      var props = Object.assign({}, f.properties || {});
+      // USGS feeds put the quake's depth (km) in the third coordinate
+      var z = "mag" in props ? "depth" : "elevation";
+      if (c.length > 2 && isFinite(c[2]) && !(z in props)) props[z] = c[2];
+      if (f.id !== undefined && !("id" in props)) props.id = f.id;
+      out.push({ lat: c[1], lon: c[0], props: props });
+    });
+  });
+  return { points: out, skipped: skipped };
+}
+
+/**
+ * Parse a data file's text. Format from the extension, else sniffed.
+ * @returns {{ format: string, points: Array<{ lat, lon, time, props }>, skipped: number,
+ *             numeric: string[], timeField: string|null, valueField: string|null, title: string }}
+ */
+function parse(text, filename) {
+  var ext = String(filename || "").split(".").pop().toLowerCase();
+  var json = ext === "json" || ext === "geojson" || (ext !== "csv" && /^\s*[\[{]/.test(text));
+  var parsed = json ? JSON.parse(text) : null;
+  var r = json ? fromGeoJSON(parsed) : fromCSV(text);
+  if (!r.points.length) throw new Error("No points found");
+
+  var names = Object.keys(r.points[0].props);
+  r.points.slice(1, 200).forEach(function(p) {
+    Object.keys(p.props).forEach(function(k) { if (names.indexOf(k) < 0) names.push(k); });
+  });
+  var timeField = findName(names.filter(function(n) {
+    return r.points.some(function(p) { return parseTime(p.props[n]) !== null; });
+  }), TIME_NAMES);
+  var numeric = names.filter(function(n) {
+    if (n === timeField || n === "id") return false;
+    var seen = 0;
+    for (var i = 0; i < r.points.length && seen < 3; i++) {
+      var v = r.points[i].props[n];
+      if (typeof v === "number" && isFinite(v)) seen++;
+      else if (v !== null && v !== undefined && v !== "") return false;
+    }
+    return seen > 0;
+  });
+  r.points.forEach(function(p) { p.time = timeField ? parseTime(p.props[timeField]) : null; });
+
+  return {
+    format:     json ? "geojson" : "csv",
+    points:     r.points,
+    skipped:    r.skipped,
+    numeric:    numeric,
+    timeField:  timeField,
+    valueField: findName(numeric, VALUE_PREFERENCE) || numeric[0] || null,
+    title:      (parsed && parsed.metadata && parsed.metadata.title) || String(filename || "Data"),
+  };
+}
+
+/* [min, max] of a numeric field, or null when it has no values */
+function domain(points, field) {
+  var lo = Infinity, hi = -Infinity;
+  points.forEach(function(p) {
+    var v = p.props[field];
+    if (typeof v === "number" && isFinite(v)) { lo = Math.min(lo, v); hi = Math.max(hi, v); }
+  });
+  return lo <= hi ? [lo, hi] : null;
+}
+
+/* 0–1 position of v in [lo, hi]; 0.5 when they're equal, null for no value */
+function norm(v, dom) {
+  if (typeof v !== "number" || !isFinite(v) || !dom) return null;
+  return dom[1] > dom[0] ? Math.max(0, Math.min(1, (v - dom[0]) / (dom[1] - dom[0]))) : 0.5;
+}
+
+/* Ramp colour at t (0–1) → [r, g, b] 0–255 */
+function ramp(t) {
+  var x = Math.max(0, Math.min(1, t)) * (RAMP.length - 1), i = Math.min(RAMP.length - 2, Math.floor(x)), k = x - i;
+  return [0, 1, 2].map(function(j) { return Math.round(RAMP[i][j] + (RAMP[i + 1][j] - RAMP[i][j]) * k); });
+}
+
+function hex(rgb) { return "#" + rgb.map(function(v) { return ("0" + v.toString(16)).slice(-2); }).join(""); }
+
+/* n evenly spaced legend entries over dom: [{ value, t, colour }] */
+function legendStops(dom, n) {
+  var out = [];
+  for (var i = 0; i < n; i++) {
+    var t = n > 1 ? i / (n - 1) : 0.5;
+    out.push({ value: dom[0] + (dom[1] - dom[0]) * t, t: t, colour: hex(ramp(t)) });
+  }
+  return out;
+}
+
+/* [first, last] timestamp, or null when no point has one */
+function timeRange(points) {
+  var lo = Infinity, hi = -Infinity;
+  points.forEach(function(p) { if (p.time !== null) { lo = Math.min(lo, p.time); hi = Math.max(hi, p.time); } });
+  return lo <= hi ? [lo, hi] : null;
+}
+
+/* Whether a point shows at time t with a trailing window (ms; Infinity
+   for everything up to t). Points without a time always show. */
+function inWindow(p, t, windowMs) {
+  return p.time === null || (p.time <= t && t - p.time <= windowMs);
+}
+
+export {
+  LAT_NAMES,
+  LON_NAMES,
+  parseCSV,
+  parseTime,
+  parse,
+  domain,
+  norm,
+  ramp,
+  hex,
+  legendStops,
+  timeRange,
+  inWindow,
+};
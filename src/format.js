@@ -0,0 +1,95 @@
+/**
+ * FLAT EARTH EXPLORER — format.js
+ *
+ * Numbers as the HUD, ruler, route and export readouts show them,
+ * and the scale bar's arithmetic. Nothing here touches the page,
+ * so the status bar can be checked without a browser. Coordinates
+ * are formatted by projection.js (fmtLat, fmtLon, fmtLatLon).
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Format from "./format.js";
+ */
+
+var SCALE_MIN_PX = 40;
+var SCALE_MAX_PX = 120;
+
+/* "1,234 km" */
+function fmtKm(km) { return Math.round(km).toLocaleString("en-US") + " km"; }
+
+/* Camera altitude for the status bar; past 9,999 km it rounds to thousands */
+function fmtAltitude(km) {
+  return km > 9999 ? (km / 1000).toFixed(0) + ",000 km" : km.toFixed(0) + " km";
+}
+
+/* Signed percentage error of a disc length against the true one */
+function fmtErr(disc, globe) {
+  if (globe < 0.001) return "—";
+  var e = (disc - globe) / globe * 100;
+  return (e >= 0 ? "+" : "") + e.toFixed(1) + "%";
+}
+
+/* 7.5 → "7h 30m" */
+function fmtHours(h) {
+  var m = Math.round(h * 60);
+  return Math.floor(m / 60) + "h " + ("0" + m % 60).slice(-2) + "m";
+}
+
+/* An elevationAt() sample: "1,234 m", "Sea, 4,800 m deep" or "Sea" (no depth) */
+function fmtElevation(e) {
+  if (!e.sea) return Math.round(e.m).toLocaleString("en-US") + " m";
+  return e.m <= -5 ? "Sea, " + (Math.round(-e.m / 10) * 10).toLocaleString("en-US") + " m deep" : "Sea";
+}
+
+/* Heights and short distances: "1.7 m", "40 m", "1,250 m" */
+function fmtMetres(m) {
+  return (m < 10 ? +m.toFixed(1) : Math.round(m).toLocaleString("en-US")) + " m";
+}
+
+/* Ranges that can be short: "4.65 km", "20.0 km", "1,250 km" */
+function fmtDistance(km) {
+  return km < 10 ? km.toFixed(2) + " km" : km < 100 ? km.toFixed(1) + " km" : fmtKm(km);
+}
+
+/* A Date's UTC time of day, "07:05"; "—" for none */
+function fmtClock(d) { return d ? d.toISOString().slice(11, 16) : "—"; }
+
+/* A UTC instant (ms) to the minute, "2023-11-14 22:13 UTC"; "—" for none */
+function fmtStamp(ms) {
+  return ms === null || !isFinite(ms) ? "—" : new Date(ms).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+}
+
+function fmtMB(bytes) { return (bytes / 1048576).toFixed(bytes < 1048576 ? 2 : 1) + " MB"; }
+
+/* 1, 2 or 5 × 10ⁿ, at most x */
+function niceLength(x) {
+  var p = Math.pow(10, Math.floor(Math.log10(x))), m = x / p;
+  return (m >= 5 ? 5 : m >= 2 ? 2 : 1) * p;
+}
+
+/**
+ * The status bar's scale bar for a camera altKm above the disc with a
+ * vertical field of view of fovDeg over viewportPx pixels.
+ * @returns {{ px: number, km: number }} bar length on screen and the
+ *   distance it stands for, rounded to 100 km (1,000 km when that
+ *   rounds to nothing)
+ */
+function scaleBar(altKm, fovDeg, viewportPx) {
+  var kmPerPx = altKm * 2 * Math.tan(fovDeg * Math.PI / 360) / viewportPx;
+  var px = Math.min(SCALE_MAX_PX, Math.max(SCALE_MIN_PX, 1000 / Math.max(kmPerPx, 0.1)));
+  return { px: px, km: Math.round(kmPerPx * px / 100) * 100 || 1000 };
+}
+
+export {
+  fmtKm,
+  fmtAltitude,
+  fmtErr,
+  fmtHours,
+  fmtElevation,
+  fmtMetres,
+  fmtDistance,
+  fmtClock,
+  fmtStamp,
+  fmtMB,
+  niceLength,
+  scaleBar,
+};
@@ -0,0 +1,215 @@
+/**
+ * FLAT EARTH EXPLORER — gazetteer.js
+ *
+ * Offline place search over the bundled data/gazetteer.json
+ * (countries, cities ≥ 100k, capitals, landmarks), plus a parser
+ * for typed coordinates. No external service involved.
+ *
+ * Matching is accent- and case-insensitive and ranked:
+ *   exact name > name prefix > word prefix > alternate name
+ *   > substring > fuzzy (edit distance on the name prefix),
+ * with population and place kind breaking ties. "City, Country"
+ * narrows by country prefix.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Gazetteer from "./gazetteer.js";
+ */
+
+var places = [];
+var ready  = false;
+
+var KIND_BONUS = { country: 60, capital: 25, landmark: 30, city: 0 };
+
+/* "São Paulo" → "sao paulo" */
+function normalize(s) {
+  return String(s || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function index(rows, fields) {
+  var f = {};
+  fields.forEach(function(name, i) { f[name] = i; });
+  return rows.map(function(r) {
+    var p = {
+      name:       r[f.name],
+      alt:        r[f.alt] || "",
+      country:    r[f.country] || "",
+      lat:        r[f.lat],
+      lon:        r[f.lon],
+      kind:       r[f.kind] || "city",
+      population: r[f.population] || 0,
+    };
+    p.key     = normalize(p.name);
+    p.words   = p.key.split(" ");
+    p.altKeys = p.alt ? p.alt.split(";").map(normalize) : [];
+    p.ckey    = normalize(p.country);
+    p.rank    = Math.log10(p.population + 1) * 10 + (KIND_BONUS[p.kind] || 0);
+    return p;
+  });
+}
+
+/* Load from a gazetteer JSON ({ fields, places }) or an already-parsed object */
+function load(src) {
+  var p = typeof src === "string"
+    ? fetch(src).then(function(r) { if (!r.ok) throw new Error(r.status + " " + src); return r.json(); })
+    : Promise.resolve(src);
+  return p.then(function(data) {
+    places = index(data.places, data.fields);
+    ready  = true;
+    return places.length;
+  });
+}
+
+/* Levenshtein distance, bailing out once it exceeds max */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  var prev = [], cur, i, j;
+  for (j = 0; j <= b.length; j++) prev[j] = j;
+  for (i = 1; i <= a.length; i++) {
+    cur = [i];
+    var rowMin = i;
+    for (j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function score(p, q) {
+  if (p.key === q) return 1000;
+  if (p.key.indexOf(q) === 0) return 800;
+  for (var i = 1; i < p.words.length; i++) if (p.words[i].indexOf(q) === 0) return 600;
+  for (i = 0; i < p.altKeys.length; i++) {
+    if (p.altKeys[i] === q) return 580;
+    if (p.altKeys[i].indexOf(q) === 0) return 550;
+  }
+  if (q.length >= 3 && p.key.indexOf(q) > 0) return 400;
+  if (q.length >= 4) {
+    var max = q.length >= 7 ? 2 : 1;
+    var d = editDistance(q, p.key.slice(0, q.length), max);
+    if (d > max) d = editDistance(q, p.key, max);
+    if (d <= max) return 300 - d * 60;
+  }
+  return 0;
+}
+
+function label(p) {
+  return p.country && p.kind !== "country" ? p.name + ", " + p.country : p.name;
+}
+
+/**
+ * Ranked matches for a free-text query.
+ * @returns {Array<{ name, country, lat, lon, kind, population, label, score }>}
+ */
+function search(query, limit) {
+  limit = limit || 8;
+  var parts = String(query || "").split(",");
+  var q  = normalize(parts[0]);
+  var cq = normalize(parts.slice(1).join(" "));
+  if (!q) return [];
+  var hits = [];
+  for (var i = 0; i < places.length; i++) {
+    var p = places[i];
+    if (cq && p.ckey.indexOf(cq) !== 0) continue;
+    var s = score(p, q);
+    if (s > 0) hits.push({ p: p, s: s + p.rank });
+  }
+  hits.sort(function(a, b) { return b.s - a.s; });
+  return hits.slice(0, limit).map(function(h) {
+    return { name: h.p.name, country: h.p.country, lat: h.p.lat, lon: h.p.lon,
+             kind: h.p.kind, population: h.p.population, label: label(h.p), score: h.s };
+  });
+}
+
+/**
+ * Closest named place to a point, by great-circle distance. Countries
+ * are skipped — their point is a centroid, not somewhere you can be
+ * "near". A plain scan; the gazetteer is a few thousand rows.
+ * @returns {{ name, country, lat, lon, kind, label, km } | null}
+ */
+function nearest(lat, lon) {
+  var R = Math.PI / 180, best = null, bestH = Infinity;
+  var cl = Math.cos(lat * R);
+  for (var i = 0; i < places.length; i++) {
+    var p = places[i];
+    if (p.kind === "country") continue;
+    var s1 = Math.sin((p.lat - lat) * R / 2), s2 = Math.sin((p.lon - lon) * R / 2);
+    var h = s1 * s1 + cl * Math.cos(p.lat * R) * s2 * s2;
+    if (h < bestH) { bestH = h; best = p; }
+  }
+  if (!best) return null;
+  return { name: best.name, country: best.country, lat: best.lat, lon: best.lon, kind: best.kind,
+           label: label(best), km: 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(bestH))) };
+}
+
+/**
+ * Parse typed coordinates: "51.5N 0.12W", "-33.87, 151.21",
+ * "N 51.5 W 0.12", "51°30'26\"N 0°7'39\"W", "33 52 S 151 12 E".
+ * @returns {{ lat: number, lon: number } | null}
+ */
+function parseCoordinates(input) {
+  var s = String(input || "").toUpperCase()
+    .replace(/[°º˚'′’"″”]/g, " ")
+    .replace(/(\d)-(?=[0-5]?\d(?:\.\d+)?(?!\d))/g, "$1 ");   // "51-30" is degrees-minutes; "40.7 -74" keeps its sign
+  if (/[A-DF-MO-RT-VX-Z]/.test(s)) return null;             // any letter but N/S/E/W → a name
+  if (/-(?!\d)/.test(s)) return null;                       // "40.7 - 74": a sign or a separator? Don't guess
+  var tokens = s.match(/[NSEW]|-?\d+(?:\.\d+)?|[,;]/g);
+  if (!tokens) return null;
+
+  var groups = [], g = { nums: [], hemi: null, prefix: false };
+  function flush() { if (g.nums.length) groups.push(g); g = { nums: [], hemi: null, prefix: false }; }
+  tokens.forEach(function(t) {
+    if (t === "," || t === ";") { flush(); return; }
+    if (/[NSEW]/.test(t)) {
+      if (!g.nums.length) { g.hemi = t; g.prefix = true; return; }
+      if (g.prefix) { flush(); g.hemi = t; g.prefix = true; return; }
+      g.hemi = t; flush(); return;
+    }
+    g.nums.push(parseFloat(t));
+  });
+  flush();
+
+  // "51 30 0 7" with no separators: split the numbers evenly
+  if (groups.length === 1 && !groups[0].hemi && groups[0].nums.length % 2 === 0) {
+    var n = groups[0].nums, h = n.length / 2;
+    groups = [{ nums: n.slice(0, h), hemi: null }, { nums: n.slice(h), hemi: null }];
+  }
+  if (groups.length !== 2) return null;
+
+  var vals = [];
+  for (var i = 0; i < 2; i++) {
+    var nums = groups[i].nums;
+    if (nums.length > 3) return null;
+    for (var j = 1; j < nums.length; j++) if (nums[j] < 0 || nums[j] >= 60) return null;
+    var neg = nums[0] < 0 || Object.is(nums[0], -0);
+    var v = Math.abs(nums[0]) + (nums[1] || 0) / 60 + (nums[2] || 0) / 3600;
+    if (groups[i].hemi === "S" || groups[i].hemi === "W") neg = !neg;
+    vals.push({ v: neg ? -v : v, hemi: groups[i].hemi });
+  }
+
+  var lat = vals[0], lon = vals[1];
+  if (/[EW]/.test(lat.hemi || "") || /[NS]/.test(lon.hemi || "")) { lat = vals[1]; lon = vals[0]; }
+  if (/[EW]/.test(lat.hemi || "") || /[NS]/.test(lon.hemi || "")) return null;   // "N … N"
+  if (Math.abs(lat.v) > 90 || Math.abs(lon.v) > 180) return null;
+  return { lat: lat.v, lon: lon.v };
+}
+
+function isReady() { return ready; }
+function count() { return places.length; }
+
+export {
+  load,
+  isReady,
+  count,
+  normalize,
+  editDistance,
+  search,
+  nearest,
+  parseCoordinates,
+};
@@ -0,0 +1,122 @@
+/**
+ * FLAT EARTH EXPLORER — geodesy.js
+ *
+ * Distances and bearings on the real Earth, for comparing
+ * against what the flat disc shows.
+ *   - inverse():   Vincenty's inverse formula on the WGS84
+ *                  ellipsoid (sub-millimetre), falling back to
+ *                  the sphere for the few nearly-antipodal pairs
+ *                  where it fails to converge.
+ *   - haversine(): great-circle distance on the mean sphere.
+ *   - interpolate(): points along a great circle, for drawing
+ *                  and densifying lines before projection.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Geodesy from "./geodesy.js";
+ */
+
+var D2R = Math.PI / 180;
+var R2D = 180 / Math.PI;
+
+var WGS84_A = 6378137.0;
+var WGS84_F = 1 / 298.257223563;
+var WGS84_B = WGS84_A * (1 - WGS84_F);
+var MEAN_R  = 6371008.8;
+var MEAN_R_KM = MEAN_R / 1000;
+
+function wrap360(d) { return (d % 360 + 360) % 360; }
+
+/* Great-circle distance on the mean sphere, km */
+function haversine(lat1, lon1, lat2, lon2) {
+  var p1 = lat1 * D2R, p2 = lat2 * D2R;
+  var dp = p2 - p1, dl = (lon2 - lon1) * D2R;
+  var a  = Math.sin(dp/2) * Math.sin(dp/2) + Math.cos(p1) * Math.cos(p2) * Math.sin(dl/2) * Math.sin(dl/2);
+  return 2 * MEAN_R * Math.asin(Math.min(1, Math.sqrt(a))) / 1000;
+}
+
+/* Initial great-circle bearing on the sphere, degrees clockwise from north */
+function sphericalBearing(lat1, lon1, lat2, lon2) {
+  var p1 = lat1 * D2R, p2 = lat2 * D2R, dl = (lon2 - lon1) * D2R;
+  var y = Math.sin(dl) * Math.cos(p2);
+  var x = Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dl);
+  return wrap360(Math.atan2(y, x) * R2D);
+}
+
+/**
+ * Vincenty inverse on WGS84.
+ * @returns {{ km: number, bearing: number, finalBearing: number, method: string }}
+ */
+function inverse(lat1, lon1, lat2, lon2) {
+  var L  = (lon2 - lon1) * D2R;
+  var U1 = Math.atan((1 - WGS84_F) * Math.tan(lat1 * D2R));
+  var U2 = Math.atan((1 - WGS84_F) * Math.tan(lat2 * D2R));
+  var sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+  var sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+  var lambda = L, lambdaP, iter = 0;
+  var sinSigma, cosSigma, sigma, sinAlpha, cos2Alpha, cos2SigmaM, sinL, cosL;
+  do {
+    sinL = Math.sin(lambda); cosL = Math.cos(lambda);
+    sinSigma = Math.sqrt(Math.pow(cosU2 * sinL, 2) + Math.pow(cosU1 * sinU2 - sinU1 * cosU2 * cosL, 2));
+    if (sinSigma === 0) return { km: 0, bearing: 0, finalBearing: 0, method: "vincenty" };
+    cosSigma   = sinU1 * sinU2 + cosU1 * cosU2 * cosL;
+    sigma      = Math.atan2(sinSigma, cosSigma);
+    sinAlpha   = cosU1 * cosU2 * sinL / sinSigma;
+    cos2Alpha  = 1 - sinAlpha * sinAlpha;
+    cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;  // equatorial line
+    var C = WGS84_F / 16 * cos2Alpha * (4 + WGS84_F * (4 - 3 * cos2Alpha));
+    lambdaP = lambda;
+    lambda  = L + (1 - C) * WGS84_F * sinAlpha *
+              (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+  } while (Math.abs(lambda - lambdaP) > 1e-12 && ++iter < 200);
+
+  if (iter >= 200) {
+    return {
+      km: haversine(lat1, lon1, lat2, lon2),
+      bearing: sphericalBearing(lat1, lon1, lat2, lon2),
+      finalBearing: wrap360(sphericalBearing(lat2, lon2, lat1, lon1) + 180),
+      method: "sphere",
+    };
+  }
+
+  var uSq = cos2Alpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B) / (WGS84_B * WGS84_B);
+  var A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  var B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  var dSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+               B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+  var s = WGS84_B * A * (sigma - dSigma);
+
+  var a1 = Math.atan2(cosU2 * sinL, cosU1 * sinU2 - sinU1 * cosU2 * cosL);
+  var a2 = Math.atan2(cosU1 * sinL, -sinU1 * cosU2 + cosU1 * sinU2 * cosL);
+  return { km: s / 1000, bearing: wrap360(a1 * R2D), finalBearing: wrap360(a2 * R2D), method: "vincenty" };
+}
+
+/* Point a fraction f (0..1) along the great circle from 1 to 2: [lat, lon] */
+function interpolate(lat1, lon1, lat2, lon2, f) {
+  var p1 = lat1 * D2R, l1 = lon1 * D2R, p2 = lat2 * D2R, l2 = lon2 * D2R;
+  var d  = 2 * Math.asin(Math.min(1, Math.sqrt(
+             Math.pow(Math.sin((p2 - p1) / 2), 2) +
+             Math.cos(p1) * Math.cos(p2) * Math.pow(Math.sin((l2 - l1) / 2), 2))));
+  if (d < 1e-12) return [lat1, lon1];
+  var A = Math.sin((1 - f) * d) / Math.sin(d), B = Math.sin(f * d) / Math.sin(d);
+  var x = A * Math.cos(p1) * Math.cos(l1) + B * Math.cos(p2) * Math.cos(l2);
+  var y = A * Math.cos(p1) * Math.sin(l1) + B * Math.cos(p2) * Math.sin(l2);
+  var z = A * Math.sin(p1) + B * Math.sin(p2);
+  return [Math.atan2(z, Math.sqrt(x * x + y * y)) * R2D, Math.atan2(y, x) * R2D];
+}
+
+/* Central angle between two points on the sphere, degrees */
+function angle(lat1, lon1, lat2, lon2) {
+  return haversine(lat1, lon1, lat2, lon2) / (MEAN_R / 1000) * R2D;
+}
+
+export {
+  WGS84_A,
+  WGS84_F,
+  MEAN_R_KM,
+  haversine,
+  sphericalBearing,
+  inverse,
+  interpolate,
+  angle,
+};
@@ -0,0 +1,70 @@
+/**
+ * FLAT EARTH EXPLORER — heightmap.js
+ *
+ * Reading the bundled elevation map (data/elevation.png): pulling
+ * the channels out of decoded image pixels, and the height or depth
+ * at a lat/lon. The map is a 2048×1024 equirectangular RGB image:
+ *
+ *   red    128–255  land, (v − 128) × 70 m above sea level
+ *            0–127  sea, stepping down with distance offshore
+ *   green           sea depth, 50 m a step (0 on land)
+ *
+ * Land heights are NASA Visible Earth topography. Depths are the
+ * deepest point of each 2.8125° cell of Cesium's terrain
+ * (approximateTerrainHeights.json in @cesium/engine, Apache-2.0),
+ * interpolated between cell centres: trenches, ridges and shelves
+ * are there, but a cell that takes in a shelf edge reads deep
+ * right up to the coast.
+ *
+ * Texel centres sit half a texel in from the edges; sampling wraps
+ * across ±180° and clamps at the poles. The disc shader reads the
+ * same encoding (elevationAt in app/disc-shader.js).
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Heightmap from "./heightmap.js";
+ */
+
+var SEA_LEVEL  = 128;     // first land value
+var M_STEP     = 70;      // metres per land step
+var DEPTH_STEP = 50;      // metres per step of sea depth
+
+/**
+ * Split RGBA pixels (a canvas's ImageData.data) into the height and depth channels.
+ * @returns {{ w: number, h: number, px: Uint8Array, depth: Uint8Array }}
+ */
+function decode(rgba, w, h) {
+  var px = new Uint8Array(w * h), depth = new Uint8Array(w * h);
+  for (var i = 0; i < px.length; i++) { px[i] = rgba[i * 4]; depth[i] = rgba[i * 4 + 1]; }
+  return { w: w, h: h, px: px, depth: depth };
+}
+
+/* Metres above sea level for a map value; 0 for the sea */
+function landMetres(v) { return Math.max(0, v - SEA_LEVEL) * M_STEP; }
+
+/**
+ * Height at a lat/lon (degrees): { m, sea }, m negative below sea
+ * level. Sea or land from the nearest texel; then bilinear over land
+ * metres (the sea counts as 0) or over depth (land counts as 0).
+ */
+function sample(map, lat, lon) {
+  var fx = ((lon + 180) / 360 * map.w - 0.5 + map.w) % map.w;
+  var fy = Math.max(0, Math.min(map.h - 1, (90 - lat) / 180 * map.h - 0.5));
+  var x0 = Math.floor(fx), y0 = Math.floor(fy), tx = fx - x0, ty = fy - y0;
+  var x1 = (x0 + 1) % map.w, y1 = Math.min(map.h - 1, y0 + 1);
+  var sea = map.px[Math.round(fy) * map.w + Math.round(fx) % map.w] < SEA_LEVEL;
+  function m(x, y) {
+    var i = y * map.w + x;
+    return sea ? 0 - map.depth[i] * DEPTH_STEP : landMetres(map.px[i]);   // "0 −" keeps zero depth from reading −0
+  }
+  var v = (m(x0, y0) * (1 - tx) + m(x1, y0) * tx) * (1 - ty) + (m(x0, y1) * (1 - tx) + m(x1, y1) * tx) * ty;
+  return { m: v, sea: sea };
+}
+
+export {
+  SEA_LEVEL,
+  M_STEP,
+  DEPTH_STEP,
+  decode,
+  landMetres,
+  sample,
+};
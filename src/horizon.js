@@ -0,0 +1,88 @@
+/**
+ * FLAT EARTH EXPLORER — horizon.js
+ *
+ * What an observer standing on the surface can see, on a globe and
+ * on a flat plane: how far off the horizon is, how far it dips
+ * below eye level, and how much of a distant object (a ship, a
+ * tower) it hides. Distances are along the surface, heights in
+ * metres.
+ *
+ * Refraction is the usual surveyor's shortcut: light bending
+ * down over the curve is the same as a straight line over a larger
+ * Earth, radius R / (1 − k) with k = 0.13.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Horizon from "./horizon.js";
+ */
+
+import * as Geodesy from "./geodesy.js";
+
+var R2D = 180 / Math.PI;
+
+var EARTH_R_M    = Geodesy.MEAN_R_KM * 1000;
+var REFRACTION_K = 0.13;
+
+/* Radius (m) to draw and work with, with or without refraction */
+function radius(refraction) {
+  return refraction ? EARTH_R_M / (1 - REFRACTION_K) : EARTH_R_M;
+}
+
+/* Distance (m) along the surface to the horizon from eye height h */
+function horizonDistance(h, R) {
+  return R * Math.acos(R / (R + Math.max(0, h)));
+}
+
+/* How far (deg) the horizon sits below eye level */
+function dip(h, R) {
+  return Math.acos(R / (R + Math.max(0, h))) * R2D;
+}
+
+/* A point d (m) along the surface: [out, down] from the observer's
+   feet, in their horizontal plane */
+function surfacePoint(d, R) {
+  var a = d / R;
+  return [R * Math.sin(a), R * (1 - Math.cos(a))];
+}
+
+/* Height (m) at the foot of an object d (m) away that is behind the
+   horizon for an eye h (m) up */
+function hiddenHeight(d, h, R) {
+  var beyond = d - horizonDistance(h, R);
+  return beyond > 0 ? R * (1 / Math.cos(beyond / R) - 1) : 0;
+}
+
+/**
+ * What an eye at h (m) sees of an object `height` (m) tall, d (m)
+ * away. flat: true for a flat plane, where nothing is hidden.
+ * @returns {{ horizon: number, dip: number, hidden: number, visible: number, angle: number }}
+ *   horizon distance (m, Infinity on the plane), dip (deg), hidden and
+ *   visible height (m), and the visible part's angular height (deg)
+ */
+function sightline(d, h, height, opts) {
+  opts = opts || {};
+  if (opts.flat) {
+    return { horizon: Infinity, dip: 0, hidden: 0, visible: height,
+             angle: (Math.atan2(height - h, d) + Math.atan2(h, d)) * R2D };
+  }
+  var R = radius(opts.refraction);
+  var hidden = Math.min(height, hiddenHeight(d, h, R));
+  var p = surfacePoint(d, R), a = d / R;
+  // top and lowest visible point of the object, tilted with the surface
+  function elev(up) {
+    var x = p[0] + up * Math.sin(a), y = -p[1] + up * Math.cos(a) - h;
+    return Math.atan2(y, x);
+  }
+  return { horizon: horizonDistance(h, R), dip: dip(h, R), hidden: hidden, visible: height - hidden,
+           angle: hidden < height ? (elev(height) - elev(hidden)) * R2D : 0 };
+}
+
+export {
+  EARTH_R_M,
+  REFRACTION_K,
+  radius,
+  horizonDistance,
+  dip,
+  surfacePoint,
+  hiddenHeight,
+  sightline,
+};
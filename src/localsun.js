@@ -0,0 +1,144 @@
+/**
+ * FLAT EARTH EXPLORER — localsun.js
+ *
+ * The flat-earth "local sun" model, worked through so it can be
+ * held up against the real sky. The map is the north-polar
+ * azimuthal equidistant disc (distance from the pole ∝ colatitude).
+ * The sun and moon are small bodies at a fixed height over their
+ * subsolar and sublunar points, so each day the sun circles the
+ * pole, and through the year its circle swings out to the Tropic
+ * of Capricorn and back in to the Tropic of Cancer. Each body
+ * lights a round spotlight of fixed radius on the ground; a place
+ * has day while it is inside the sun's.
+ *
+ * flatDay() times the edges of that day for a place and date;
+ * realDay() gives the real sunrise and sunset (upper limb on the
+ * horizon with standard refraction) for comparison.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as LocalSun from "./localsun.js";
+ */
+
+import * as Solar from "./solar.js";
+import * as Geodesy from "./geodesy.js";
+
+var D2R = Math.PI / 180;
+var R2D = 180 / Math.PI;
+
+var KM_PER_DEG   = Geodesy.MEAN_R_KM * D2R;    // along a meridian of the map
+var HORIZON_ALT  = -0.833;                      // real sunrise/sunset altitude, degrees
+var SCAN_MIN     = 5;                           // search step for day edges, minutes
+
+var DEFAULTS = { heightKm: 5000, spotKm: 12000 };
+
+/* lat/lon (deg) → [x, y] km on the north-polar map, pole at the origin */
+function mapXY(lat, lon) {
+  var r = (90 - lat) * KM_PER_DEG, l = lon * D2R;
+  return [r * Math.sin(l), -r * Math.cos(l)];
+}
+
+/* Straight-line distance across the map, km */
+function groundKm(lat1, lon1, lat2, lon2) {
+  var a = mapXY(lat1, lon1), b = mapXY(lat2, lon2);
+  return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+/* Angle (deg) above the flat ground at lat/lon of a body heightKm over
+   point `sub` ({ lat, lon }). Never negative: under the model nothing sets. */
+function elevation(lat, lon, sub, heightKm) {
+  return Math.atan2(heightKm, groundKm(lat, lon, sub.lat, sub.lon)) * R2D;
+}
+
+/* Real altitude (deg) of a body whose zenith point is `sub` */
+function realAltitude(lat, lon, sub) {
+  return 90 - Math.acos(Math.max(-1, Math.min(1, Solar.cosZenith(lat, lon, sub)))) * R2D;
+}
+
+/* Start of the local (mean solar) day at lon containing `date` */
+function localMidnight(lon, date) {
+  var shift = lon / 15 * 36e5;
+  var d = new Date(date.getTime() + shift);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - shift;
+}
+
+/* Rise, set and hours up over the local day, for a test up(t) that
+   changes at most twice a day. rise/set are Dates, or null when the
+   body doesn't cross that way today. */
+function dayEdges(lon, date, up) {
+  var t0 = localMidnight(lon, date), step = SCAN_MIN * 6e4, n = 24 * 60 / SCAN_MIN;
+  var rise = null, set = null, upSteps = 0;
+  function edge(a, b, wasUp) {
+    while (b - a > 1000) {
+      var m = (a + b) / 2;
+      if (up(m) === wasUp) a = m; else b = m;
+    }
+    return new Date(Math.round((a + b) / 2));
+  }
+  var prev = up(t0);
+  for (var i = 1; i <= n; i++) {
+    var t = t0 + i * step, cur = up(t);
+    if (cur) upSteps++;
+    if (cur !== prev) {
+      if (cur && !rise) rise = edge(t - step, t, prev);
+      if (!cur && !set) set = edge(t - step, t, prev);
+    }
+    prev = cur;
+  }
+  var hours;
+  if (rise && set) hours = (set - rise) / 36e5 + (set < rise ? 24 : 0);
+  else hours = upSteps === n ? 24 : upSteps === 0 ? 0 : upSteps * SCAN_MIN / 60;
+  return { rise: rise, set: set, hours: hours };
+}
+
+/**
+ * The model's day at lat/lon on the local date of `date`: when the
+ * place enters and leaves the sun's spotlight of radius spotKm.
+ * @returns {{ rise: Date|null, set: Date|null, hours: number }}
+ */
+function flatDay(lat, lon, date, spotKm) {
+  return dayEdges(lon, date, function(t) {
+    var ss = Solar.subsolarPoint(new Date(t));
+    return groundKm(lat, lon, ss.lat, ss.lon) < spotKm;
+  });
+}
+
+/**
+ * The real day at lat/lon on the local date of `date`.
+ * @returns {{ rise: Date|null, set: Date|null, hours: number }}
+ */
+function realDay(lat, lon, date) {
+  return dayEdges(lon, date, function(t) {
+    return realAltitude(lat, lon, Solar.subsolarPoint(new Date(t))) > HORIZON_ALT;
+  });
+}
+
+/* GLSL for the disc shader: spotLight(ll, body) → 1 inside the body's
+   spotlight, 0 outside, mirroring groundKm(). Angles in radians; the
+   radius is in radians of arc along a meridian. */
+var GLSL = [
+  "uniform float spotRadius;   // spotlight radius, radians of meridian arc",
+  "vec2 flatMapXY(vec2 ll){",
+  "  float r = 1.5707963 - ll.x;",
+  "  return r * vec2(sin(ll.y), -cos(ll.y));",
+  "}",
+  "float spotLight(vec2 ll, vec2 body){",
+  "  float d = length(flatMapXY(ll) - flatMapXY(body));",
+  "  return 1.0 - smoothstep(spotRadius * 0.96, spotRadius, d);",
+  "}",
+].join("\n");
+
+/* spotRadius uniform for a radius in km */
+function spotRadians(spotKm) { return spotKm / Geodesy.MEAN_R_KM; }
+
+export {
+  DEFAULTS,
+  HORIZON_ALT,
+  GLSL,
+  mapXY,
+  groundKm,
+  elevation,
+  realAltitude,
+  flatDay,
+  realDay,
+  spotRadians,
+};
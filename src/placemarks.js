@@ -0,0 +1,256 @@
+/**
+ * FLAT EARTH EXPLORER — placemarks.js
+ *
+ * User placemarks: a small store persisted in localStorage, plus
+ * conversion to and from GeoJSON and KML 2.2 files. Drawing them
+ * on the disc is app/placemark-layer.js's job.
+ *
+ * GeoJSON uses the simplestyle-spec property names
+ * ("marker-color", "marker-symbol", "description") so files open
+ * with colours intact in geojson.io, GitHub, Mapbox, etc. KML
+ * carries the colour as an inline IconStyle and the icon in
+ * ExtendedData.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Placemarks from "./placemarks.js";
+ */
+
+var STORAGE_KEY = "flatEarthExplorer.placemarks";
+var COLORS = ["#ff5a4e", "#ffb84a", "#f5e663", "#5ee07a", "#4aeadc", "#5aa8ff", "#b07cff", "#ff7cc8"];
+var ICONS  = { pin: "Pin", star: "Star", flag: "Flag", circle: "Circle", square: "Square", triangle: "Triangle" };
+
+var items     = [];
+var listeners = [];
+var seq       = 0;
+
+function uid() { return "pm-" + Date.now().toString(36) + "-" + (seq++).toString(36); }
+function wrap180(d) {
+  if (d >= -180 && d <= 180) return d;
+  d = ((d + 180) % 360 + 360) % 360; return d - 180;
+}
+
+/* Coerce anything placemark-shaped into a valid placemark, or null */
+function clean(p) {
+  if (!p) return null;
+  var lat = +p.lat, lon = +p.lon;
+  if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90) return null;
+  var color = /^#[0-9a-f]{6}$/i.test(p.color) ? p.color.toLowerCase() : COLORS[0];
+  return {
+    id:    p.id ? String(p.id) : uid(),
+    name:  String(p.name || "").trim() || "Untitled placemark",
+    lat:   lat,
+    lon:   wrap180(lon),
+    color: color,
+    icon:  ICONS[p.icon] ? p.icon : "pin",
+    notes: String(p.notes || ""),
+  };
+}
+
+function load() {
+  try {
+    var raw = window.localStorage.getItem(STORAGE_KEY);
+    items = raw ? JSON.parse(raw).map(clean).filter(Boolean) : [];
+  } catch (e) {
+    console.warn("Placemarks: couldn't read saved placemarks:", e);
+    items = [];
+  }
+  emit(false);
+  return items.length;
+}
+
+function save() {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(items)); }
+  catch (e) { console.warn("Placemarks: couldn't save:", e); }
+}
+
+function emit(persist) {
+  if (persist !== false) save();
+  var snapshot = all();
+  listeners.forEach(function(fn) { fn(snapshot); });
+}
+
+function all() { return items.map(function(p) { return Object.assign({}, p); }); }
+function get(id) {
+  var p = items.filter(function(q) { return q.id === id; })[0];
+  return p ? Object.assign({}, p) : null;
+}
+function onChange(fn) { listeners.push(fn); }
+
+function add(p) {
+  var c = clean(Object.assign({}, p, { id: null }));
+  if (!c) return null;
+  items.push(c);
+  emit();
+  return Object.assign({}, c);
+}
+
+/* Add several at once (import); returns how many were valid */
+function addMany(list) {
+  var n = 0;
+  list.forEach(function(p) {
+    var c = clean(Object.assign({}, p, { id: null }));
+    if (c) { items.push(c); n++; }
+  });
+  if (n) emit();
+  return n;
+}
+
+function update(id, patch) {
+  for (var i = 0; i < items.length; i++) {
+    if (items[i].id !== id) continue;
+    var c = clean(Object.assign({}, items[i], patch, { id: id }));
+    if (!c) return null;
+    items[i] = c;
+    emit();
+    return Object.assign({}, c);
+  }
+  return null;
+}
+
+function remove(id) {
+  var n = items.length;
+  items = items.filter(function(p) { return p.id !== id; });
+  if (items.length !== n) emit();
+}
+
+/* ── GeoJSON ─────────────────────────────────── */
+
+function toGeoJSON(list) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: (list || items).map(function(p) {
+      return {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [p.lon, p.lat] },
+        properties: {
+          name: p.name, description: p.notes,
+          "marker-color": p.color, "marker-symbol": p.icon,
+        },
+      };
+    }),
+  }, null, 2);
+}
+
+function fromGeoJSON(obj) {
+  var feats = obj.type === "FeatureCollection" ? obj.features || []
+            : obj.type === "Feature"           ? [obj]
+            : [{ geometry: obj, properties: {} }];
+  var out = [];
+  feats.forEach(function(f) {
+    var g = f && f.geometry, pr = (f && f.properties) || {};
+    if (!g) return;
+    var pts = g.type === "Point" ? [g.coordinates] : g.type === "MultiPoint" ? g.coordinates : [];
+    pts.forEach(function(c) {
+      out.push({
+        name:  pr.name || pr.title || "",
+        notes: pr.description || pr.notes || "",
+        color: normaliseColor(pr["marker-color"] || pr.color),
+        icon:  pr["marker-symbol"] || pr.icon,
+        lat:   c[1], lon: c[0],
+      });
+    });
+  });
+  return out;
+}
+
+/* "#f00" / "f00" / "#ff0000" → "#ff0000" */
+function normaliseColor(c) {
+  var m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(c || "").trim());
+  if (!m) return null;
+  var h = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+  return "#" + h.toLowerCase();
+}
+
+/* ── KML ─────────────────────────────────────── */
+
+function esc(s) {
+  return String(s).replace(/[&<>"']/g, function(c) {
+    return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[c];
+  });
+}
+
+/* KML colours are aabbggrr */
+function toKmlColor(hex) { return "ff" + hex.slice(5, 7) + hex.slice(3, 5) + hex.slice(1, 3); }
+function fromKmlColor(k) {
+  k = String(k || "").trim();
+  return /^[0-9a-f]{8}$/i.test(k) ? ("#" + k.slice(6, 8) + k.slice(4, 6) + k.slice(2, 4)).toLowerCase() : null;
+}
+
+function toKML(list) {
+  var marks = (list || items).map(function(p) {
+    return [
+      "    <Placemark>",
+      "      <name>" + esc(p.name) + "</name>",
+      p.notes ? "      <description>" + esc(p.notes) + "</description>" : null,
+      "      <Style><IconStyle><color>" + toKmlColor(p.color) + "</color></IconStyle></Style>",
+      "      <ExtendedData><Data name=\"icon\"><value>" + esc(p.icon) + "</value></Data></ExtendedData>",
+      "      <Point><coordinates>" + p.lon + "," + p.lat + ",0</coordinates></Point>",
+      "    </Placemark>",
+    ].filter(function(l) { return l !== null; }).join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    "    <name>Flat Earth Explorer placemarks</name>",
+  ].concat(marks, ["  </Document>", "</kml>"]).join("\n");
+}
+
+function fromKML(text) {
+  var doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Not valid KML/XML");
+
+  function child(el, tag) {
+    var n = el.getElementsByTagName(tag)[0];
+    return n ? n.textContent.trim() : "";
+  }
+  var styles = {};
+  Array.prototype.forEach.call(doc.getElementsByTagName("Style"), function(s) {
+    var id = s.getAttribute("id"), icon = s.getElementsByTagName("IconStyle")[0];
+    if (id && icon) styles["#" + id] = fromKmlColor(child(icon, "color"));
+  });
+
+  var out = [];
+  Array.prototype.forEach.call(doc.getElementsByTagName("Placemark"), function(pm) {
+    var point = pm.getElementsByTagName("Point")[0];
+    if (!point) return;
+    var c = child(point, "coordinates").split(",").map(parseFloat);
+    var inline = pm.getElementsByTagName("IconStyle")[0];
+    var icon = "";
+    Array.prototype.forEach.call(pm.getElementsByTagName("Data"), function(d) {
+      if (d.getAttribute("name") === "icon") icon = child(d, "value");
+    });
+    out.push({
+      name:  child(pm, "name"),
+      notes: child(pm, "description"),
+      color: inline ? fromKmlColor(child(inline, "color")) : styles[child(pm, "styleUrl")],
+      icon:  icon,
+      lat:   c[1], lon: c[0],
+    });
+  });
+  return out;
+}
+
+/* Parse an imported file's text; format from the extension, else sniffed */
+function parse(text, filename) {
+  var ext = String(filename || "").split(".").pop().toLowerCase();
+  var raw = ext === "kml" || (ext !== "json" && ext !== "geojson" && /^\s*</.test(text))
+    ? fromKML(text) : fromGeoJSON(JSON.parse(text));
+  return raw.map(clean).filter(Boolean);
+}
+
+export {
+  COLORS,
+  ICONS,
+  load,
+  all,
+  get,
+  add,
+  addMany,
+  update,
+  remove,
+  onChange,
+  toGeoJSON,
+  toKML,
+  parse,
+};
@@ -0,0 +1,245 @@
+/**
+ * FLAT EARTH EXPLORER — projection.js
+ *
+ * The disc projection, in one place. Everything that maps between
+ * disc UV (PlaneGeometry 0..1, centre 0.5/0.5) and lat/lon reads
+ * from here: the topMat shader (via Projection.GLSL), the mouse
+ * readout, search/flyTo positioning and the "Projection info" card.
+ *
+ * Supported azimuthal projections, any centre (Snyder, "Map
+ * Projections — A Working Manual", §24–25, general oblique case):
+ *   aeqd   Azimuthal equidistant       ρ ∝ c
+ *   laea   Lambert azimuthal equal-area ρ ∝ sin(c/2)
+ *   stere  Stereographic               ρ ∝ tan(c/2), cut at 130°
+ * where c is the angular distance from the centre. Each is scaled
+ * so its outer limit lands at RIM_UV; the visible disc (r = 0.5)
+ * stops just inside it. scale(c) gives the radial and tangential
+ * scale factors [h, k] there, relative to the centre's.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Projection from "./projection.js";
+ */
+
+var D2R = Math.PI / 180;
+var R2D = 180 / Math.PI;
+
+var EARTH_R_KM    = 6371.0088;      // mean radius
+var RIM_UV        = 0.505;          // UV radius of each projection's outer limit
+var DISC_UV       = 0.5;            // UV radius of the visible disc
+var STEREO_LIMIT  = 130 * D2R;      // stereographic blows up at the antipode
+var STEREO_T      = Math.tan(STEREO_LIMIT / 2);
+
+var KINDS = {
+  aeqd: {
+    id: 0, name: "Azimuthal Equidistant", short: "AE",
+    rho: function(c) { return c / Math.PI; },
+    c:   function(s) { return s * Math.PI; },
+    scale: function(c) { return [1, c < 1e-6 ? 1 : c / Math.sin(c)]; },
+    note: "True distance and bearing from the centre",
+  },
+  laea: {
+    id: 1, name: "Lambert Azimuthal Equal-Area", short: "LAEA",
+    rho: function(c) { return Math.sin(c / 2); },
+    c:   function(s) { return 2 * Math.asin(Math.min(1, s)); },
+    scale: function(c) { var q = Math.cos(c / 2); return [q, 1 / q]; },
+    note: "True areas everywhere",
+  },
+  stere: {
+    id: 2, name: "Stereographic", short: "Stereo",
+    rho: function(c) { return Math.tan(c / 2) / STEREO_T; },
+    c:   function(s) { return 2 * Math.atan(s * STEREO_T); },
+    scale: function(c) { var q = 1 / Math.pow(Math.cos(c / 2), 2); return [q, q]; },
+    note: "True angles (conformal)",
+  },
+};
+
+var CENTRE_PRESETS = [
+  { id: "north", name: "North Pole",                     lat:  90, lon: 0 },
+  { id: "south", name: "South Pole (inverse Gleason)",   lat: -90, lon: 0 },
+];
+
+var cur       = { kind: "aeqd", lat: 90, lon: 0 };
+var listeners = [];
+
+function wrap180(d) { d = ((d + 180) % 360 + 360) % 360; return d - 180; }
+function clampLat(d) { return Math.max(-90, Math.min(90, d)); }
+
+function get() { return { kind: cur.kind, lat: cur.lat, lon: cur.lon }; }
+
+/* Update any of { kind, lat, lon }; listeners fire when something changed */
+function set(opts) {
+  var next = {
+    kind: opts.kind && KINDS[opts.kind] ? opts.kind : cur.kind,
+    lat:  opts.lat != null && isFinite(opts.lat) ? clampLat(+opts.lat) : cur.lat,
+    lon:  opts.lon != null && isFinite(opts.lon) ? wrap180(+opts.lon)   : cur.lon,
+  };
+  if (next.kind === cur.kind && next.lat === cur.lat && next.lon === cur.lon) return;
+  cur = next;
+  listeners.forEach(function(fn) { fn(get()); });
+}
+
+function onChange(fn) { listeners.push(fn); }
+
+/* Great-circle angular distance from the centre, radians */
+function angularDistance(lat, lon) {
+  var p0 = cur.lat * D2R, p = lat * D2R, dl = (lon - cur.lon) * D2R;
+  var cc = Math.sin(p0) * Math.sin(p) + Math.cos(p0) * Math.cos(p) * Math.cos(dl);
+  return Math.acos(Math.max(-1, Math.min(1, cc)));
+}
+
+/* lat/lon (deg) → disc UV. Points past the projection's limit land outside the disc. */
+function forward(lat, lon) {
+  var k   = KINDS[cur.kind];
+  var p0  = cur.lat * D2R, p = lat * D2R, dl = (lon - cur.lon) * D2R;
+  var c   = angularDistance(lat, lon);
+  var sc  = Math.sin(c);
+  var xn, yn;
+  if (c < 1e-12) return [0.5, 0.5];
+  if (sc < 1e-12) { xn = 0; yn = -1; }                 // antipode: direction is arbitrary
+  else {
+    xn = Math.cos(p) * Math.sin(dl) / sc;
+    yn = (Math.cos(p0) * Math.sin(p) - Math.sin(p0) * Math.cos(p) * Math.cos(dl)) / sc;
+  }
+  var r = RIM_UV * k.rho(Math.min(c, cur.kind === "stere" ? STEREO_LIMIT : Math.PI));
+  return [0.5 + xn * r, 0.5 + yn * r];
+}
+
+/* Disc UV → [lat, lon] (deg) */
+function inverse(u, v) {
+  var k  = KINDS[cur.kind];
+  var dx = (u - 0.5) / RIM_UV, dy = (v - 0.5) / RIM_UV;
+  var s  = Math.sqrt(dx * dx + dy * dy);
+  if (s < 1e-9) return [cur.lat, cur.lon];
+  var c  = k.c(s);
+  var xn = dx / s, yn = dy / s;
+  var p0 = cur.lat * D2R;
+  var sc = Math.sin(c), cc = Math.cos(c);
+  var lat = Math.asin(Math.max(-1, Math.min(1, cc * Math.sin(p0) + yn * sc * Math.cos(p0))));
+  var lon = cur.lon * D2R + Math.atan2(xn * sc, Math.cos(p0) * cc - yn * Math.sin(p0) * sc);
+  return [lat * R2D, wrap180(lon * R2D)];
+}
+
+/* UV distance from the centre per radian of arc, at the centre */
+function uvPerRadAtCentre() {
+  if (cur.kind === "aeqd") return RIM_UV / Math.PI;
+  if (cur.kind === "laea") return RIM_UV / 2;
+  return RIM_UV / (2 * STEREO_T);
+}
+
+/**
+ * How the disc distorts the sphere at lat/lon (Tissot's indicatrix),
+ * relative to the true scale at the centre. An azimuthal projection's
+ * ellipse axes run along the spoke from the centre (h) and across it (k).
+ * @returns {{ h: number, k: number, areal: number, angular: number }}
+ *   scale factors, area scale h·k, and the largest angle error (deg)
+ */
+function distortion(lat, lon) {
+  var c  = Math.min(angularDistance(lat, lon), cur.kind === "stere" ? STEREO_LIMIT : Math.PI - 1e-6);
+  var hk = KINDS[cur.kind].scale(c), h = hk[0], k = hk[1];
+  return { h: h, k: k, areal: h * k, angular: 2 * Math.asin(Math.abs(h - k) / (h + k)) * R2D };
+}
+
+/* Angular distance (rad) reached at the visible disc edge */
+function rimDistance() { return KINDS[cur.kind].c(DISC_UV / RIM_UV); }
+
+/* Uniform values for Projection.GLSL */
+function shaderParams() {
+  return {
+    kind:    KINDS[cur.kind].id,
+    centre:  [cur.lat * D2R, cur.lon * D2R],
+    rim:     RIM_UV,
+    stereoT: STEREO_T,
+  };
+}
+
+/* 33.868 → "33.87°N", with dp decimals (default 2) */
+function fmtLat(lat, dp) { return Math.abs(lat).toFixed(dp == null ? 2 : dp) + "°" + (lat >= 0 ? "N" : "S"); }
+function fmtLon(lon, dp) { return Math.abs(lon).toFixed(dp == null ? 2 : dp) + "°" + (lon >= 0 ? "E" : "W"); }
+
+function fmtLatLon(lat, lon, dp) { return fmtLat(lat, dp) + ", " + fmtLon(lon, dp); }
+
+function centreName(lat, lon) {
+  if (lat === 90)  return "North Pole";
+  if (lat === -90) return "South Pole";
+  return fmtLatLon(lat, lon, 1);
+}
+
+/* Rows for the "Projection info" card */
+function info() {
+  var k    = KINDS[cur.kind];
+  var rim  = rimDistance();
+  var edge;
+  if (rim < 155 * D2R)      edge = "Cut off " + Math.round(rim * R2D) + "° from centre";
+  else if (cur.lat === 90)  edge = "Antarctica Ice Wall";
+  else if (cur.lat === -90) edge = "Arctic Ice Wall";
+  else                      edge = "Around " + fmtLatLon(-cur.lat, wrap180(cur.lon + 180), 0);
+  var km = Math.round(rim * EARTH_R_KM / 100) * 100;
+  return {
+    projection: k.name,
+    short:      k.short,
+    note:       k.note,
+    centre:     centreName(cur.lat, cur.lon),
+    edge:       edge,
+    radius:     "~" + km.toLocaleString("en-US") + " km",
+  };
+}
+
+/* GLSL: discLatLon(uv) → (lat, lon) radians, mirroring inverse() */
+var GLSL = [
+  "uniform float projKind;     // 0 aeqd, 1 laea, 2 stere",
+  "uniform vec2  projCentre;   // centre lat/lon, radians",
+  "uniform float projRim;      // UV radius of the projection's outer limit",
+  "uniform float projStereoT;  // tan(limit/2) for stereographic",
+  "vec2 discLatLon(vec2 uv){",
+  "  vec2  d = (uv - 0.5) / projRim;",
+  "  float s = length(d);",
+  "  if(s < 1e-6) return projCentre;",
+  "  float c;",
+  "  if(projKind < 0.5)      c = s * 3.1415927;",
+  "  else if(projKind < 1.5) c = 2.0 * asin(min(s, 1.0));",
+  "  else                    c = 2.0 * atan(s * projStereoT);",
+  "  vec2  n   = d / s;",
+  "  float sc  = sin(c), cc = cos(c);",
+  "  float sp0 = sin(projCentre.x), cp0 = cos(projCentre.x);",
+  "  float lat = asin(clamp(cc*sp0 + n.y*sc*cp0, -1.0, 1.0));",
+  "  float lon = projCentre.y + atan(n.x*sc, cp0*cc - n.y*sp0*sc);",
+  "  lon = mod(lon + 3.1415927, 6.2831853) - 3.1415927;",
+  "  return vec2(lat, lon);",
+  "}",
+  "// discScale(uv) → (h, k), mirroring distortion()",
+  "vec2 discScale(vec2 uv){",
+  "  float s = length((uv - 0.5) / projRim);",
+  "  if(projKind < 0.5){",
+  "    float c = min(s * 3.1415927, 3.1415917);",
+  "    return vec2(1.0, c < 1e-4 ? 1.0 : c / sin(c));",
+  "  }",
+  "  if(projKind < 1.5){",
+  "    float q = cos(asin(min(s, 1.0)));",
+  "    return vec2(q, 1.0 / max(q, 1e-6));",
+  "  }",
+  "  float q = 1.0 + s * s * projStereoT * projStereoT;   // sec²(c/2)",
+  "  return vec2(q, q);",
+  "}",
+].join("\n");
+
+export {
+  EARTH_R_KM,
+  RIM_UV,
+  KINDS,
+  CENTRE_PRESETS,
+  GLSL,
+  get,
+  set,
+  onChange,
+  forward,
+  inverse,
+  angularDistance,
+  uvPerRadAtCentre,
+  distortion,
+  rimDistance,
+  shaderParams,
+  info,
+  fmtLat,
+  fmtLon,
+  fmtLatLon,
+};
@@ -0,0 +1,109 @@
+/**
+ * FLAT EARTH EXPLORER — solar.js
+ *
+ * Low-precision solar ephemeris (NOAA / Meeus "Astronomical
+ * Algorithms" ch. 25). Good to about a minute of time and a
+ * hundredth of a degree for 1950–2050, which is plenty for
+ * a day/night terminator. The Moon (ch. 47, largest terms only)
+ * is good to a few tenths of a degree.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Solar from "./solar.js";
+ */
+
+var D2R = Math.PI / 180;
+var R2D = 180 / Math.PI;
+
+function julianDay(date) { return date.getTime() / 86400000 + 2440587.5; }
+function wrap180(d) { d = ((d + 180) % 360 + 360) % 360; return d - 180; }
+function wrap360(d) { return (d % 360 + 360) % 360; }
+function centuries(date) { return (julianDay(date) - 2451545) / 36525; }
+
+/* Sun's apparent declination and ecliptic longitude (deg), and the equation of time (minutes) */
+function position(date) {
+  var T  = centuries(date);
+  var L0 = (280.46646 + T * (36000.76983 + 0.0003032 * T)) % 360;
+  var M  = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  var e  = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+  var Mr = M * D2R;
+  var C  = Math.sin(Mr) * (1.914602 - T * (0.004817 + 0.000014 * T))
+         + Math.sin(2 * Mr) * (0.019993 - 0.000101 * T)
+         + Math.sin(3 * Mr) * 0.000289;
+  var omega  = (125.04 - 1934.136 * T) * D2R;
+  var lambda = (L0 + C - 0.00569 - 0.00478 * Math.sin(omega)) * D2R;
+  var eps0   = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+  var eps    = (eps0 + 0.00256 * Math.cos(omega)) * D2R;
+
+  var decl = Math.asin(Math.sin(eps) * Math.sin(lambda));
+  var y    = Math.pow(Math.tan(eps / 2), 2);
+  var L0r  = L0 * D2R;
+  var eot  = y * Math.sin(2 * L0r) - 2 * e * Math.sin(Mr)
+           + 4 * e * y * Math.sin(Mr) * Math.cos(2 * L0r)
+           - 0.5 * y * y * Math.sin(4 * L0r) - 1.25 * e * e * Math.sin(2 * Mr);
+
+  return { declination: decl * R2D, longitude: wrap360(lambda * R2D), eqTime: 4 * eot * R2D };
+}
+
+/* Point on Earth with the Sun at the zenith: { lat, lon } in degrees */
+function subsolarPoint(date) {
+  var p    = position(date);
+  var mins = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60
+           + date.getUTCMilliseconds() / 60000;
+  return { lat: p.declination, lon: wrap180((720 - mins - p.eqTime) / 4) };
+}
+
+/* Cosine of the solar zenith angle at lat/lon (deg) for a subsolar point */
+function cosZenith(lat, lon, sub) {
+  var la = lat * D2R, sa = sub.lat * D2R;
+  return Math.sin(la) * Math.sin(sa) + Math.cos(la) * Math.cos(sa) * Math.cos((lon - sub.lon) * D2R);
+}
+
+/* Greenwich mean sidereal time, degrees */
+function gmst(date) { return wrap360(280.46061837 + 360.98564736629 * (julianDay(date) - 2451545)); }
+
+/* Moon's geocentric ecliptic longitude and latitude, degrees */
+function moonPosition(date) {
+  var T  = centuries(date);
+  var L  = 218.3164477 + 481267.88123421 * T;          // mean longitude
+  var D  = (297.8501921 + 445267.1114034 * T) * D2R;   // mean elongation
+  var M  = (357.5291092 + 35999.0502909 * T) * D2R;    // Sun's mean anomaly
+  var Mm = (134.9633964 + 477198.8675055 * T) * D2R;   // Moon's mean anomaly
+  var F  = (93.2720950 + 483202.0175233 * T) * D2R;    // argument of latitude
+  var lon = L + 6.288774 * Math.sin(Mm) + 1.274027 * Math.sin(2 * D - Mm)
+          + 0.658314 * Math.sin(2 * D) + 0.213618 * Math.sin(2 * Mm)
+          - 0.185116 * Math.sin(M) - 0.114332 * Math.sin(2 * F)
+          + 0.058793 * Math.sin(2 * D - 2 * Mm) + 0.057066 * Math.sin(2 * D - M - Mm)
+          + 0.053322 * Math.sin(2 * D + Mm);
+  var lat = 5.128122 * Math.sin(F) + 0.280602 * Math.sin(Mm + F)
+          + 0.277693 * Math.sin(Mm - F) + 0.173237 * Math.sin(2 * D - F);
+  return { longitude: wrap360(lon), latitude: lat };
+}
+
+/* Point on Earth with the Moon at the zenith: { lat, lon } in degrees.
+   Geocentric — parallax (up to a degree) is ignored. */
+function sublunarPoint(date) {
+  var m   = moonPosition(date);
+  var eps = (23.439291 - 0.0130042 * centuries(date)) * D2R;
+  var l   = m.longitude * D2R, b = m.latitude * D2R;
+  var decl = Math.asin(Math.sin(b) * Math.cos(eps) + Math.cos(b) * Math.sin(eps) * Math.sin(l));
+  var ra   = Math.atan2(Math.sin(l) * Math.cos(eps) - Math.tan(b) * Math.sin(eps), Math.cos(l));
+  return { lat: decl * R2D, lon: wrap180(ra * R2D - gmst(date)) };
+}
+
+/* Illuminated fraction of the Moon's disc: 0 new, 1 full */
+function moonIllumination(date) {
+  var m = moonPosition(date);
+  var cosElong = Math.cos(m.latitude * D2R) * Math.cos((m.longitude - position(date).longitude) * D2R);
+  return (1 - cosElong) / 2;
+}
+
+export {
+  julianDay,
+  position,
+  subsolarPoint,
+  cosZenith,
+  gmst,
+  moonPosition,
+  sublunarPoint,
+  moonIllumination,
+};
@@ -0,0 +1,140 @@
+/**
+ * FLAT EARTH EXPLORER — stars.js
+ *
+ * The bundled bright-star catalogue (data/stars.json: about 5,000
+ * Hipparcos stars to magnitude 6, with the constellation figures)
+ * and the sums for placing it in the sky: equatorial directions,
+ * sidereal time, an observer's horizon frame, altitude/azimuth,
+ * and how big and what colour each star is drawn.
+ *
+ * Equatorial vectors are [x, y, z] with x towards RA 0h on the
+ * celestial equator and z to the north celestial pole.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Stars from "./stars.js";
+ */
+
+import * as Solar from "./solar.js";
+
+var D2R = Math.PI / 180;
+var R2D = 180 / Math.PI;
+
+var stars = [];
+var constellations = [];
+var ready = false;
+
+/* B−V colour index → RGB (0–1), hot blue to cool red */
+var BV_COLOURS = [
+  [-0.4, 0.61, 0.69, 1.00],
+  [ 0.0, 0.79, 0.85, 1.00],
+  [ 0.4, 0.97, 0.97, 1.00],
+  [ 0.6, 1.00, 0.96, 0.92],
+  [ 1.0, 1.00, 0.86, 0.71],
+  [ 1.4, 1.00, 0.80, 0.56],
+  [ 2.0, 1.00, 0.71, 0.43],
+];
+
+function rows(list, fields, f) {
+  var at = {};
+  fields.forEach(function(name, i) { at[name] = i; });
+  return list.map(function(r) { return f(r, at); });
+}
+
+/* Load from a star catalogue JSON ({ fields, stars, constellationFields,
+   constellations }) or an already-parsed object */
+function load(src) {
+  var p = typeof src === "string"
+    ? fetch(src).then(function(r) { if (!r.ok) throw new Error(r.status + " " + src); return r.json(); })
+    : Promise.resolve(src);
+  return p.then(function(data) {
+    stars = rows(data.stars, data.fields, function(r, f) {
+      return { ra: r[f.ra], dec: r[f.dec], mag: r[f.mag], bv: r[f.bv], name: r[f.name] || "" };
+    });
+    constellations = rows(data.constellations, data.constellationFields, function(r, f) {
+      return { id: r[f.id], name: r[f.name], label: r[f.label], lines: r[f.lines] || [] };
+    });
+    ready = true;
+    return stars.length;
+  });
+}
+
+/* The first star with this proper name, or null */
+function byName(name) {
+  for (var i = 0; i < stars.length; i++) if (stars[i].name === name) return stars[i];
+  return null;
+}
+
+/* RA/Dec (deg) → unit equatorial vector */
+function equatorial(ra, dec) {
+  var a = ra * D2R, d = dec * D2R;
+  return [Math.cos(d) * Math.cos(a), Math.cos(d) * Math.sin(a), Math.sin(d)];
+}
+
+/* Local sidereal time at lon, degrees: the RA on the meridian */
+function lst(lon, date) {
+  return ((Solar.gmst(date) + lon) % 360 + 360) % 360;
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * An observer's horizon frame in equatorial coordinates: unit vectors
+ * to the east and north points and the zenith. At the poles north is
+ * taken along the meridian of lon.
+ * @returns {{ east: number[], north: number[], up: number[] }}
+ */
+function horizonBasis(lat, lon, date) {
+  var up = equatorial(lst(lon, date), Math.max(-89.999, Math.min(89.999, lat)));
+  var east = cross([0, 0, 1], up), k = Math.hypot(east[0], east[1], east[2]);
+  east = east.map(function(v) { return v / k; });
+  return { east: east, north: cross(up, east), up: up };
+}
+
+function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+
+/* Altitude and azimuth (deg, azimuth clockwise from north) of RA/Dec
+   for an observer at lat/lon */
+function altAz(ra, dec, lat, lon, date) {
+  var b = horizonBasis(lat, lon, date), v = equatorial(ra, dec);
+  var az = Math.atan2(dot(v, b.east), dot(v, b.north)) * R2D;
+  return { alt: Math.asin(Math.max(-1, Math.min(1, dot(v, b.up)))) * R2D, az: (az + 360) % 360 };
+}
+
+/* Drawn point size, CSS px: Sirius 6.5, naked-eye limit 1 */
+function magSize(mag) { return Math.max(1, Math.min(6.5, 5.5 - 0.75 * mag)); }
+
+/* Drawn opacity, fading the faint end */
+function magAlpha(mag) { return Math.max(0.35, Math.min(1, 1.15 - 0.12 * mag)); }
+
+function bvColour(bv) {
+  var t = BV_COLOURS;
+  if (!(bv > t[0][0])) return t[0].slice(1);
+  for (var i = 1; i < t.length; i++) {
+    if (bv <= t[i][0]) {
+      var k = (bv - t[i-1][0]) / (t[i][0] - t[i-1][0]);
+      return [1, 2, 3].map(function(j) { return t[i-1][j] + (t[i][j] - t[i-1][j]) * k; });
+    }
+  }
+  return t[t.length - 1].slice(1);
+}
+
+function list() { return stars; }
+function figures() { return constellations; }
+function isReady() { return ready; }
+
+export {
+  load,
+  list,
+  figures,
+  isReady,
+  byName,
+  equatorial,
+  lst,
+  horizonBasis,
+  altAz,
+  magSize,
+  magAlpha,
+  bvColour,
+};
@@ -0,0 +1,172 @@
+/**
+ * FLAT EARTH EXPLORER — tiles.js
+ *
+ * Level-of-detail bookkeeping for tiled disc imagery. No three.js
+ * in here: app/tile-layer.js owns textures and meshes, this module
+ * decides which tiles are wanted, which to draw while they load,
+ * and which to throw away.
+ *
+ * A tileset is a quadtree over disc UV space, described by a small
+ * JSON manifest next to the tiles:
+ *
+ *   {
+ *     "template":   "{z}/{x}/{y}.jpg",     // relative to the manifest
+ *     "tileSize":   512,
+ *     "minZoom":    0,
+ *     "maxZoom":    6,
+ *     "projection": { "kind": "aeqd", "lat": 90, "lon": 0 },
+ *     "attribution": "NASA Blue Marble"
+ *   }
+ *
+ * Level z has 2^z × 2^z tiles; x runs with u, y runs down the image
+ * (y = 0 is the v = 1 edge). The imagery is already projected, so a
+ * tileset only matches the projection it was rendered for.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as TilePyramid from "./tiles.js";
+ */
+
+
+function key(z, x, y) { return z + "/" + x + "/" + y; }
+
+/* "{z}/{x}/{y}.png" → "3/5/2.png", resolved against the manifest URL */
+function tileUrl(template, base, z, x, y) {
+  var path = template.replace(/\{z\}/g, z).replace(/\{x\}/g, x).replace(/\{y\}/g, y);
+  return base ? new URL(path, base).href : path;
+}
+
+/* Disc-UV square covered by a tile: { u0, v0, size } */
+function bounds(z, x, y) {
+  var s = 1 / Math.pow(2, z);
+  return { u0: x * s, v0: 1 - (y + 1) * s, size: s };
+}
+
+/* Does the square touch the visible disc (UV radius 0.5 around the centre)? */
+function touchesDisc(b) {
+  var cu = Math.max(b.u0, Math.min(0.5, b.u0 + b.size));
+  var cv = Math.max(b.v0, Math.min(0.5, b.v0 + b.size));
+  return Math.hypot(cu - 0.5, cv - 0.5) <= 0.5;
+}
+
+/**
+ * Walk the quadtree and return the tiles to show, coarse to fine.
+ * `measure(b)` returns the on-screen size in pixels of UV square b,
+ * or a negative number when it is off-screen. A tile is split while
+ * it would be magnified beyond `detail` × its texel size.
+ * @returns {Array<{ z, x, y, key }>}
+ */
+function select(manifest, measure, detail) {
+  var out = [], lim = detail || 1;
+  function visit(z, x, y) {
+    var b = bounds(z, x, y);
+    if (!touchesDisc(b)) return;
+    var px = measure(b);
+    if (px < 0) return;
+    if (z < manifest.maxZoom && (z < manifest.minZoom || px > manifest.tileSize * lim)) {
+      visit(z + 1, 2 * x,     2 * y);
+      visit(z + 1, 2 * x + 1, 2 * y);
+      visit(z + 1, 2 * x,     2 * y + 1);
+      visit(z + 1, 2 * x + 1, 2 * y + 1);
+      return;
+    }
+    out.push({ z: z, x: x, y: y, key: key(z, x, y) });
+  }
+  visit(0, 0, 0);
+  return out;
+}
+
+function parent(t) { return t.z > 0 ? { z: t.z - 1, x: t.x >> 1, y: t.y >> 1, key: key(t.z - 1, t.x >> 1, t.y >> 1) } : null; }
+
+/**
+ * Keys to draw this frame. A wanted tile is drawn once loaded; until
+ * then — and while it is still fading in — its nearest loaded ancestor
+ * stays drawn underneath, so there is never a hole.
+ */
+function drawSet(wanted, isReady, isOpaque) {
+  var keep = {};
+  wanted.forEach(function(t) {
+    if (isReady(t.key)) {
+      keep[t.key] = true;
+      if (isOpaque(t.key)) return;
+    }
+    for (var a = parent(t); a; a = parent(a)) {
+      if (isReady(a.key)) { keep[a.key] = true; if (isOpaque(a.key)) break; }
+    }
+  });
+  return keep;
+}
+
+/**
+ * Least-recently-used cache with a byte budget. Entries listed in
+ * `pinned` (a key → true map) survive eviction even over budget.
+ */
+function LRUCache(budgetBytes, onEvict) {
+  this.budget  = budgetBytes;
+  this.bytes   = 0;
+  this.map     = new Map();       // insertion order = recency order
+  this.onEvict = onEvict || function() {};
+}
+LRUCache.prototype.has = function(k) { return this.map.has(k); };
+LRUCache.prototype.get = function(k) {
+  var e = this.map.get(k);
+  if (!e) return undefined;
+  this.map.delete(k); this.map.set(k, e);          // touch
+  return e.value;
+};
+LRUCache.prototype.peek = function(k) { var e = this.map.get(k); return e && e.value; };
+LRUCache.prototype.set = function(k, value, bytes) {
+  if (this.map.has(k)) this.delete(k);
+  this.map.set(k, { value: value, bytes: bytes || 0 });
+  this.bytes += bytes || 0;
+};
+LRUCache.prototype.delete = function(k) {
+  var e = this.map.get(k);
+  if (!e) return false;
+  this.map.delete(k);
+  this.bytes -= e.bytes;
+  this.onEvict(k, e.value);
+  return true;
+};
+LRUCache.prototype.trim = function(pinned) {
+  var it = this.map.keys(), k, evicted = 0;
+  while (this.bytes > this.budget && !(k = it.next()).done) {
+    if (pinned && pinned[k.value]) continue;
+    this.delete(k.value);
+    evicted++;
+  }
+  return evicted;
+};
+LRUCache.prototype.forEach = function(fn) {
+  this.map.forEach(function(e, k) { fn(e.value, k); });
+};
+LRUCache.prototype.clear = function() {
+  var self = this;
+  Array.from(this.map.keys()).forEach(function(k) { self.delete(k); });
+};
+Object.defineProperty(LRUCache.prototype, "size", { get: function() { return this.map.size; } });
+
+/* Fill in manifest defaults; throws on anything unusable */
+function normalizeManifest(m) {
+  if (!m || typeof m.template !== "string") throw new Error("Tileset manifest needs a template");
+  var p = m.projection || {};
+  return {
+    template:    m.template,
+    tileSize:    m.tileSize > 0 ? m.tileSize : 256,
+    minZoom:     Math.max(0, m.minZoom | 0),
+    maxZoom:     Math.max(0, m.maxZoom == null ? 5 : m.maxZoom | 0),
+    projection:  { kind: p.kind || "aeqd", lat: p.lat == null ? 90 : +p.lat, lon: p.lon == null ? 0 : +p.lon },
+    attribution: m.attribution || "",
+  };
+}
+
+export {
+  key,
+  tileUrl,
+  bounds,
+  touchesDisc,
+  select,
+  parent,
+  drawSet,
+  LRUCache,
+  normalizeManifest,
+};
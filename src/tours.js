@@ -0,0 +1,128 @@
+/**
+ * FLAT EARTH EXPLORER — tours.js
+ *
+ * Guided tours: reading and checking tour scripts. Playing them
+ * (moving the camera, flipping layers, the caption card) is
+ * app/tour-player.js's job.
+ *
+ * A tour is JSON:
+ *
+ *   {
+ *     "title": "How the disc distorts the south",
+ *     "steps": [
+ *       {
+ *         "title":      "Sydney to Santiago",          // caption heading
+ *         "text":       "Paragraphs split on blank lines.",
+ *         "duration":   12000,                         // ms on autoplay
+ *         "camera":     { "dist": 30, "az": 0, "polar": 2, "target": [0, 0, 0] },
+ *         "flyTo":      { "lat": -25, "lon": 134, "dist": 14, "polar": 40 },
+ *         "projection": { "kind": "aeqd", "lat": 90, "lon": 0 },
+ *         "layers":     { "coast": true, "grid": false },
+ *         "night":      false,
+ *         "time":       "2024-12-21T12:00Z",           // real sun; null turns it off
+ *         "pin":        { "lat": -33.9, "lon": 151.2, "label": "Sydney" },
+ *         "route":      "syd-scl",                     // preset id, or [{ name, lat, lon }, …]
+ *         "view":       "split"                        // disc | split | swipe | globe
+ *       }
+ *     ]
+ *   }
+ *
+ * Every step field but "title" is optional; a missing field leaves
+ * that part of the scene as it is, and null clears pin, route and
+ * time. "camera" takes the same numbers as the cam= URL parameter
+ * (angles in degrees); "flyTo" frames a place the way search does.
+ * Layer names are the URL ones: sat, night, ice, falls, coast,
+ * borders, grid, sun, terrain.
+ *
+ * An ES module, imported as a namespace:
+ *   import * as Tours from "./tours.js";
+ */
+
+import * as Projection from "./projection.js";
+
+var DEFAULT_DURATION = 10000;
+var VIEWS = ["disc", "split", "swipe", "globe"];
+
+function num(v) { return typeof v === "number" && isFinite(v); }
+function latLon(o) { return o && num(o.lat) && num(o.lon) && Math.abs(o.lat) <= 90 && Math.abs(o.lon) <= 180; }
+
+function step(s, i) {
+  var at = "Step " + (i + 1) + ": ";
+  if (!s || typeof s !== "object") throw new Error(at + "not an object");
+  var out = {
+    title:    String(s.title || "").trim() || "Step " + (i + 1),
+    text:     String(s.text || ""),
+    duration: num(s.duration) ? Math.max(1000, Math.min(120000, s.duration)) : DEFAULT_DURATION,
+  };
+
+  if (s.camera != null) {
+    var c = s.camera, t = c.target || [0, 0, 0];
+    if (!num(c.dist) || !num(c.az) || !num(c.polar) || !Array.isArray(t) || t.length !== 3 || !t.every(num))
+      throw new Error(at + "camera needs dist, az, polar and a [x, y, z] target");
+    out.camera = { dist: c.dist, az: c.az, polar: c.polar, target: t.slice() };
+  }
+  if (s.flyTo != null) {
+    if (!latLon(s.flyTo)) throw new Error(at + "flyTo needs lat and lon");
+    out.flyTo = { lat: s.flyTo.lat, lon: s.flyTo.lon,
+                  dist: num(s.flyTo.dist) ? s.flyTo.dist : null, polar: num(s.flyTo.polar) ? s.flyTo.polar : null };
+  }
+  if (s.projection != null) {
+    var p = s.projection, kinds = Object.keys(Projection.KINDS);
+    if (p.kind != null && kinds.indexOf(p.kind) < 0)
+      throw new Error(at + "projection kind must be one of " + kinds.join(", "));
+    if ((p.lat != null && !num(p.lat)) || (p.lon != null && !num(p.lon)))
+      throw new Error(at + "projection lat/lon must be numbers");
+    out.projection = { kind: p.kind, lat: p.lat, lon: p.lon };
+  }
+  if (s.layers != null) {
+    if (typeof s.layers !== "object") throw new Error(at + "layers must be an object of name: true/false");
+    out.layers = {};
+    Object.keys(s.layers).forEach(function(k) { out.layers[k] = !!s.layers[k]; });
+  }
+  if (s.night != null) out.night = !!s.night;
+  if (s.time !== undefined) {
+    if (s.time !== null && !isFinite(Date.parse(s.time))) throw new Error(at + "time is not a date: " + s.time);
+    out.time = s.time === null ? null : Date.parse(s.time);
+  }
+  if (s.pin !== undefined) {
+    if (s.pin !== null && !latLon(s.pin)) throw new Error(at + "pin needs lat and lon");
+    out.pin = s.pin && { lat: s.pin.lat, lon: s.pin.lon, label: String(s.pin.label || "") };
+  }
+  if (s.route !== undefined) {
+    var r = s.route;
+    if (Array.isArray(r)) {
+      if (!r.every(latLon)) throw new Error(at + "every route stop needs lat and lon");
+      r = r.map(function(q) { return { name: q.name ? String(q.name) : null, lat: q.lat, lon: q.lon }; });
+    } else if (r !== null && typeof r !== "string") {
+      throw new Error(at + "route must be a preset id, a list of stops or null");
+    }
+    out.route = r;
+  }
+  if (s.view != null) {
+    if (VIEWS.indexOf(s.view) < 0) throw new Error(at + "view must be one of " + VIEWS.join(", "));
+    out.view = s.view;
+  }
+  return out;
+}
+
+/* Check a parsed tour and fill in defaults; throws with the step at fault */
+function normalize(obj) {
+  if (!obj || !Array.isArray(obj.steps) || !obj.steps.length) throw new Error("A tour needs a non-empty \"steps\" list");
+  return {
+    title: String(obj.title || "").trim() || "Untitled tour",
+    steps: obj.steps.map(step),
+  };
+}
+
+function parse(text) {
+  var obj;
+  try { obj = JSON.parse(text); }
+  catch (e) { throw new Error("Not valid JSON: " + e.message); }
+  return normalize(obj);
+}
+
+export {
+  DEFAULT_DURATION,
+  normalize,
+  parse,
+};
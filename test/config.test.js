@@ -0,0 +1,124 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as Config from "../src/config.js";
+
+var STORAGE_KEY = "flatEarthExplorer.settings";
+var schema, files, store = {};
+
+/* config.js reads through fetch() and window.localStorage; both are served from memory here */
+before(function() {
+  schema = JSON.parse(readFileSync(new URL("../src/config.schema.json", import.meta.url), "utf8"));
+  files = { "config.schema.json": schema, "config.json": { disc: { radius: 12 } } };
+  globalThis.fetch = function(url) {
+    var body = files[url];
+    return Promise.resolve(body === undefined
+      ? { ok: false, status: 404, statusText: "Not Found" }
+      : { ok: true, json: function() { return Promise.resolve(JSON.parse(JSON.stringify(body))); } });
+  };
+  globalThis.window = { localStorage: {
+    getItem:    function(k) { return k in store ? store[k] : null; },
+    setItem:    function(k, v) { store[k] = String(v); },
+    removeItem: function(k) { delete store[k]; },
+  } };
+});
+
+after(function() {
+  delete globalThis.fetch;
+  delete globalThis.window;
+});
+
+test("validate fills defaults and takes every valid value given", function() {
+  var r = Config.validate(schema, { disc: { radius: 20 }, loading: { retries: 3 } });
+  assert.deepEqual(r.errors, []);
+  assert.equal(r.value.disc.radius, 20);
+  assert.equal(r.value.disc.wallHeight, 4);
+  assert.equal(r.value.loading.retries, 3);
+  assert.equal(r.value.imagery.tiles, "");
+  assert.equal(r.value.imagery.day.length, 3);
+  assert.deepEqual(Config.validate(schema, {}).value, Config.defaults(schema));
+});
+
+test("validate reports each bad value and falls back to its default", function() {
+  var r = Config.validate(schema, {
+    disc:    { radius: 0, wallHeight: "tall" },
+    loading: { retries: 1.5, timeoutMs: 500 },
+    camera:  { maxTilt: 200 },
+    colour:  "blue",
+  });
+  assert.deepEqual(r.errors, [
+    "colour is not a known setting",
+    "disc.radius should be more than 0, not 0",
+    "disc.wallHeight should be a number, not string",
+    "camera.maxTilt should be at most 180, not 200",
+    "loading.timeoutMs should be at least 1000, not 500",
+    "loading.retries should be a whole number, not number",
+  ]);
+  assert.equal(r.value.disc.radius, 10);
+  assert.equal(r.value.disc.wallHeight, 4);
+  assert.equal(r.value.loading.retries, 1);
+  assert.equal(r.value.camera.maxTilt, 93.6);
+  assert.ok(!("colour" in r.value));
+});
+
+test("validate follows $refs into array items and drops the invalid ones", function() {
+  var r = Config.validate(schema, { imagery: { day: [
+    { name: "a", url: "a.jpg" },
+    { name: "b" },
+    { name: "c", url: "c.jpg", timeout: 10 },
+  ] } });
+  assert.deepEqual(r.errors, ["imagery.day[1] is missing \"url\"", "imagery.day[2].timeout should be at least 1000, not 10"]);
+  assert.deepEqual(r.value.imagery.day, [{ name: "a", url: "a.jpg", credit: "" }, { name: "c", url: "c.jpg", credit: "" }]);
+  r = Config.validate(schema, { imagery: { day: [{ name: "b" }] } });
+  assert.deepEqual(r.errors, ["imagery.day[0] is missing \"url\"", "imagery.day needs at least 1 valid entries"]);
+  assert.equal(r.value.imagery.day.length, 3);
+});
+
+test("a partial validate keeps only the valid fields given", function() {
+  var r = Config.validate(schema, { disc: { radius: 5, wallHeight: 99 } }, true);
+  assert.deepEqual(r.value, { disc: { radius: 5 } });
+  assert.deepEqual(r.errors, ["disc.wallHeight should be at most 40, not 99"]);
+  assert.deepEqual(Config.validate(schema, "nonsense", true).value, {});
+});
+
+test("merge is deep for objects, replaces arrays and leaves its inputs alone", function() {
+  var a = { disc: { radius: 10, wallHeight: 4 }, list: [1, 2, 3] };
+  var b = { disc: { radius: 12 }, list: [9] };
+  assert.deepEqual(Config.merge(a, b), { disc: { radius: 12, wallHeight: 4 }, list: [9] });
+  assert.deepEqual(a, { disc: { radius: 10, wallHeight: 4 }, list: [1, 2, 3] });
+  assert.deepEqual(Config.merge(a, undefined), a);
+  assert.notEqual(Config.merge(a, undefined), a);
+});
+
+test("load layers config.json and saved settings over the defaults", async function() {
+  store[STORAGE_KEY] = JSON.stringify({ camera: { maxTilt: 60 }, loading: { retries: 9 } });
+  var v = await Config.load("config.json", "config.schema.json");
+  assert.equal(v.disc.radius, 12);
+  assert.equal(v.camera.maxTilt, 60);
+  assert.equal(v.loading.retries, 1);
+  assert.deepEqual(Config.errors(), ["saved settings: loading.retries should be at most 5, not 9"]);
+  var tilt = Config.fields().filter(function(f) { return f.path === "camera.maxTilt"; })[0];
+  assert.deepEqual([tilt.base, tilt.value, tilt.overridden], [93.6, 60, true]);
+});
+
+test("load survives a missing config.json but not a missing schema", async function() {
+  var v = await Config.load("missing.json", "config.schema.json");
+  assert.equal(v.disc.radius, 10);
+  assert.match(Config.errors()[0], /^missing\.json: 404 Not Found/);
+  await assert.rejects(Config.load("config.json", "nope.json"), /Couldn't load nope\.json/);
+});
+
+test("save stores only what differs from config.json, and nothing when a value is bad", async function() {
+  delete store[STORAGE_KEY];
+  await Config.load("config.json", "config.schema.json");
+  assert.deepEqual(Config.save({ "disc.radius": 12, "camera.maxTilt": 80 }), []);
+  assert.deepEqual(JSON.parse(store[STORAGE_KEY]), { camera: { maxTilt: 80 } });
+
+  assert.deepEqual(Config.save({ "camera.maxTilt": 45, "disc.radius": -1 }), ["disc.radius should be more than 0, not -1"]);
+  assert.deepEqual(JSON.parse(store[STORAGE_KEY]), { camera: { maxTilt: 80 } });
+
+  var v = await Config.load("config.json", "config.schema.json");
+  assert.equal(v.camera.maxTilt, 80);
+  Config.reset();
+  assert.ok(!(STORAGE_KEY in store));
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as DataLayer from "../src/datalayer.js";
+
+var USGS = JSON.stringify({
+  type: "FeatureCollection",
+  metadata: { title: "USGS Magnitude 2.5+ Earthquakes, Past Day" },
+  features: [
+    { type: "Feature", id: "us1", properties: { mag: 4.6, place: "south of Fiji", time: 1700000000000 },
+      geometry: { type: "Point", coordinates: [178.1, -24.3, 512.4] } },
+    { type: "Feature", id: "us2", properties: { mag: 2.7, place: "Alaska", time: 1700003600000 },
+      geometry: { type: "Point", coordinates: [-150.2, 61.1, 30] } },
+    { type: "Feature", id: "us3", properties: { mag: 3.1, place: "nowhere" },
+      geometry: { type: "LineString", coordinates: [[0, 0], [1, 1]] } },
+  ],
+});
+
+test("parseCSV keeps quoted commas, doubled quotes and CRLF line ends", function() {
+  var rows = DataLayer.parseCSV('a,b\r\n"x, y","say ""hi"""\r\n\r\n1,2');
+  assert.deepEqual(rows, [["a", "b"], ["x, y", 'say "hi"'], ["1", "2"]]);
+});
+
+test("parseTime reads ISO strings and epoch seconds or milliseconds", function() {
+  assert.equal(DataLayer.parseTime("2023-11-14T22:13:20Z"), 1700000000000);
+  assert.equal(DataLayer.parseTime(1700000000), 1700000000000);
+  assert.equal(DataLayer.parseTime("1700000000000"), 1700000000000);
+  assert.equal(DataLayer.parseTime("not a date"), null);
+  assert.equal(DataLayer.parseTime(""), null);
+});
+
+test("a USGS feed gives points styled by magnitude with times and depth", function() {
+  var d = DataLayer.parse(USGS, "all_day.geojson");
+  assert.equal(d.format, "geojson");
+  assert.equal(d.points.length, 2);
+  assert.equal(d.skipped, 1);
+  assert.equal(d.valueField, "mag");
+  assert.equal(d.timeField, "time");
+  assert.equal(d.title, "USGS Magnitude 2.5+ Earthquakes, Past Day");
+  assert.deepEqual([d.points[0].lat, d.points[0].lon], [-24.3, 178.1]);
+  assert.equal(d.points[0].props.depth, 512.4);
+  assert.equal(d.points[0].props.id, "us1");
+  assert.equal(d.points[1].time, 1700003600000);
+  assert.ok(d.numeric.indexOf("depth") >= 0);
+  assert.ok(d.numeric.indexOf("place") < 0);
+});
+
+test("CSV columns are found by name and values typed", function() {
+  var csv = "station,Latitude,Longitude,temp,observed\n"
+          + "Oslo,59.91,10.75,4.5,2024-01-01T12:00:00Z\n"
+          + "Lima,-12.05,-77.04,22,2024-01-01T13:00:00Z\n"
+          + "Bad,,10,1,\n";
+  var d = DataLayer.parse(csv, "obs.csv");
+  assert.equal(d.format, "csv");
+  assert.equal(d.points.length, 2);
+  assert.equal(d.skipped, 1);
+  assert.equal(d.valueField, "temp");
+  assert.equal(d.timeField, "observed");
+  assert.deepEqual(d.numeric, ["temp"]);
+  assert.equal(d.points[1].props.station, "Lima");
+  assert.equal(d.points[0].time, Date.UTC(2024, 0, 1, 12));
+});
+
+test("a file without coordinates is an error", function() {
+  assert.throws(function() { DataLayer.parse("name,value\na,1\n", "x.csv"); }, /latitude/);
+  assert.throws(function() { DataLayer.parse('{"type":"Topology"}', "x.json"); }, /GeoJSON/);
+});
+
+test("domain, norm and the legend cover the field's range", function() {
+  var d = DataLayer.parse(USGS, "all_day.geojson");
+  var dom = DataLayer.domain(d.points, "mag");
+  assert.deepEqual(dom, [2.7, 4.6]);
+  assert.equal(DataLayer.norm(2.7, dom), 0);
+  assert.equal(DataLayer.norm(9, dom), 1);
+  assert.equal(DataLayer.norm(1, [1, 1]), 0.5);
+  assert.equal(DataLayer.norm("x", dom), null);
+  var stops = DataLayer.legendStops(dom, 3);
+  assert.equal(stops.length, 3);
+  assert.equal(stops[0].colour, DataLayer.hex(DataLayer.ramp(0)));
+  assert.equal(stops[2].value, 4.6);
+  assert.match(stops[1].colour, /^#[0-9a-f]{6}$/);
+});
+
+test("the time window shows points up to t, trailing by the window", function() {
+  var d = DataLayer.parse(USGS, "all_day.geojson");
+  assert.deepEqual(DataLayer.timeRange(d.points), [1700000000000, 1700003600000]);
+  var a = d.points[0], b = d.points[1], t = 1700003600000;
+  assert.ok(DataLayer.inWindow(a, t, Infinity));
+  assert.ok(!DataLayer.inWindow(a, t, 1800000));
+  assert.ok(DataLayer.inWindow(b, t, 1800000));
+  assert.ok(!DataLayer.inWindow(b, t - 1, Infinity));
+  assert.ok(DataLayer.inWindow({ time: null }, 0, 0));
+});
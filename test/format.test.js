@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Format from "../src/format.js";
+
+test("scaleBar: about 1,000 km across a mid-altitude view", function() {
+  var bar = Format.scaleBar(10000, 42, 800);     // ≈ 9.6 km per pixel
+  assert.ok(Math.abs(bar.px - 104.2) < 0.1, "px " + bar.px);
+  assert.equal(bar.km, 1000);
+});
+
+test("scaleBar: the bar stays between 40 and 120 px", function() {
+  assert.equal(Format.scaleBar(100000, 42, 800).px, 40);
+  assert.equal(Format.scaleBar(100000, 42, 800).km, 3800);
+  assert.equal(Format.scaleBar(500, 42, 800).px, 120);
+});
+
+test("scaleBar: a length that rounds to nothing reads 1,000 km", function() {
+  assert.equal(Format.scaleBar(100, 42, 800).km, 1000);
+  assert.equal(Format.scaleBar(0, 42, 800).km, 1000);
+});
+
+test("scaleBar: a taller viewport means a shorter distance per pixel", function() {
+  var small = Format.scaleBar(30000, 42, 600), big = Format.scaleBar(30000, 42, 1200);
+  assert.ok(big.km / big.px < small.km / small.px);
+});
+
+test("fmtAltitude rounds to thousands past 9,999 km", function() {
+  assert.equal(Format.fmtAltitude(0), "0 km");
+  assert.equal(Format.fmtAltitude(9999), "9999 km");
+  assert.equal(Format.fmtAltitude(25400), "25,000 km");
+});
+
+test("fmtKm groups thousands", function() {
+  assert.equal(Format.fmtKm(12345.6), "12,346 km");
+  assert.equal(Format.fmtKm(0.4), "0 km");
+});
+
+test("fmtErr is signed, and blank for a zero-length line", function() {
+  assert.equal(Format.fmtErr(150, 100), "+50.0%");
+  assert.equal(Format.fmtErr(75, 100), "-25.0%");
+  assert.equal(Format.fmtErr(5, 0), "—");
+});
+
+test("fmtHours pads the minutes", function() {
+  assert.equal(Format.fmtHours(7.5), "7h 30m");
+  assert.equal(Format.fmtHours(0.1), "0h 06m");
+  assert.equal(Format.fmtHours(1.999), "2h 00m");
+});
+
+test("fmtElevation and fmtMB", function() {
+  assert.equal(Format.fmtElevation({ m: 8848.4, sea: false }), "8,848 m");
+  assert.equal(Format.fmtElevation({ m: 0, sea: true }), "Sea");
+  assert.equal(Format.fmtElevation({ m: -4823.7, sea: true }), "Sea, 4,820 m deep");
+  assert.equal(Format.fmtMB(524288), "0.50 MB");
+  assert.equal(Format.fmtMB(5 * 1048576), "5.0 MB");
+});
+
+test("fmtMetres and fmtDistance", function() {
+  assert.equal(Format.fmtMetres(1.7), "1.7 m");
+  assert.equal(Format.fmtMetres(0), "0 m");
+  assert.equal(Format.fmtMetres(18.48), "18 m");
+  assert.equal(Format.fmtMetres(1250), "1,250 m");
+  assert.equal(Format.fmtDistance(4.654), "4.65 km");
+  assert.equal(Format.fmtDistance(20), "20.0 km");
+  assert.equal(Format.fmtDistance(1250), "1,250 km");
+});
+
+test("fmtStamp gives the UTC minute", function() {
+  assert.equal(Format.fmtStamp(1700000000000), "2023-11-14 22:13 UTC");
+  assert.equal(Format.fmtStamp(null), "—");
+});
+
+test("niceLength picks 1, 2 or 5 × 10ⁿ at most x", function() {
+  assert.equal(Format.niceLength(1), 1);
+  assert.equal(Format.niceLength(4.9), 2);
+  assert.equal(Format.niceLength(730), 500);
+  assert.equal(Format.niceLength(1999), 1000);
+});
@@ -0,0 +1,73 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as Gazetteer from "../src/gazetteer.js";
+
+before(function() {
+  var data = JSON.parse(readFileSync(new URL("../src/data/gazetteer.json", import.meta.url), "utf8"));
+  return Gazetteer.load(data);
+});
+
+function labels(q, n) { return Gazetteer.search(q, n).map(function(r) { return r.label; }); }
+
+test("loads the bundled place list", function() {
+  assert.ok(Gazetteer.isReady());
+  assert.ok(Gazetteer.count() > 1000);
+});
+
+test("normalize drops accents, case and punctuation", function() {
+  assert.equal(Gazetteer.normalize("  São-Paulo!! "), "sao paulo");
+});
+
+test("an exact name beats a prefix, and population breaks ties", function() {
+  assert.deepEqual(labels("london", 2), ["London, United Kingdom", "London, Canada"]);
+  assert.equal(labels("tokyo", 1)[0], "Tokyo, Japan");
+});
+
+test("matching ignores accents", function() {
+  assert.equal(labels("Sao Paulo", 1)[0], "São Paulo, Brazil");
+});
+
+test("\"City, Country\" narrows by country prefix", function() {
+  assert.deepEqual(labels("london, can"), ["London, Canada"]);
+  assert.deepEqual(labels("paris, united"), []);
+});
+
+test("typos still find the place", function() {
+  assert.equal(Gazetteer.editDistance("sydny", "sydney", 3), 1);
+  assert.equal(labels("sydny", 1)[0], "Sydney, Australia");
+});
+
+test("landmarks are searchable by a word of their name", function() {
+  assert.equal(labels("eiffel", 1)[0], "Eiffel Tower, France");
+});
+
+test("nonsense finds nothing", function() {
+  assert.deepEqual(labels("xqzv"), []);
+});
+
+test("nearest skips countries and reports the distance", function() {
+  var n = Gazetteer.nearest(51.5, -0.1);
+  assert.equal(n.label, "London, United Kingdom");
+  assert.ok(n.km > 0 && n.km < 5);
+});
+
+test("parseCoordinates reads the usual notations", function() {
+  assert.deepEqual(Gazetteer.parseCoordinates("-33.87, 151.21"), { lat: -33.87, lon: 151.21 });
+  assert.deepEqual(Gazetteer.parseCoordinates("N 51.5 W 0.12"), { lat: 51.5, lon: -0.12 });
+  var dms = Gazetteer.parseCoordinates("51°30'26\"N 0°7'39\"W");
+  assert.ok(Math.abs(dms.lat - 51.50722) < 1e-5 && Math.abs(dms.lon + 0.1275) < 1e-9);
+  assert.deepEqual(Gazetteer.parseCoordinates("40.7128 -74.006"), { lat: 40.7128, lon: -74.006 });
+  assert.equal(Gazetteer.parseCoordinates("40.7 - 74"), null);       // sign or separator: too close to call
+  assert.equal(Gazetteer.parseCoordinates("40.7- 74"), null);
+  assert.deepEqual(Gazetteer.parseCoordinates("51.5 -0.12"), { lat: 51.5, lon: -0.12 });
+  assert.deepEqual(Gazetteer.parseCoordinates("51-30N 0-7W"), { lat: 51.5, lon: -7 / 60 });
+  var lonFirst = Gazetteer.parseCoordinates("151 12 E 33 52 S");
+  assert.ok(Math.abs(lonFirst.lat + 33.8667) < 1e-4 && lonFirst.lon === 151.2);
+});
+
+test("parseCoordinates leaves names and impossible values alone", function() {
+  assert.equal(Gazetteer.parseCoordinates("london"), null);
+  assert.equal(Gazetteer.parseCoordinates("95 10"), null);
+  assert.equal(Gazetteer.parseCoordinates("51 N 10 N"), null);
+});
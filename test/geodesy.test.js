@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Geodesy from "../src/geodesy.js";
+
+function near(actual, expected, eps) {
+  assert.ok(Math.abs(actual - expected) < eps, actual + " vs " + expected);
+}
+
+test("London to New York on the ellipsoid", function() {
+  var r = Geodesy.inverse(51.5074, -0.1278, 40.7128, -74.006);
+  near(r.km, 5585, 5);
+  near(r.bearing, 288.3, 0.5);
+});
+
+test("haversine agrees with the ellipsoid to within half a percent", function() {
+  var s = Geodesy.haversine(-33.8688, 151.2093, 51.5074, -0.1278);
+  var e = Geodesy.inverse(-33.8688, 151.2093, 51.5074, -0.1278).km;
+  near(s / e, 1, 0.005);
+});
+
+test("a quarter of the way round the equator is 90°", function() {
+  near(Geodesy.angle(0, 0, 0, 90), 90, 1e-9);
+  near(Geodesy.sphericalBearing(0, 0, 0, 90), 90, 1e-9);
+});
+
+test("interpolate runs along the great circle", function() {
+  assert.deepEqual(Geodesy.interpolate(10, 20, -30, 40, 0).map(Math.round), [10, 20]);
+  var mid = Geodesy.interpolate(0, 0, 0, 90, 0.5);
+  near(mid[0], 0, 1e-9);
+  near(mid[1], 45, 1e-9);
+});
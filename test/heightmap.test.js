@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { inflateSync } from "node:zlib";
+import * as Heightmap from "../src/heightmap.js";
+
+function near(actual, expected, eps) {
+  assert.ok(Math.abs(actual - expected) < eps, actual + " vs " + expected);
+}
+
+/* A w × h map from functions of texel column and row for each channel */
+function mapOf(w, h, fn, depthFn) {
+  var px = new Uint8Array(w * h), depth = new Uint8Array(w * h);
+  for (var y = 0; y < h; y++) for (var x = 0; x < w; x++) {
+    px[y * w + x] = fn(x, y);
+    depth[y * w + x] = depthFn ? depthFn(x, y) : 0;
+  }
+  return { w: w, h: h, px: px, depth: depth };
+}
+
+/* Lat/lon (degrees) of a texel centre */
+function centre(map, x, y) {
+  return [90 - (y + 0.5) / map.h * 180, (x + 0.5) / map.w * 360 - 180];
+}
+
+test("decode splits RGBA pixels into height (red) and depth (green)", function() {
+  var m = Heightmap.decode(new Uint8Array([10, 90, 2, 255, 200, 0, 4, 255]), 2, 1);
+  assert.deepEqual([m.w, m.h, Array.from(m.px), Array.from(m.depth)], [2, 1, [10, 200], [90, 0]]);
+});
+
+test("128 is sea level: below is sea, above is 70 m a step", function() {
+  assert.equal(Heightmap.landMetres(0), 0);
+  assert.equal(Heightmap.landMetres(127), 0);
+  assert.equal(Heightmap.landMetres(128), 0);
+  assert.equal(Heightmap.landMetres(129), Heightmap.M_STEP);
+  assert.equal(Heightmap.landMetres(255), 127 * 70);
+  var m = mapOf(4, 2, function(x) { return x < 2 ? 40 : 200; });
+  assert.deepEqual(Heightmap.sample(m, centre(m, 0, 0)[0], centre(m, 0, 0)[1]), { m: 0, sea: true });
+  assert.deepEqual(Heightmap.sample(m, centre(m, 3, 1)[0], centre(m, 3, 1)[1]), { m: 72 * 70, sea: false });
+});
+
+test("at sea the depth channel gives metres below sea level, 50 m a step", function() {
+  var m = mapOf(8, 4, function(x) { return x < 6 ? 20 : 150; }, function(x) { return x < 6 ? 10 * x : 0; });
+  var a = centre(m, 2, 1), b = centre(m, 3, 1);
+  assert.deepEqual(Heightmap.sample(m, a[0], a[1]), { m: -20 * Heightmap.DEPTH_STEP, sea: true });
+  near(Heightmap.sample(m, a[0], (a[1] + b[1]) / 2).m, -25 * 50, 1e-9);
+  var c = centre(m, 5, 1), d = centre(m, 6, 1);
+  var s = Heightmap.sample(m, c[0], c[1] + (d[1] - c[1]) / 4);  // sea side of the shore: land has no depth
+  assert.equal(s.sea, true);
+  near(s.m, -50 * 50 * 0.75, 1e-9);
+  s = Heightmap.sample(m, c[0], c[1] + (d[1] - c[1]) * 3 / 4);  // land side: the sea counts as 0 m
+  assert.equal(s.sea, false);
+  near(s.m, 22 * 70 * 0.75, 1e-9);
+});
+
+/* The RGBA pixels of an 8-bit RGB PNG (non-interlaced), enough to read data/elevation.png */
+function readRGB(buf) {
+  var w = buf.readUInt32BE(16), h = buf.readUInt32BE(20), idat = [];
+  assert.deepEqual([buf[24], buf[25], buf[28]], [8, 2, 0]);
+  for (var at = 8; at < buf.length; at += buf.readUInt32BE(at) + 12) {
+    if (buf.toString("latin1", at + 4, at + 8) === "IDAT") idat.push(buf.subarray(at + 8, at + 8 + buf.readUInt32BE(at)));
+  }
+  var raw = inflateSync(Buffer.concat(idat)), row = w * 3, prev = new Uint8Array(row), out = new Uint8Array(w * h * 4);
+  for (var y = 0; y < h; y++) {
+    var f = raw[y * (row + 1)], cur = raw.subarray(y * (row + 1) + 1, (y + 1) * (row + 1));
+    for (var i = 0; i < row; i++) {
+      var a = i >= 3 ? cur[i - 3] : 0, b = prev[i], c = i >= 3 ? prev[i - 3] : 0;
+      var pa = Math.abs(b - c), pb = Math.abs(a - c), pc = Math.abs(a + b - 2 * c);
+      var p = f === 1 ? a : f === 2 ? b : f === 3 ? (a + b) >> 1 : f === 4 ? (pa <= pb && pa <= pc ? a : pb <= pc ? b : c) : 0;
+      cur[i] = (cur[i] + p) & 255;
+      out[(y * w + (i / 3 | 0)) * 4 + i % 3] = cur[i];
+    }
+    prev = cur;
+  }
+  return { w: w, h: h, rgba: out };
+}
+
+test("the bundled map has land where land is and depth where the sea is deep", function() {
+  var img = readRGB(readFileSync(new URL("../src/data/elevation.png", import.meta.url)));
+  var m = Heightmap.decode(img.rgba, img.w, img.h);
+  assert.deepEqual([m.w, m.h], [2048, 1024]);
+  var everest = Heightmap.sample(m, 27.99, 86.93), sahara = Heightmap.sample(m, 23, 10);
+  assert.ok(!everest.sea && everest.m > 5000, JSON.stringify(everest));
+  assert.ok(!sahara.sea && sahara.m < 2000, JSON.stringify(sahara));
+  var mariana = Heightmap.sample(m, 11.35, 142.2), pacific = Heightmap.sample(m, 0, -150), northSea = Heightmap.sample(m, 56, 3);
+  assert.ok(mariana.sea && mariana.m < -9000, JSON.stringify(mariana));
+  assert.ok(pacific.sea && pacific.m < -4000 && pacific.m > -6500, JSON.stringify(pacific));
+  assert.ok(northSea.sea && northSea.m > -400, JSON.stringify(northSea));
+});
+
+test("sampling is bilinear between texel centres, and the sea counts as 0 m", function() {
+  var m = mapOf(8, 4, function(x) { return x === 4 ? 228 : x === 5 ? 178 : 30; });
+  var a = centre(m, 4, 1), b = centre(m, 5, 1);
+  var s = Heightmap.sample(m, a[0], (a[1] + b[1]) / 2);
+  near(s.m, (100 * 70 + 50 * 70) / 2, 1e-9);
+  s = Heightmap.sample(m, a[0], a[1] + (b[1] - a[1]) / 4);
+  near(s.m, 100 * 70 * 0.75 + 50 * 70 * 0.25, 1e-9);
+  s = Heightmap.sample(m, a[0], a[1] - (b[1] - a[1]) / 2);     // halfway to the sea on the left
+  near(s.m, 50 * 70, 1e-9);
+  assert.equal(s.sea, false);                                  // a tie rounds to the land texel
+});
+
+test("sampling wraps across ±180°", function() {
+  var m = mapOf(8, 4, function(x) { return x === 0 ? 228 : x === 7 ? 128 : 0; });
+  var lat = centre(m, 0, 2)[0];
+  near(Heightmap.sample(m, lat, 180).m, 50 * 70, 1e-9);
+  near(Heightmap.sample(m, lat, -180).m, 50 * 70, 1e-9);
+  assert.deepEqual(Heightmap.sample(m, lat, 179.9), Heightmap.sample(m, lat, -180.1));
+  near(Heightmap.sample(m, lat, -180 + 360 / 8 / 2).m, 100 * 70, 1e-9);
+});
+
+test("sampling clamps at the poles to the first and last rows", function() {
+  var m = mapOf(4, 4, function(x, y) { return y === 0 ? 228 : y === 3 ? 138 : 0; });
+  assert.deepEqual(Heightmap.sample(m, 90, 10), { m: 100 * 70, sea: false });
+  assert.deepEqual(Heightmap.sample(m, 89, -170), { m: 100 * 70, sea: false });
+  assert.deepEqual(Heightmap.sample(m, -90, 45), { m: 10 * 70, sea: false });
+  near(Heightmap.sample(m, 50, 0).m, 100 * 70 * (1 - (40 / 180 * 4 - 0.5)), 1e-9);   // part way down from the top centres
+});
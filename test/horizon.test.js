@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Horizon from "../src/horizon.js";
+
+function near(actual, expected, eps) {
+  assert.ok(Math.abs(actual - expected) < eps, actual + " vs " + expected);
+}
+
+var R = Horizon.radius(false);
+
+test("the horizon from 1.7 m is about 4.7 km off and 0.04° down", function() {
+  near(Horizon.horizonDistance(1.7, R), 4654, 2);
+  near(Horizon.dip(1.7, R), 0.0419, 0.0005);
+  near(Horizon.horizonDistance(100, R) / 1000, 35.7, 0.1);
+});
+
+test("refraction is a larger radius, so the horizon moves out", function() {
+  near(Horizon.radius(true) / R, 1 / (1 - Horizon.REFRACTION_K), 1e-12);
+  assert.ok(Horizon.horizonDistance(1.7, Horizon.radius(true)) > Horizon.horizonDistance(1.7, R));
+});
+
+test("a ship 20 km off loses about 18.5 m below the horizon", function() {
+  near(Horizon.hiddenHeight(20000, 1.7, R), 18.48, 0.05);
+  near(Horizon.hiddenHeight(20000, 1.7, Horizon.radius(true)), 15.38, 0.05);
+});
+
+test("nothing nearer than the horizon is hidden", function() {
+  assert.equal(Horizon.hiddenHeight(4000, 1.7, R), 0);
+  assert.equal(Horizon.sightline(4000, 1.7, 40).hidden, 0);
+});
+
+test("surfacePoint drops away as d² / 2R", function() {
+  var p = Horizon.surfacePoint(10000, R);
+  near(p[0], 10000, 0.01);
+  near(p[1], 10000 * 10000 / (2 * R), 0.01);
+});
+
+test("far enough out the whole ship is gone on the globe, never on the plane", function() {
+  var globe = Horizon.sightline(40000, 1.7, 40);
+  assert.equal(globe.hidden, 40);
+  assert.equal(globe.visible, 0);
+  assert.equal(globe.angle, 0);
+  var flat = Horizon.sightline(40000, 1.7, 40, { flat: true });
+  assert.equal(flat.hidden, 0);
+  assert.equal(flat.horizon, Infinity);
+  near(flat.angle, Math.atan(40 / 40000) * 180 / Math.PI, 1e-4);
+});
+
+test("the visible part looks smaller on the globe than on the plane", function() {
+  var g = Horizon.sightline(20000, 1.7, 40), f = Horizon.sightline(20000, 1.7, 40, { flat: true });
+  near(g.visible, 40 - 18.48, 0.05);
+  assert.ok(g.angle > 0 && g.angle < f.angle);
+});
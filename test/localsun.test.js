@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as LocalSun from "../src/localsun.js";
+
+function near(actual, expected, eps) {
+  assert.ok(Math.abs(actual - expected) < eps, actual + " vs " + expected);
+}
+
+var SOLSTICE = new Date("2024-06-21T12:00Z");
+
+test("the north pole is the centre of the map", function() {
+  assert.deepEqual(LocalSun.mapXY(90, 45).map(Math.abs), [0, 0]);
+  near(Math.hypot.apply(null, LocalSun.mapXY(0, 123)), 10007.5, 1);
+});
+
+test("distances across the south are stretched", function() {
+  // Cape Town to Sydney: about 11,000 km on the globe
+  assert.ok(LocalSun.groundKm(-33.92, 18.42, -33.87, 151.21) > 20000);
+  near(LocalSun.groundKm(0, 0, 10, 0), 1112, 1);
+});
+
+test("a body overhead is at 90° and sinks with distance but never sets", function() {
+  var sub = { lat: 20, lon: 30 };
+  near(LocalSun.elevation(20, 30, sub, 5000), 90, 1e-9);
+  near(LocalSun.elevation(20, 30, { lat: 20 - 5000 / 111.19, lon: 30 }, 5000), 45, 0.1);
+  assert.ok(LocalSun.elevation(-60, -150, sub, 5000) > 0);
+});
+
+test("London's real midsummer day is about 16h 38m", function() {
+  var day = LocalSun.realDay(51.5074, -0.1278, SOLSTICE);
+  near(day.hours, 16.64, 0.05);
+  near(day.rise.getUTCHours() * 60 + day.rise.getUTCMinutes(), 3 * 60 + 43, 3);
+});
+
+test("the flat model keeps London in the spotlight all midsummer day", function() {
+  var day = LocalSun.flatDay(51.5074, -0.1278, SOLSTICE, 12000);
+  assert.equal(day.hours, 24);
+  assert.equal(day.rise, null);
+  assert.equal(day.set, null);
+});
+
+test("the flat model short-changes the southern summer", function() {
+  var when = new Date("2024-12-21T12:00Z");
+  var flat = LocalSun.flatDay(-54.8, -68.3, when, 12000);
+  var real = LocalSun.realDay(-54.8, -68.3, when);
+  assert.ok(real.hours > 17, String(real.hours));
+  assert.ok(flat.hours < real.hours - 6, flat.hours + " vs " + real.hours);
+});
+
+test("a smaller spotlight gives a shorter day", function() {
+  var wide = LocalSun.flatDay(40, -74, SOLSTICE, 12000).hours;
+  var tight = LocalSun.flatDay(40, -74, SOLSTICE, 8000).hours;
+  assert.ok(tight < wide, tight + " vs " + wide);
+});
+
+test("spotRadians is km over the mean radius", function() {
+  near(LocalSun.spotRadians(6371.0088), 1, 1e-6);
+});
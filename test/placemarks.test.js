@@ -0,0 +1,61 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { DOMParser } from "@xmldom/xmldom";
+import * as Placemarks from "../src/placemarks.js";
+
+var MARKS = [
+  { name: "Lighthouse", lat: 59.9139, lon: 10.7522, color: "#5aa8ff", icon: "flag", notes: "Keeper's hut & pier" },
+  { name: "<Camp> \"South\"", lat: -77.846, lon: 166.676, color: "#ff5a4e", icon: "triangle", notes: "" },
+  { name: "Date line", lat: 0, lon: -179.5, color: "#f5e663", icon: "pin", notes: "line one\nline two" },
+];
+
+/* Only what parse() returns is compared: the store gives every placemark a fresh id */
+function strip(list) {
+  return list.map(function(p) { var q = Object.assign({}, p); delete q.id; return q; });
+}
+
+/* KML import reads through the browser's DOMParser; xmldom stands in for it here */
+before(function() { globalThis.DOMParser = DOMParser; });
+after(function() { delete globalThis.DOMParser; });
+
+test("GeoJSON export reads back as the same placemarks", function() {
+  var text = Placemarks.toGeoJSON(MARKS);
+  var f = JSON.parse(text).features[0];
+  assert.deepEqual(f.geometry.coordinates, [10.7522, 59.9139]);
+  assert.equal(f.properties["marker-color"], "#5aa8ff");
+  assert.equal(f.properties["marker-symbol"], "flag");
+  assert.deepEqual(strip(Placemarks.parse(text, "marks.geojson")), MARKS);
+});
+
+test("KML export reads back as the same placemarks", function() {
+  var text = Placemarks.toKML(MARKS);
+  assert.match(text, /<color>ffffa85a<\/color>/);                 // aabbggrr
+  assert.match(text, /&lt;Camp&gt; &quot;South&quot;/);
+  assert.deepEqual(strip(Placemarks.parse(text, "marks.kml")), MARKS);
+});
+
+test("GeoJSON import takes other apps' property names and skips what isn't a point", function() {
+  var list = Placemarks.parse(JSON.stringify({ type: "FeatureCollection", features: [
+    { type: "Feature", geometry: { type: "MultiPoint", coordinates: [[1, 2], [190, 3]] },
+      properties: { title: "Pair", color: "F80" } },
+    { type: "Feature", geometry: { type: "LineString", coordinates: [[0, 0], [1, 1]] }, properties: {} },
+    { type: "Feature", geometry: { type: "Point", coordinates: [0, 95] }, properties: {} },
+  ] }), "other.json");
+  assert.deepEqual(strip(list), [
+    { name: "Pair", lat: 2, lon: 1, color: "#ff8800", icon: "pin", notes: "" },
+    { name: "Pair", lat: 3, lon: -170, color: "#ff8800", icon: "pin", notes: "" },
+  ]);
+});
+
+test("KML import resolves shared styles and sniffs the format without an extension", function() {
+  var kml = '<?xml version="1.0"?><kml xmlns="http://www.opengis.net/kml/2.2"><Document>'
+          + '<Style id="green"><IconStyle><color>ff00ff00</color></IconStyle></Style>'
+          + "<Placemark><name>Shared</name><styleUrl>#green</styleUrl>"
+          + "<Point><coordinates> -0.1276,51.5072 </coordinates></Point></Placemark>"
+          + "<Placemark><name>No point</name></Placemark>"
+          + "</Document></kml>";
+  assert.deepEqual(strip(Placemarks.parse(kml, "download")), [
+    { name: "Shared", lat: 51.5072, lon: -0.1276, color: "#00ff00", icon: "pin", notes: "" },
+  ]);
+  assert.throws(function() { Placemarks.parse("<kml><Placemark>", "broken.kml"); });
+});
@@ -0,0 +1,119 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import * as Projection from "../src/projection.js";
+
+var POINTS = [
+  [51.5074, -0.1278],     // London
+  [-33.8688, 151.2093],   // Sydney
+  [40.7128, -74.006],     // New York
+  [-54.8019, -68.303],    // Ushuaia
+  [0, 179.9],
+  [0, -179.9],
+  [89.9, 45],
+];
+
+function near(actual, expected, eps, msg) {
+  assert.ok(Math.abs(actual - expected) < eps, msg + ": " + actual + " vs " + expected);
+}
+
+/* Longitudes either side of the antimeridian are the same place */
+function lonDiff(a, b) { return Math.abs(((a - b + 540) % 360) - 180); }
+
+afterEach(function() { Projection.set({ kind: "aeqd", lat: 90, lon: 0 }); });
+
+Object.keys(Projection.KINDS).forEach(function(kind) {
+  [[90, 0], [-90, 0], [51.5, -0.1], [-33.9, 151.2]].forEach(function(centre) {
+    test(kind + " centred on " + centre + ": inverse(forward(p)) is p", function() {
+      Projection.set({ kind: kind, lat: centre[0], lon: centre[1] });
+      var limit = Projection.rimDistance() * 180 / Math.PI;
+      POINTS.forEach(function(p) {
+        if (Projection.angularDistance(p[0], p[1]) * 180 / Math.PI > limit - 1) return;   // off the disc
+        var uv = Projection.forward(p[0], p[1]);
+        var ll = Projection.inverse(uv[0], uv[1]);
+        near(ll[0], p[0], 1e-6, "lat of " + p);
+        if (Math.abs(p[0]) < 89.99) near(lonDiff(ll[1], p[1]), 0, 1e-6, "lon of " + p);
+      });
+    });
+  });
+});
+
+test("the centre lands in the middle of the disc", function() {
+  Projection.set({ kind: "laea", lat: 51.5, lon: -0.1 });
+  assert.deepEqual(Projection.forward(51.5, -0.1), [0.5, 0.5]);
+  var ll = Projection.inverse(0.5, 0.5);
+  near(ll[0], 51.5, 1e-9, "lat");
+  near(ll[1], -0.1, 1e-9, "lon");
+});
+
+test("aeqd from the North Pole is linear in colatitude", function() {
+  var uv = Projection.forward(0, 0);
+  near(Math.hypot(uv[0] - 0.5, uv[1] - 0.5), Projection.RIM_UV / 2, 1e-12, "equator radius");
+  near(Projection.uvPerRadAtCentre(), Projection.RIM_UV / Math.PI, 1e-12, "scale at the centre");
+});
+
+/* Scale factors from forward() by finite differences, north-polar disc:
+   h along the meridian, k along the parallel */
+function numericScale(lat, lon) {
+  var d = 1e-4, per = Projection.uvPerRadAtCentre() * Math.PI / 180;   // UV per degree
+  var a = Projection.forward(lat - d, lon), b = Projection.forward(lat + d, lon);
+  var c = Projection.forward(lat, lon - d), e = Projection.forward(lat, lon + d);
+  return [Math.hypot(b[0] - a[0], b[1] - a[1]) / (2 * d * per),
+          Math.hypot(e[0] - c[0], e[1] - c[1]) / (2 * d * per * Math.cos(lat * Math.PI / 180))];
+}
+
+Object.keys(Projection.KINDS).forEach(function(kind) {
+  test(kind + ": distortion() matches forward()'s own stretching", function() {
+    Projection.set({ kind: kind, lat: 90, lon: 0 });
+    [60, 20, -10, -30].forEach(function(lat) {
+      var t = Projection.distortion(lat, 40), n = numericScale(lat, 40);
+      near(t.h, n[0], 1e-4, kind + " h at " + lat);
+      near(t.k, n[1], 1e-4, kind + " k at " + lat);
+      near(t.areal, t.h * t.k, 1e-12, kind + " areal");
+    });
+  });
+});
+
+test("each projection keeps what its name promises", function() {
+  Projection.set({ kind: "aeqd" });
+  assert.equal(Projection.distortion(-30, 130).h, 1);
+  near(Projection.distortion(-30, 130).areal, (2 * Math.PI / 3) / Math.sin(2 * Math.PI / 3), 1e-9, "aeqd areal");
+  Projection.set({ kind: "laea" });
+  near(Projection.distortion(-30, 130).areal, 1, 1e-12, "laea areal");
+  Projection.set({ kind: "stere" });
+  near(Projection.distortion(-30, 130).angular, 0, 1e-9, "stere angular");
+  near(Projection.distortion(90, 0).areal, 1, 1e-12, "stere centre");
+});
+
+test("set() clamps latitude, wraps longitude and ignores unknown kinds", function() {
+  Projection.set({ kind: "mercator", lat: 120, lon: 200 });
+  assert.deepEqual(Projection.get(), { kind: "aeqd", lat: 90, lon: -160 });
+});
+
+test("onChange listeners hear about real changes only", function() {
+  var heard = [];
+  Projection.onChange(function(p) { heard.push(p.kind); });
+  Projection.set({ kind: "stere" });
+  Projection.set({ kind: "stere" });
+  assert.deepEqual(heard, ["stere"]);
+});
+
+test("fmtLat / fmtLon put the hemisphere after the absolute value", function() {
+  assert.equal(Projection.fmtLat(-33.8688), "33.87°S");
+  assert.equal(Projection.fmtLat(51.50735, 3), "51.507°N");
+  assert.equal(Projection.fmtLon(-0.1278, 3), "0.128°W");
+  assert.equal(Projection.fmtLon(151.2093, 0), "151°E");
+  assert.equal(Projection.fmtLat(0), "0.00°N");
+});
+
+test("fmtLatLon joins both", function() {
+  assert.equal(Projection.fmtLatLon(-33.8688, 151.2093, 4), "33.8688°S, 151.2093°E");
+  assert.equal(Projection.fmtLatLon(40.7128, -74.006), "40.71°N, 74.01°W");
+});
+
+test("info() describes the north-centred disc", function() {
+  var info = Projection.info();
+  assert.equal(info.projection, "Azimuthal Equidistant");
+  assert.equal(info.centre, "North Pole");
+  assert.equal(info.edge, "Antarctica Ice Wall");
+  assert.match(info.radius, /^~[\d,]+ km$/);
+});
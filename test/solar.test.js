@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Solar from "../src/solar.js";
+
+function near(actual, expected, eps) {
+  assert.ok(Math.abs(actual - expected) < eps, actual + " vs " + expected);
+}
+
+test("the subsolar point sits on the tropics at the solstices", function() {
+  near(Solar.subsolarPoint(new Date("2024-06-20T20:51Z")).lat, 23.44, 0.05);
+  near(Solar.subsolarPoint(new Date("2024-12-21T09:20Z")).lat, -23.44, 0.05);
+});
+
+test("the subsolar point is near Greenwich at 12:00 UTC", function() {
+  // within the equation of time, about ±4°
+  near(Solar.subsolarPoint(new Date("2024-03-20T12:00Z")).lon, 0, 4.5);
+});
+
+test("the moon is dark at new moon and full at full moon", function() {
+  near(Solar.moonIllumination(new Date("2024-01-11T11:57Z")), 0, 0.01);
+  near(Solar.moonIllumination(new Date("2024-01-25T17:54Z")), 1, 0.01);
+});
+
+test("the sublunar and subsolar points meet at a solar eclipse", function() {
+  var when = new Date("2023-04-20T04:17Z");
+  var ss = Solar.subsolarPoint(when), sl = Solar.sublunarPoint(when);
+  near(sl.lat, ss.lat, 1.5);
+  near(sl.lon, ss.lon, 1.5);
+});
+
+test("the moon stays within about 5° of the ecliptic", function() {
+  for (var d = 0; d < 30; d++) {
+    var m = Solar.moonPosition(new Date(Date.UTC(2024, 0, 1 + d)));
+    assert.ok(Math.abs(m.latitude) < 5.4, String(m.latitude));
+  }
+});
@@ -0,0 +1,67 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as Stars from "../src/stars.js";
+
+before(function() {
+  var data = JSON.parse(readFileSync(new URL("../src/data/stars.json", import.meta.url), "utf8"));
+  return Stars.load(data);
+});
+
+function near(actual, expected, eps) {
+  assert.ok(Math.abs(actual - expected) < eps, actual + " vs " + expected);
+}
+
+var WHEN = new Date("2024-03-20T22:00Z");
+
+test("the catalogue holds the naked-eye sky and all 88 constellations", function() {
+  assert.ok(Stars.list().length > 4500);
+  assert.ok(Stars.list().every(function(s) { return s.mag <= 6.5 && s.ra >= 0 && s.ra < 360 && Math.abs(s.dec) <= 90; }));
+  var ids = {};
+  Stars.figures().forEach(function(c) { ids[c.id] = true; });
+  assert.equal(Object.keys(ids).length, 88);
+  assert.equal(Stars.byName("Sirius").mag, -1.44);
+});
+
+test("the horizon frame is right-handed and orthonormal", function() {
+  var b = Stars.horizonBasis(-33.87, 151.21, WHEN);
+  function dot(a, c) { return a[0] * c[0] + a[1] * c[1] + a[2] * c[2]; }
+  near(dot(b.east, b.north), 0, 1e-12);
+  near(dot(b.north, b.up), 0, 1e-12);
+  [b.east, b.north, b.up].forEach(function(v) { near(dot(v, v), 1, 1e-12); });
+  var x = [b.east[1] * b.north[2] - b.east[2] * b.north[1], b.east[2] * b.north[0] - b.east[0] * b.north[2], b.east[0] * b.north[1] - b.east[1] * b.north[0]];
+  near(dot(x, b.up), 1, 1e-12);
+});
+
+test("Polaris stands at the observer's latitude, due north", function() {
+  var p = Stars.byName("Polaris");
+  var london = Stars.altAz(p.ra, p.dec, 51.5, -0.13, WHEN);
+  near(london.alt, 51.5, 0.8);
+  assert.ok(london.az < 1.5 || london.az > 358.5, String(london.az));
+  assert.ok(Stars.altAz(p.ra, p.dec, -33.87, 151.21, WHEN).alt < -30);
+});
+
+test("the south celestial pole star is circumpolar from Sydney", function() {
+  var s = Stars.byName("Polaris Australis");
+  for (var h = 0; h < 24; h += 3) {
+    var aa = Stars.altAz(s.ra, s.dec, -33.87, 151.21, new Date(WHEN.getTime() + h * 36e5));
+    near(aa.alt, 33.87, 1.2);
+    assert.ok(Math.abs(aa.az - 180) < 2, String(aa.az));
+  }
+});
+
+test("a star on the meridian at the local sidereal time culminates", function() {
+  var ra = Stars.lst(-74, WHEN);
+  var aa = Stars.altAz(ra, 0, 40.7, -74, WHEN);
+  near(aa.alt, 90 - 40.7, 1e-6);
+  near(aa.az, 180, 1e-6);
+});
+
+test("brighter stars are drawn bigger and bluer stars bluer", function() {
+  assert.ok(Stars.magSize(-1.44) > Stars.magSize(2) && Stars.magSize(2) > Stars.magSize(6));
+  assert.equal(Stars.magSize(9), 1);
+  assert.ok(Stars.magAlpha(6) < Stars.magAlpha(0));
+  var hot = Stars.bvColour(-0.2), cool = Stars.bvColour(1.6);
+  assert.ok(hot[2] > hot[0] && cool[0] > cool[2]);
+  assert.deepEqual(Stars.bvColour(NaN), Stars.bvColour(-0.4));
+});
@@ -0,0 +1,97 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, existsSync } from "node:fs";
+import * as TilePyramid from "../src/tiles.js";
+
+var FIXTURE = new URL("./fixtures/tileset/tileset.json", import.meta.url);
+var manifest;
+
+before(function() {
+  manifest = TilePyramid.normalizeManifest(JSON.parse(readFileSync(FIXTURE, "utf8")));
+});
+
+/* measure() for select(): every square is on screen at `px` pixels per disc */
+function zoomedTo(px) { return function(b) { return b.size * px; }; }
+
+test("normalizeManifest fills defaults and rejects a manifest without a template", function() {
+  var m = TilePyramid.normalizeManifest({ template: "{z}/{x}/{y}.png" });
+  assert.deepEqual(m, {
+    template: "{z}/{x}/{y}.png", tileSize: 256, minZoom: 0, maxZoom: 5,
+    projection: { kind: "aeqd", lat: 90, lon: 0 }, attribution: "",
+  });
+  assert.equal(TilePyramid.normalizeManifest({ template: "t", minZoom: -3, tileSize: -1 }).minZoom, 0);
+  assert.throws(function() { TilePyramid.normalizeManifest({ tileSize: 256 }); }, /template/);
+  assert.throws(function() { TilePyramid.normalizeManifest(null); }, /template/);
+});
+
+test("tileUrl fills the template and resolves it against the manifest", function() {
+  assert.equal(TilePyramid.tileUrl("{z}/{x}/{y}.jpg", null, 3, 5, 2), "3/5/2.jpg");
+  assert.equal(TilePyramid.tileUrl("t/{z}-{x}-{y}.png", "https://example.org/a/tileset.json", 1, 0, 1),
+               "https://example.org/a/t/1-0-1.png");
+});
+
+test("bounds put y = 0 at the top (v = 1) and touchesDisc drops the corners", function() {
+  assert.deepEqual(TilePyramid.bounds(0, 0, 0), { u0: 0, v0: 0, size: 1 });
+  assert.deepEqual(TilePyramid.bounds(1, 1, 0), { u0: 0.5, v0: 0.5, size: 0.5 });
+  assert.ok(TilePyramid.touchesDisc(TilePyramid.bounds(1, 0, 1)));
+  assert.ok(!TilePyramid.touchesDisc(TilePyramid.bounds(3, 0, 0)));     // the square's outer corner
+  assert.ok(TilePyramid.touchesDisc(TilePyramid.bounds(3, 3, 3)));
+});
+
+test("select stays coarse from afar and splits to maxZoom up close", function() {
+  var far = TilePyramid.select(manifest, zoomedTo(100));
+  assert.deepEqual(far.map(function(t) { return t.key; }), ["0/0/0"]);
+  var near = TilePyramid.select(manifest, zoomedTo(4000));
+  assert.deepEqual(near.map(function(t) { return t.key; }).sort(), ["1/0/0", "1/0/1", "1/1/0", "1/1/1"]);
+});
+
+test("select skips off-screen squares and honours detail", function() {
+  var left = TilePyramid.select(manifest, function(b) { return b.u0 < 0.5 ? b.size * 4000 : -1; });
+  assert.deepEqual(left.map(function(t) { return t.key; }).sort(), ["1/0/0", "1/0/1"]);
+  assert.equal(TilePyramid.select(manifest, zoomedTo(200), 2).length, 1);
+  assert.equal(TilePyramid.select(manifest, zoomedTo(200), 1).length, 4);
+});
+
+test("every tile the fixture can ask for is on disk", function() {
+  TilePyramid.select(manifest, zoomedTo(1e6)).concat([{ z: 0, x: 0, y: 0 }]).forEach(function(t) {
+    var url = new URL(TilePyramid.tileUrl(manifest.template, FIXTURE.href, t.z, t.x, t.y));
+    assert.ok(existsSync(url), url.pathname);
+  });
+});
+
+test("drawSet keeps the nearest loaded ancestor under a tile still loading or fading", function() {
+  var wanted = [{ z: 2, x: 1, y: 1, key: "2/1/1" }, { z: 2, x: 2, y: 1, key: "2/2/1" }];
+  var ready  = { "0/0/0": true, "1/0/0": true, "2/2/1": true };
+  var opaque = { "0/0/0": true, "1/0/0": true };
+  var keep = TilePyramid.drawSet(wanted, function(k) { return !!ready[k]; }, function(k) { return !!opaque[k]; });
+  // 2/1/1 is missing: its parent 1/0/0 stands in, and is opaque, so the root isn't needed for it;
+  // 2/2/1 is loaded but still fading, so its nearest loaded ancestor (the root) stays under it
+  assert.deepEqual(Object.keys(keep).sort(), ["0/0/0", "1/0/0", "2/2/1"]);
+  opaque["2/2/1"] = true;
+  keep = TilePyramid.drawSet(wanted.slice(1), function(k) { return !!ready[k]; }, function(k) { return !!opaque[k]; });
+  assert.deepEqual(Object.keys(keep), ["2/2/1"]);
+});
+
+test("LRUCache trims least recently used first, sparing pinned keys", function() {
+  var evicted = [];
+  var c = new TilePyramid.LRUCache(300, function(k) { evicted.push(k); });
+  c.set("a", 1, 100); c.set("b", 2, 100); c.set("c", 3, 100);
+  assert.equal(c.get("a"), 1);                 // a is now the most recent
+  c.set("d", 4, 100);
+  assert.equal(c.bytes, 400);
+  assert.equal(c.trim({ b: true }), 1);
+  assert.deepEqual(evicted, ["c"]);
+  assert.equal(c.bytes, 300);
+  assert.equal(c.size, 3);
+  assert.equal(c.peek("b"), 2);
+  c.set("a", 5, 250);                          // replacing an entry swaps its bytes and moves it to the back
+  assert.equal(c.bytes, 450);
+  evicted.length = 0;
+  assert.equal(c.trim({}), 2);
+  assert.deepEqual(evicted, ["b", "d"]);
+  assert.equal(c.peek("a"), 5);
+  assert.equal(c.trim({}), 0);
+  c.clear();
+  assert.equal(c.size, 0);
+  assert.equal(c.bytes, 0);
+});
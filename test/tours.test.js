@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as Tours from "../src/tours.js";
+
+function tourOf(step) { return { steps: [step] }; }
+
+test("the bundled tour parses", function() {
+  var t = Tours.parse(readFileSync(new URL("../src/data/tours/southern-distortion.json", import.meta.url), "utf8"));
+  assert.ok(t.title.length > 0);
+  assert.ok(t.steps.length > 1);
+  t.steps.forEach(function(s) {
+    assert.ok(s.title.length > 0);
+    assert.ok(s.duration >= 1000 && s.duration <= 120000);
+  });
+});
+
+test("a bare step gets a title and the default duration", function() {
+  var t = Tours.normalize({ steps: [{}, { title: "  Two  ", duration: 50 }, { duration: 1e9 }] });
+  assert.equal(t.title, "Untitled tour");
+  assert.deepEqual(t.steps[0], { title: "Step 1", text: "", duration: Tours.DEFAULT_DURATION });
+  assert.equal(t.steps[1].title, "Two");
+  assert.equal(t.steps[1].duration, 1000);
+  assert.equal(t.steps[2].duration, 120000);
+});
+
+test("step fields are copied and coerced", function() {
+  var s = Tours.normalize(tourOf({
+    title:  "All of it",
+    camera: { dist: 30, az: 0, polar: 2 },
+    flyTo:  { lat: -25, lon: 134, dist: 14 },
+    layers: { coast: 1, grid: 0 },
+    night:  "yes",
+    time:   "2024-12-21T12:00Z",
+    pin:    { lat: -33.9, lon: 151.2 },
+    route:  [{ name: "Sydney", lat: -33.9, lon: 151.2 }, { lat: -33.4, lon: -70.6 }],
+    view:   "split",
+  })).steps[0];
+  assert.deepEqual(s.camera, { dist: 30, az: 0, polar: 2, target: [0, 0, 0] });
+  assert.deepEqual(s.flyTo, { lat: -25, lon: 134, dist: 14, polar: null });
+  assert.deepEqual(s.layers, { coast: true, grid: false });
+  assert.equal(s.night, true);
+  assert.equal(s.time, Date.UTC(2024, 11, 21, 12));
+  assert.deepEqual(s.pin, { lat: -33.9, lon: 151.2, label: "" });
+  assert.deepEqual(s.route, [{ name: "Sydney", lat: -33.9, lon: 151.2 }, { name: null, lat: -33.4, lon: -70.6 }]);
+  assert.equal(s.view, "split");
+});
+
+test("null clears pin, route and time; a missing field leaves them alone", function() {
+  var s = Tours.normalize(tourOf({ pin: null, route: null, time: null })).steps[0];
+  assert.deepEqual([s.pin, s.route, s.time], [null, null, null]);
+  s = Tours.normalize(tourOf({ route: "syd-scl" })).steps[0];
+  assert.equal(s.route, "syd-scl");
+  assert.ok(!("pin" in s) && !("time" in s) && !("camera" in s));
+});
+
+test("bad tours are rejected, naming the step at fault", function() {
+  [
+    [{ camera: { dist: 30, az: 0 } }, /Step 1: camera/],
+    [{ flyTo: { lat: 91, lon: 0 } }, /Step 1: flyTo/],
+    [{ projection: { lat: "north" } }, /Step 1: projection/],
+    [{ projection: { kind: "aeqdd" } }, /Step 1: projection kind must be one of aeqd, /],
+    [{ camera: { dist: 30, az: 0, polar: 2, target: "abc" } }, /Step 1: camera needs/],
+    [{ layers: "coast" }, /Step 1: layers/],
+    [{ time: "someday" }, /Step 1: time is not a date/],
+    [{ pin: { lat: 0 } }, /Step 1: pin/],
+    [{ route: [{ lat: 0, lon: 0 }, { name: "x" }] }, /Step 1: every route stop/],
+    [{ route: 7 }, /Step 1: route must be/],
+    [{ view: "observer" }, /Step 1: view must be one of disc, split, swipe, globe/],
+  ].forEach(function(c) {
+    assert.throws(function() { Tours.normalize(tourOf(c[0])); }, c[1]);
+  });
+  assert.throws(function() { Tours.normalize({ steps: [{}, 5] }); }, /Step 2: not an object/);
+  assert.throws(function() { Tours.normalize({ steps: [] }); }, /non-empty "steps"/);
+  assert.throws(function() { Tours.parse("{ steps: [] }"); }, /Not valid JSON/);
+});